@@ -10,6 +10,9 @@
 // @include chrome://browser/content/bookmarks/bookmarksPanel.xul
 // @include chrome://browser/content/history/history-panel.xul
 // @include chrome://global/content/console.xul
+// @note The aliases 'pageinfo', 'sidebar' and 'console' are available
+// for these windows.
+// @see |kPref.urlAliases| in userChrome.js
 
 // @usage Access to functions through the global scope (window.ucjsUtil.XXX).
 
@@ -153,6 +156,54 @@ function addEvent(aTarget, aType, aListener, aCapture) {
     aTarget.removeEventListener(aType, aListener, aCapture);
     window.removeEventListener('unload', remover, false);
   }, false);
+
+  // Detach the listener when the calling script is reloaded.
+  let context = getScriptContext();
+
+  if (context) {
+    context.addUninitHook(() => {
+      aTarget.removeEventListener(aType, aListener, aCapture);
+    });
+  }
+}
+
+/**
+ * Gets the context of the script that calls an API.
+ *
+ * @return {hash|null}
+ *   The context for the cleanup of the script, or null if the script is not
+ *   run by the loader.
+ *
+ * @note Called in an API that adds the cleanup for the caller. The caller is
+ * the innermost script on the call stack except the file of the API, so the
+ * context is found even in a handler after the script ran.
+ * @note A script that calls this function by itself gets its own context
+ * only while it runs.
+ *
+ * @see My userChrome.js::ScriptContext
+ * https://github.com/Pxuehtch/UCJS/blob/master/userChrome.js
+ */
+function getScriptContext() {
+  let loader = window.ucjsScriptLoader;
+
+  if (!loader || !loader.getScriptContext) {
+    return null;
+  }
+
+  // @note The first frame is the API that requests the context.
+  let APIFrame = Components.stack.caller;
+  let fileNames = [];
+
+  for (let frame = APIFrame; frame; frame = frame.caller) {
+    if (frame.filename && frame.filename !== APIFrame.filename) {
+      fileNames.push(frame.filename);
+    }
+  }
+
+  return loader.getScriptContext({
+    fileNames,
+    document: window.document
+  });
 }
 
 /**
@@ -332,20 +383,7 @@ function createNode(aTagOrNode, aAttribute, aAttributeHandler) {
   let node;
 
   if (typeof aTagOrNode === 'string') {
-    let [ns, tag] = aTagOrNode.split(':');
-
-    if (ns && tag) {
-      let nsURI = lookupNamespaceURI(ns);
-
-      if (!nsURI) {
-        throw Error('Invalid namespace prefix: ' + ns);
-      }
-
-      node = window.document.createElementNS(nsURI, tag);
-    }
-    else {
-      node = window.document.createElement(aTagOrNode);
-    }
+    node = createElement(aTagOrNode, window.document);
   }
   else {
     node = aTagOrNode;
@@ -379,6 +417,321 @@ function createNode(aTagOrNode, aAttribute, aAttributeHandler) {
   return node;
 }
 
+/**
+ * Creates an element in a document.
+ *
+ * @param aTag {string}
+ *   A tag name. A namespace prefix is available (e.g. 'html:div').
+ * @param aDocument {Document}
+ * @return {Element}
+ */
+function createElement(aTag, aDocument) {
+  let [ns, tag] = aTag.split(':');
+
+  if (ns && tag) {
+    let nsURI = lookupNamespaceURI(ns);
+
+    if (!nsURI) {
+      throw Error('Invalid namespace prefix: ' + ns);
+    }
+
+    return aDocument.createElementNS(nsURI, tag);
+  }
+
+  return aDocument.createElement(aTag);
+}
+
+/**
+ * Creates a DOM builder that builds elements from the descriptions and
+ * tracks them for the cleanup.
+ *
+ * @param aOption {hash} [optional]
+ *   @key attributeHandler {function}
+ *     A custom handler of attributes.
+ *     @see |createNode|
+ *   @key document {Document}
+ *     The document where the nodes are created (e.g. the document of a
+ *     window that the script opens).
+ *     @default The document of this window.
+ * @return {hash}
+ *   @key build {function}
+ *   @key create {function}
+ *   @key listen {function}
+ *   @key track {function}
+ *   @key untrack {function}
+ *   @key teardown {function}
+ *
+ * @note The built nodes and the listeners are removed when the window is
+ * unloaded or the script that created the builder is reloaded. Create a
+ * builder while the script runs to bind it to the script.
+ * @note The event listeners in a description are added to the created node
+ * and go away with the node, so the nodes rebuilt many times (e.g. the items
+ * of a list) should be made by |create| and not tracked.
+ *
+ * @usage
+ * const builder = createBuilder({attributeHandler: handleAttribute});
+ *
+ * builder.build({
+ *   tag: 'menu',
+ *   attributes: {id: 'my-menu', label: 'My menu'},
+ *   children: [{
+ *     tag: 'menupopup',
+ *     events: {popupshowing: onPopupShowing},
+ *     children: [
+ *       {tag: 'menuitem', attributes: {label: 'Item'}, data: {value: 1}}
+ *     ]
+ *   }]
+ * }, $ID('menu_ToolsPopup'));
+ */
+function createBuilder(aOption = {}) {
+  let {
+    attributeHandler,
+    document: mDocument = window.document
+  } = aOption;
+
+  let context = getScriptContext();
+
+  let mNodes = [];
+  let mListeners = [];
+
+  window.addEventListener('unload', teardown, false);
+
+  if (context) {
+    context.addUninitHook(teardown);
+  }
+
+  /**
+   * Builds a node from a description and inserts it into the document.
+   *
+   * @param aDescription {hash|string|Node}
+   *   {string}: A text node.
+   *   {Node}: The node itself.
+   *   {hash}:
+   *     @key tag {string}
+   *       A tag name. A namespace prefix is available (e.g. 'html:div').
+   *     @key attributes {hash} [optional]
+   *       @see |createNode|
+   *     @key data {hash} [optional]
+   *       The properties to set on the node.
+   *     @key events {hash|array} [optional]
+   *       {hash}: '<event-type>: <listener>'
+   *       {array}: [[<event-type>, <listener>, <capture>], ...]
+   *     @key children {array} [optional]
+   *       The descriptions of the child nodes.
+   * @param aParent {Node}
+   *   The parent to append the node to.
+   * @param aReferenceNode {Node} [optional]
+   *   The node to insert the node before.
+   * @return {Node}
+   *   @note The node is tracked.
+   */
+  function build(aDescription, aParent, aReferenceNode) {
+    let node = create(aDescription);
+
+    aParent.insertBefore(node, aReferenceNode || null);
+
+    return track(node);
+  }
+
+  /**
+   * Creates a node from a description without tracking.
+   *
+   * @param aDescription {hash|string|Node}
+   *   @see |build|
+   * @return {Node}
+   */
+  function create(aDescription) {
+    if (typeof aDescription === 'string') {
+      return mDocument.createTextNode(aDescription);
+    }
+
+    if (aDescription instanceof Node) {
+      return aDescription;
+    }
+
+    let {
+      tag,
+      attributes,
+      data,
+      events,
+      children
+    } = aDescription;
+
+    if (!tag) {
+      throw Error('No tag in the description');
+    }
+
+    let node =
+      createNode(createElement(tag, mDocument), attributes, attributeHandler);
+
+    if (data) {
+      Object.keys(data).forEach((name) => {
+        node[name] = data[name];
+      });
+    }
+
+    if (events) {
+      if (!Array.isArray(events)) {
+        events = Object.keys(events).map((type) => [type, events[type]]);
+      }
+
+      events.forEach(([type, listener, capture]) => {
+        node.addEventListener(type, listener, !!capture);
+      });
+    }
+
+    if (children) {
+      children.forEach((child) => {
+        if (child) {
+          node.appendChild(create(child));
+        }
+      });
+    }
+
+    return node;
+  }
+
+  /**
+   * Adds an event listener to an existing target that is removed in
+   * teardown.
+   *
+   * @param aTarget {EventTarget}
+   * @param aType {string}
+   * @param aListener {function}
+   * @param aCapture {boolean} [optional]
+   */
+  function listen(aTarget, aType, aListener, aCapture) {
+    if (!aTarget || !aType || !aListener) {
+      return;
+    }
+
+    aCapture = !!aCapture;
+
+    aTarget.addEventListener(aType, aListener, aCapture);
+
+    if (mListeners) {
+      mListeners.push([aTarget, aType, aListener, aCapture]);
+    }
+  }
+
+  /**
+   * Registers a node that is removed in teardown.
+   *
+   * @param aNode {Node}
+   * @return {Node} The node itself.
+   */
+  function track(aNode) {
+    if (mNodes) {
+      mNodes.push(aNode);
+    }
+
+    return aNode;
+  }
+
+  /**
+   * Stops tracking a node.
+   *
+   * @param aNode {Node}
+   * @return {Node} The node itself.
+   *
+   * @note Used for a tracked node that goes away before teardown (e.g. a node
+   * in a closed tab) not to keep it until teardown.
+   */
+  function untrack(aNode) {
+    if (mNodes) {
+      let index = mNodes.indexOf(aNode);
+
+      if (index > -1) {
+        mNodes.splice(index, 1);
+      }
+    }
+
+    return aNode;
+  }
+
+  /**
+   * Removes the listeners and the tracked nodes.
+   *
+   * @note The builder is no longer available.
+   */
+  function teardown() {
+    if (!mNodes) {
+      return;
+    }
+
+    window.removeEventListener('unload', teardown, false);
+
+    mListeners.reverse().forEach(([target, type, listener, capture]) => {
+      target.removeEventListener(type, listener, capture);
+    });
+
+    mNodes.reverse().forEach((node) => {
+      if (node.parentNode) {
+        node.parentNode.removeChild(node);
+      }
+    });
+
+    mNodes = null;
+    mListeners = null;
+  }
+
+  return {
+    build,
+    create,
+    listen,
+    track,
+    untrack,
+    teardown
+  };
+}
+
+/**
+ * Gets the position to center an element in the browser window.
+ *
+ * @param aElement {Element} (e.g. A <panel> opened at the screen)
+ * @return {number[]} [x, y] The screen coordinates.
+ */
+function getCenteringPosition(aElement) {
+  let {outerWidth, outerHeight, screen} = window;
+  let {clientWidth: w, clientHeight: h} = aElement;
+  let x = 0, y = 0;
+
+  if (outerWidth > w) {
+    x = outerWidth - w;
+  }
+  else if (screen.availWidth > w) {
+    x = screen.availWidth - w;
+  }
+
+  if (outerHeight > h) {
+    y = outerHeight - h;
+  }
+  else if (screen.availHeight > h) {
+    y = screen.availHeight - h;
+  }
+
+  return [x / 2, y / 2];
+}
+
+/**
+ * String formatter.
+ *
+ * @param aForm {string} (e.g. '%COUNT% items')
+ * @param aAttribute {hash} (e.g. {'COUNT': 3})
+ * @return {string}
+ *
+ * @note The first placeholder of each name is replaced.
+ */
+function formatText(aForm, aAttribute) {
+  for (let [name, value] in Iterator(aAttribute)) {
+    // @note Use the function replacer not to expand the special patterns like
+    // '$&' in a value.
+    aForm = aForm.replace('%' + name + '%', () => String(value));
+  }
+
+  return aForm;
+}
+
 /**
  * Wrapper of |getElementById|.
  *
@@ -620,473 +973,3369 @@ function resolveURL(aURL, aBaseURL) {
   return null;
 }
 
-function openHomePages(aOption = {}) {
-  let {
-    doReplace,
-    onlyFirstPage
-  } = aOption;
+/**
+ * URL toolkit.
+ *
+ * @note The string functions (|trimHash|, |trimSearch|, |stripTrackingParams|,
+ * |isSamePage|) have no dependency on the browser and return the same result
+ * for the same input.
+ * @note The other functions use the URI services and return a falsy value
+ * for an invalid URL.
+ */
+const URLUtil = (function() {
+  /**
+   * The query parameters for tracking.
+   *
+   * @note A string matches the exact name and a RegExp matches the name.
+   */
+  const kTrackingParams = [
+    /^utm_/, /^ga_/, /^_hs/, /^mc_[ce]id$/,
+    'fbclid', 'gclid', 'dclid', 'yclid', 'msclkid', 'igshid', 'mkt_tok'
+  ];
 
-  // @see chrome://browser/content/browser.js::gHomeButton
-  let homePages = window.gHomeButton.getHomePage().split('|');
+  /**
+   * WORKAROUND: |nsIEffectiveTLDService| returns a wrong value for some
+   * hosts.
+   *
+   * For http://gitbookio.github.io/javascript/
+   * Expected;
+   *   base domain = github.io
+   *   public suffix = io
+   * Actual;
+   *   base domain = gitbookio.github.io
+   *   public suffix = github.io
+   */
+  const kBadBaseDomains = [
+    'github.io'
+  ];
 
-  if (onlyFirstPage) {
-    homePages = homePages[0];
+  function trimHash(aURL) {
+    return aURL.replace(/#.*$/, '');
   }
 
-  openTabs(homePages, {
-    doReplace,
-    skipSecurityCheck: true
-  });
-}
-
-function openTabs(aURLs, aOption = {}) {
-  if (typeof aURLs === 'string') {
-    aURLs = aURLs.split('|');
+  function trimSearch(aURL) {
+    return aURL.replace(/[?#].*$/, '');
   }
 
-  if (!Array.isArray(aURLs) || aURLs.length === 0) {
-    return;
-  }
+  /**
+   * Removes the query parameters for tracking.
+   *
+   * @param aURL {string}
+   * @return {string}
+   *   @note The order of the other parameters and the hash are kept, and '?'
+   *   is removed if no parameter remains.
+   */
+  function stripTrackingParams(aURL) {
+    let [, base, search, hash] = /^([^?#]*)(?:\?([^#]*))?(#.*)?$/.exec(aURL);
 
-  let {
-    inBackground,
-    doReplace
-  } = aOption;
+    if (search === undefined) {
+      return aURL;
+    }
 
-  let firstTabAdded;
+    let params = search.split('&').filter((aParam) => {
+      let name = aParam.split('=')[0];
 
-  if (doReplace) {
-    // @see chrome://browser/content/browser.js::BrowserOpenTab
-    window.BrowserOpenTab();
+      try {
+        name = decodeURIComponent(name);
+      }
+      catch (ex) {}
 
-    removeAllTabsBut(gBrowser.selectedTab);
+      return !!aParam && !kTrackingParams.some((aItem) =>
+        (typeof aItem === 'string') ? name === aItem : aItem.test(name));
+    });
 
-    firstTabAdded = loadPage(aURLs.shift(), aOption);
+    return base + (params.length ? '?' + params.join('&') : '') + (hash || '');
   }
-  else {
-    if (!inBackground) {
-      firstTabAdded = openTab(aURLs.shift(), aOption);
+
+  /**
+   * Tests whether two URLs point to the same page.
+   *
+   * @param aURL {string}
+   * @param aTargetURL {string}
+   * @param aOption {hash} [optional]
+   *   @key ignoreTracking {boolean}
+   *     Ignore the query parameters for tracking.
+   * @return {boolean}
+   *   @note The hashes are ignored.
+   */
+  function isSamePage(aURL, aTargetURL, aOption = {}) {
+    if (!aURL || !aTargetURL) {
+      return false;
     }
-  }
 
-  aURLs.forEach((url) => {
-    openTab(url, aOption);
-  });
+    let format = (aText) => {
+      aText = trimHash(aText);
 
-  if (firstTabAdded) {
-    gBrowser.selectedTab = firstTabAdded;
-  }
-}
+      if (aOption.ignoreTracking) {
+        aText = stripTrackingParams(aText);
+      }
 
-function openURL(aURL, aOption = {}) {
-  let {
-    inTab
-  } = aOption;
+      return aText;
+    };
 
-  if (inTab) {
-    return openTab(aURL, aOption);
+    return format(aURL) === format(aTargetURL);
   }
 
-  return loadPage(aURL, aOption);
-}
+  /**
+   * Creates a |nsIURI| object.
+   *
+   * @param aURL {string|nsIURI}
+   * @param aBaseURL {string} [optional]
+   * @return {nsIURI|null}
+   */
+  function createURI(aURL, aBaseURL) {
+    if (aURL instanceof Ci.nsIURI) {
+      return aURL;
+    }
 
-function openTab(aURL, aOption = {}) {
-  let URL = resolveURL(aURL);
+    if (!aURL) {
+      return null;
+    }
 
-  if (!URL) {
-    return;
-  }
+    try {
+      let baseURI = aBaseURL ? Services.io.newURI(aBaseURL, null, null) : null;
 
-  let {
-    inBackground,
-    skipSecurityCheck,
-    trustURL,
-    allowImageData
-  } = aOption;
+      return Services.io.newURI(aURL, null, baseURI);
+    }
+    catch (ex) {}
 
-  if (!skipSecurityCheck) {
-    checkSecurity(URL, {
-      trustURL,
-      allowImageData
-    });
+    return null;
   }
 
-  // @note Set |inBackground| to explicit |false| to open in a foreground tab.
-  // Since it will default to the |browser.tabs.loadInBackground| preference in
-  // |gBrowser.loadOneTab| if |undefined|.
-  aOption.inBackground = inBackground === true;
-
-  return gBrowser.loadOneTab(URL, aOption);
-}
+  /**
+   * Parses a URL.
+   *
+   * @param aURL {string|nsIURI}
+   * @param aBaseURL {string} [optional]
+   * @return {hash|null}
+   *   @key scheme {string}
+   *   @key host {string} The host in Unicode for IDN.
+   *   @key asciiHost {string} The host in ACE (punycode) for IDN.
+   *   @key port {integer} -1 for the default port.
+   *   @key prePath {string}
+   *   @key path {string} The path with the search and hash.
+   *   @key pathname {string} The path without the search and hash.
+   *   @key search {string} The query string with '?', or ''.
+   *   @key hash {string} The fragment with '#', or ''.
+   *   @key spec {string}
+   *   @key asciiSpec {string}
+   */
+  function parse(aURL, aBaseURL) {
+    let URI = createURI(aURL, aBaseURL);
 
-function loadPage(aURL, aOption = {}) {
-  let URL = resolveURL(aURL);
+    if (!URI) {
+      return null;
+    }
 
-  if (!URL) {
-    return;
+    let {scheme, prePath, path, spec, asciiSpec} = URI;
+    let [, pathname, search, hash] = /^([^?#]*)(\?[^#]*)?(#.*)?$/.exec(path);
+
+    return {
+      scheme,
+      host: getHost(URI),
+      asciiHost: getHost(URI, {ascii: true}),
+      port: getPort(URI),
+      prePath,
+      path,
+      pathname,
+      search: search || '',
+      hash: hash || '',
+      spec,
+      asciiSpec
+    };
   }
 
-  let {
-    referrerURI,
-    charset,
-    postData,
-    allowThirdPartyFixup,
-    fromExternal,
-    allowMixedContent,
-    skipSecurityCheck,
-    trustURL,
-    allowImageData
-  } = aOption;
+  /**
+   * Normalizes a URL for comparison.
+   *
+   * @param aURL {string|nsIURI}
+   * @param aOption {hash} [optional]
+   *   @key stripTracking {boolean}
+   *     Remove the query parameters for tracking.
+   *   @key stripHash {boolean}
+   *     Remove the hash.
+   * @return {string}
+   *   '' for an invalid URL.
+   *   @note The scheme and host are lowercased, the default port is removed
+   *   and an empty search or hash is removed.
+   */
+  function normalize(aURL, aOption = {}) {
+    let URI = createURI(aURL);
 
-  if (!skipSecurityCheck) {
-    checkSecurity(URL, {
-      trustURL,
-      allowImageData
-    });
+    if (!URI) {
+      return '';
+    }
+
+    let spec = URI.spec.replace(/\?(?=#|$)/, '').replace(/#$/, '');
+
+    if (aOption.stripTracking) {
+      spec = stripTrackingParams(spec);
+    }
+
+    if (aOption.stripHash) {
+      spec = trimHash(spec);
+    }
+
+    return spec;
   }
 
-  let flags = Ci.nsIWebNavigation.LOAD_FLAGS_NONE;
+  /**
+   * Gets the host of a URL.
+   *
+   * @param aURL {string|nsIURI}
+   * @param aOption {hash} [optional]
+   *   @key ascii {boolean}
+   *     Get in ACE (punycode) for IDN.
+   * @return {string}
+   *   '' for a URL that has no host (e.g. 'file:', 'about:').
+   *   @note The brackets of an IPv6 address are removed.
+   */
+  function getHost(aURL, aOption = {}) {
+    let URI = createURI(aURL);
 
-  if (allowThirdPartyFixup) {
-    flags |= Ci.nsIWebNavigation.LOAD_FLAGS_ALLOW_THIRD_PARTY_FIXUP;
-    flags |= Ci.nsIWebNavigation.LOAD_FLAGS_FIXUP_SCHEME_TYPOS;
+    if (!URI || URI.schemeIs('file')) {
+      return '';
+    }
+
+    let host;
+
+    try {
+      host = aOption.ascii ? URI.asciiHost : URI.host;
+    }
+    catch (ex) {}
+
+    if (!host) {
+      return '';
+    }
+
+    return aOption.ascii ? host : toDisplayHost(host);
   }
 
-  if (fromExternal) {
-    flags |= Ci.nsIWebNavigation.LOAD_FLAGS_FROM_EXTERNAL;
+  function getPort(aURI) {
+    try {
+      return aURI.port;
+    }
+    catch (ex) {}
+
+    return -1;
   }
 
-  if (allowMixedContent) {
-    flags |= Ci.nsIWebNavigation.LOAD_FLAGS_ALLOW_MIXED_CONTENT;
+  /**
+   * Gets the base domain of a URL by the public suffix list.
+   *
+   * @param aURL {string|nsIURI}
+   * @param aOption {hash} [optional]
+   *   @key ascii {boolean}
+   *     Get in ACE (punycode) for IDN.
+   * @return {string}
+   *   The host itself for an IP address or a single label host, '' for a URL
+   *   that has no host.
+   *   e.g. 'http://www.example.co.jp/' -> 'example.co.jp'
+   */
+  function getBaseDomain(aURL, aOption = {}) {
+    let host = getHost(aURL, {ascii: true});
+
+    if (!host) {
+      return '';
+    }
+
+    let baseDomain = host;
+
+    let badBaseDomain = getBadBaseDomain(host);
+
+    if (badBaseDomain) {
+      baseDomain = badBaseDomain;
+    }
+    else {
+      try {
+        baseDomain = Services.eTLD.getBaseDomainFromHost(host);
+      }
+      catch (ex) {}
+    }
+
+    return aOption.ascii ? baseDomain : toDisplayHost(baseDomain);
   }
 
-  gBrowser.loadURIWithFlags(URL, flags, referrerURI, charset, postData);
+  /**
+   * Gets the public suffix of a URL.
+   *
+   * @param aURL {string|nsIURI}
+   * @return {string}
+   *   The suffix in ACE (punycode) for IDN, or '' if not found.
+   *   e.g. 'http://www.example.co.jp/' -> 'co.jp'
+   */
+  function getPublicSuffix(aURL) {
+    let host = getHost(aURL, {ascii: true});
 
-  return gBrowser.selectedTab;
-}
+    if (!host) {
+      return '';
+    }
 
-/**
- * Alternative |gBrowser.removeTab|.
- *
- * @see chrome://browser/content/tabbrowser.xml::removeTab
- */
-function removeTab(aTab, aOption = {}) {
-  let {
-    safeClose
-  } = aOption;
+    let badBaseDomain = getBadBaseDomain(host);
 
-  if (safeClose) {
-    // Do not close;
-    // 1.Pinned tab.
-    // 2.Only one unpinned tab.
-    if (aTab.pinned ||
-        gBrowser.visibleTabs.length - gBrowser._numPinnedTabs <= 1) {
-      return;
+    if (badBaseDomain) {
+      return badBaseDomain.slice(badBaseDomain.indexOf('.') + 1);
+    }
+
+    try {
+      return Services.eTLD.getPublicSuffixFromHost(host);
     }
+    catch (ex) {}
+
+    return '';
   }
 
-  gBrowser.removeTab(aTab);
-}
+  function getBadBaseDomain(aHost) {
+    for (let item of kBadBaseDomains) {
+      if (aHost === item || aHost.endsWith('.' + item)) {
+        return item;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Tests whether two URLs have the same base domain.
+   *
+   * @param aURL {string|nsIURI}
+   * @param aTargetURL {string|nsIURI}
+   * @return {boolean}
+   */
+  function isSameBaseDomain(aURL, aTargetURL) {
+    let baseDomain = getBaseDomain(aURL, {ascii: true});
+
+    return !!baseDomain &&
+      baseDomain === getBaseDomain(aTargetURL, {ascii: true});
+  }
+
+  /**
+   * Converts a host in ACE (punycode) into Unicode for display.
+   *
+   * @param aHost {string}
+   * @return {string}
+   *   @note A label that is not safe to display (e.g. mixed scripts for
+   *   spoofing) is kept in ACE.
+   */
+  function toDisplayHost(aHost) {
+    if (!aHost || !/(?:^|\.)xn--/i.test(aHost)) {
+      return aHost;
+    }
+
+    try {
+      return Cc['@mozilla.org/network/idn-service;1'].
+        getService(Ci.nsIIDNService).
+        convertToDisplayIDN(aHost, {});
+    }
+    catch (ex) {}
+
+    return aHost;
+  }
+
+  /**
+   * Converts a URL or a host into ACE (punycode).
+   *
+   * @param aText {string}
+   * @return {string}
+   */
+  function toASCII(aText) {
+    let URI = createURI(aText);
+
+    if (URI) {
+      return URI.asciiSpec;
+    }
+
+    try {
+      return Cc['@mozilla.org/network/idn-service;1'].
+        getService(Ci.nsIIDNService).
+        convertUTF8toACE(aText);
+    }
+    catch (ex) {}
+
+    return aText;
+  }
+
+  return {
+    trimHash,
+    trimSearch,
+    stripTrackingParams,
+    isSamePage,
+    createURI,
+    parse,
+    normalize,
+    getHost,
+    getBaseDomain,
+    getPublicSuffix,
+    isSameBaseDomain,
+    toDisplayHost,
+    toASCII,
+    resolve: resolveURL,
+    unescapeCharacters: unescapeURLCharacters,
+    unescapeForUI: unescapeURLForUI
+  };
+})();
 
 /**
- * Alternative |gBrowser.removeAllTabsBut|.
+ * Template handler that expands the aliases in a text with data.
  *
- * 1.Does not warn against closing multiple tabs.
- * 2.Does not close blocked tabs.
+ * @return {hash}
+ *   @key expand {function}
+ *   @key registerSource {function}
+ *   @key registerModifier {function}
  *
- * @see chrome://browser/content/tabbrowser.xml::removeAllTabsBut
+ * [Alias grammar]
+ * %SOURCE|MODIFIER|MODIFIER:ARGUMENT%
+ *
+ * SOURCE: The name of a data source. Can be omitted, and then the passed data
+ * is used.
+ * MODIFIER: The name of a modifier that converts the value. The modifiers
+ * are applied in the order from left to right. An argument follows ':'.
+ *
+ * @note The names are case-insensitive.
+ * @note An alias with an unknown name is left as it is.
+ *
+ * [Data sources]
+ * DATA, d: The passed data.
+ *   @note Each alias consumes an item in order when the data is an array.
+ * URL, u: The URL of the current page.
+ * TITLE, t: The title of the current page.
+ * LINK, l: The URL of the link in the context menu.
+ * IMAGE, i: The URL of the image in the context menu.
+ * SELECTION, s: The selected text under the cursor.
+ *
+ * @note The value of a source is retrieved from the current browser unless
+ * it is passed with the data.
+ *
+ * [Modifiers]
+ * RAW: The value itself.
+ * ENCODE, ENC, en: With URI encoded.
+ * SCHEMELESS, sl: Without the scheme 'http://' or 'https://'.
+ * PARAMLESS, pl: Without the URL parameters and the fragment.
+ * HOST: The host of a URL.
+ * BASEDOMAIN: The base domain of a URL (e.g. 'www.example.co.jp' ->
+ * 'example.co.jp').
+ * PATH: The path of a URL without the parameters and the fragment.
+ * LOWERCASE, lc: In lowercase.
+ * BASE64: Encoded in Base64 of UTF-8.
+ * PUNYCODE: With the host of a URL or the domain name in punycode.
+ * TRUNCATE:N: The first N characters.
+ *
+ * e.g.
+ * '%ENC%': The passed data with URI encoded.
+ * '%u|sl|en%': The page URL which is trimmed the scheme and then URI encoded.
+ * '%TITLE|TRUNCATE:20|ENCODE%'
  */
-function removeAllTabsBut(aTab) {
-  if (aTab.pinned) {
-    return;
+const Template = (function() {
+  const kAliasSplitter = '|';
+  const kArgumentSplitter = ':';
+  const kAliasPattern = /%([a-z][\w|:]*)%/ig;
+
+  /**
+   * The data sources.
+   *
+   * @key {string} A lowercase name.
+   * @value {function}
+   *   @param aData {hash} The passed data.
+   *   @return {string}
+   */
+  let mSources = new Map();
+
+  /**
+   * The modifiers.
+   *
+   * @key {string} A lowercase name.
+   * @value {function}
+   *   @param aText {string}
+   *   @param aArgument {string} The string after ':', or undefined.
+   *   @return {string}
+   */
+  let mModifiers = new Map();
+
+  registerSource(['DATA', 'd'], (aData) => aData.data);
+
+  registerSource(['URL', 'u'], (aData) =>
+    ('url' in aData) ? aData.url : gBrowser.currentURI.spec);
+
+  registerSource(['TITLE', 't'], (aData) =>
+    ('title' in aData) ? aData.title :
+    (gBrowser.contentTitle || gBrowser.selectedTab.label));
+
+  registerSource(['LINK', 'l'], (aData) => {
+    if ('link' in aData) {
+      return aData.link;
+    }
+
+    let contextMenu = window.gContextMenu;
+
+    return (contextMenu && contextMenu.onLink) ? contextMenu.linkURL : '';
+  });
+
+  registerSource(['IMAGE', 'i'], (aData) => {
+    if ('image' in aData) {
+      return aData.image;
+    }
+
+    let contextMenu = window.gContextMenu;
+
+    return (contextMenu && contextMenu.onImage) ? contextMenu.mediaURL : '';
+  });
+
+  registerSource(['SELECTION', 's'], (aData) =>
+    ('selection' in aData) ? aData.selection : getSelectionAtCursor());
+
+  registerModifier('RAW', (aText) => aText);
+
+  registerModifier(['ENCODE', 'ENC', 'en'], (aText) =>
+    encodeURIComponent(aText));
+
+  registerModifier(['SCHEMELESS', 'sl'], (aText) =>
+    aText.replace(/^https?:\/\//, ''));
+
+  registerModifier(['PARAMLESS', 'pl'], (aText) =>
+    URLUtil.trimSearch(aText));
+
+  registerModifier('HOST', (aText) => URLUtil.getHost(aText));
+
+  // Fall back to the host for an IP address or a single label host.
+  registerModifier('BASEDOMAIN', (aText) =>
+    URLUtil.getBaseDomain(aText, {ascii: true}));
+
+  registerModifier('PATH', (aText) => {
+    let URL = URLUtil.parse(aText);
+
+    return URL ? URL.pathname : '';
+  });
+
+  registerModifier(['LOWERCASE', 'lc'], (aText) => aText.toLowerCase());
+
+  registerModifier('BASE64', (aText) =>
+    window.btoa(unescape(encodeURIComponent(aText))));
+
+  registerModifier('PUNYCODE', (aText) => URLUtil.toASCII(aText));
+
+  registerModifier('TRUNCATE', (aText, aArgument) => {
+    let length = parseInt(aArgument, 10);
+
+    if (isNaN(length) || length < 0) {
+      return aText;
+    }
+
+    // Count a surrogate pair as one character.
+    return [...aText].slice(0, length).join('');
+  });
+
+  /**
+   * Expands the aliases in a text.
+   *
+   * @param aText {string}
+   * @param aData {string|number|array|hash} [optional]
+   *   {string|number|array}: The data for the 'DATA' source.
+   *   {hash}: The data for each source;
+   *     @key data {string|number|array}
+   *     @key url {string}
+   *     @key title {string}
+   *     @key link {string}
+   *     @key image {string}
+   *     @key selection {string}
+   * @return {string}
+   */
+  function expand(aText, aData) {
+    let data = aData;
+
+    if (data === undefined || data === null) {
+      data = {};
+    }
+    else if (typeof data !== 'object' || Array.isArray(data)) {
+      data = {data};
+    }
+
+    // The items of the passed data that are consumed by the aliases in order.
+    let dataItems =
+      Array.isArray(data.data) ? data.data.slice() : null;
+
+    return aText.replace(kAliasPattern, (match, alias) => {
+      let names = alias.split(kAliasSplitter);
+      let sourceName = 'data';
+
+      if (mSources.has(names[0].toLowerCase())) {
+        sourceName = names.shift().toLowerCase();
+      }
+
+      let modifiers = [];
+
+      let isValid = names.every((name) => {
+        let [key, argument] = splitArgument(name);
+        let modifier = mModifiers.get(key.toLowerCase());
+
+        if (modifier) {
+          modifiers.push([modifier, argument]);
+        }
+
+        return !!modifier;
+      });
+
+      if (!isValid) {
+        return match;
+      }
+
+      let value;
+
+      if (sourceName === 'data' && dataItems) {
+        if (!dataItems.length) {
+          return match;
+        }
+
+        value = dataItems.shift();
+      }
+      else {
+        value = mSources.get(sourceName)(data);
+      }
+
+      let text = (value === undefined || value === null) ? '' : value + '';
+
+      modifiers.forEach(([modifier, argument]) => {
+        text = modifier(text, argument);
+      });
+
+      return text;
+    });
   }
 
-  if (!aTab.hidden && aTab !== gBrowser.selectedTab) {
-    gBrowser.selectedTab = aTab;
+  function splitArgument(aName) {
+    let index = aName.indexOf(kArgumentSplitter);
+
+    if (index < 0) {
+      return [aName, undefined];
+    }
+
+    return [aName.slice(0, index), aName.slice(index + 1)];
   }
 
-  let tabs = gBrowser.visibleTabs;
+  /**
+   * Registers a data source.
+   *
+   * @param aNames {string|string[]}
+   *   The name and its aliases of [A-Za-z0-9_].
+   * @param aGetter {function}
+   *   @param aData {hash} The data passed to |expand|.
+   *   @return {string}
+   */
+  function registerSource(aNames, aGetter) {
+    register(mSources, aNames, aGetter);
+  }
 
-  for (let i = tabs.length - 1, tab; i >= 0; i--) {
-    tab = tabs[i];
+  /**
+   * Registers a modifier.
+   *
+   * @param aNames {string|string[]}
+   *   The name and its aliases of [A-Za-z0-9_].
+   * @param aModifier {function}
+   *   @param aText {string}
+   *   @param aArgument {string} [optional]
+   *   @return {string}
+   */
+  function registerModifier(aNames, aModifier) {
+    register(mModifiers, aNames, aModifier);
+  }
 
-    if (tab !== aTab && !tab.pinned) {
-      removeTab(tab, {safeClose: true});
+  function register(aMap, aNames, aValue) {
+    if (!Array.isArray(aNames)) {
+      aNames = [aNames];
     }
+
+    aNames.forEach((name) => {
+      if (!/^[a-z]\w*$/i.test(name)) {
+        throw Error('Invalid name for template: ' + name);
+      }
+
+      aMap.set(name.toLowerCase(), aValue);
+    });
   }
-}
 
-/**
- * Miscellaneous functions.
- */
-function restartFx(aOption = {}) {
+  return {
+    expand,
+    registerSource,
+    registerModifier
+  };
+})();
+
+function openHomePages(aOption = {}) {
   let {
-    purgeCaches
+    doReplace,
+    onlyFirstPage
   } = aOption;
 
-  // @see chrome://global/content/globalOverlay.js::canQuitApplication
-  if (!window.canQuitApplication('restart')) {
-    return;
+  // @see chrome://browser/content/browser.js::gHomeButton
+  let homePages = window.gHomeButton.getHomePage().split('|');
+
+  if (onlyFirstPage) {
+    homePages = homePages[0];
+  }
+
+  openTabs(homePages, {
+    doReplace,
+    skipSecurityCheck: true
+  });
+}
+
+function openTabs(aURLs, aOption = {}) {
+  if (typeof aURLs === 'string') {
+    aURLs = aURLs.split('|');
+  }
+
+  if (!Array.isArray(aURLs) || aURLs.length === 0) {
+    return;
+  }
+
+  let {
+    inBackground,
+    doReplace
+  } = aOption;
+
+  let firstTabAdded;
+
+  if (doReplace) {
+    // @see chrome://browser/content/browser.js::BrowserOpenTab
+    window.BrowserOpenTab();
+
+    removeAllTabsBut(gBrowser.selectedTab);
+
+    firstTabAdded = loadPage(aURLs.shift(), aOption);
+  }
+  else {
+    if (!inBackground) {
+      firstTabAdded = openTab(aURLs.shift(), aOption);
+    }
+  }
+
+  aURLs.forEach((url) => {
+    openTab(url, aOption);
+  });
+
+  if (firstTabAdded) {
+    gBrowser.selectedTab = firstTabAdded;
+  }
+}
+
+function openURL(aURL, aOption = {}) {
+  let {
+    inTab
+  } = aOption;
+
+  if (inTab) {
+    return openTab(aURL, aOption);
+  }
+
+  return loadPage(aURL, aOption);
+}
+
+function openTab(aURL, aOption = {}) {
+  let URL = resolveURL(aURL);
+
+  if (!URL) {
+    return;
+  }
+
+  let {
+    inBackground,
+    skipSecurityCheck,
+    trustURL,
+    allowImageData
+  } = aOption;
+
+  if (!skipSecurityCheck) {
+    checkSecurity(URL, {
+      trustURL,
+      allowImageData
+    });
+  }
+
+  // @note Set |inBackground| to explicit |false| to open in a foreground tab.
+  // Since it will default to the |browser.tabs.loadInBackground| preference in
+  // |gBrowser.loadOneTab| if |undefined|.
+  aOption.inBackground = inBackground === true;
+
+  return gBrowser.loadOneTab(URL, aOption);
+}
+
+function loadPage(aURL, aOption = {}) {
+  let URL = resolveURL(aURL);
+
+  if (!URL) {
+    return;
+  }
+
+  let {
+    referrerURI,
+    charset,
+    postData,
+    allowThirdPartyFixup,
+    fromExternal,
+    allowMixedContent,
+    skipSecurityCheck,
+    trustURL,
+    allowImageData
+  } = aOption;
+
+  if (!skipSecurityCheck) {
+    checkSecurity(URL, {
+      trustURL,
+      allowImageData
+    });
+  }
+
+  let flags = Ci.nsIWebNavigation.LOAD_FLAGS_NONE;
+
+  if (allowThirdPartyFixup) {
+    flags |= Ci.nsIWebNavigation.LOAD_FLAGS_ALLOW_THIRD_PARTY_FIXUP;
+    flags |= Ci.nsIWebNavigation.LOAD_FLAGS_FIXUP_SCHEME_TYPOS;
+  }
+
+  if (fromExternal) {
+    flags |= Ci.nsIWebNavigation.LOAD_FLAGS_FROM_EXTERNAL;
+  }
+
+  if (allowMixedContent) {
+    flags |= Ci.nsIWebNavigation.LOAD_FLAGS_ALLOW_MIXED_CONTENT;
+  }
+
+  gBrowser.loadURIWithFlags(URL, flags, referrerURI, charset, postData);
+
+  return gBrowser.selectedTab;
+}
+
+/**
+ * Opens a tab and waits for its page to be ready.
+ *
+ * @param aURL {string}
+ * @param aOption {hash} [optional]
+ *   The options of |openTab| and |promiseTabReady|.
+ * @return {Promise}
+ *   @see |promiseTabReady|
+ *   @note Rejected if the URL is invalid.
+ */
+function promiseOpenTab(aURL, aOption = {}) {
+  return promiseTabLoad(() => openTab(aURL, Object.assign({}, aOption)),
+    aOption);
+}
+
+/**
+ * Loads a page in the current tab and waits for it to be ready.
+ *
+ * @param aURL {string}
+ * @param aOption {hash} [optional]
+ *   The options of |loadPage| and |promiseTabReady|.
+ * @return {Promise}
+ *   @see |promiseTabReady|
+ *   @note Rejected if the URL is invalid.
+ */
+function promiseLoadPage(aURL, aOption = {}) {
+  return promiseTabLoad(() => loadPage(aURL, Object.assign({}, aOption)),
+    aOption);
+}
+
+function promiseTabLoad(aLoader, aOption) {
+  let tab = aLoader();
+
+  if (!tab) {
+    return Promise.reject(Error('Invalid URL'));
+  }
+
+  return promiseTabReady(tab, Object.assign({}, aOption, {
+    // Wait for the new page even if the current one is ready.
+    waitForLoad: true
+  }));
+}
+
+/**
+ * Waits for the page of a tab to be ready.
+ *
+ * @param aTab {Element}
+ * @param aOption {hash} [optional]
+ *   @key readyState {string} [optional]
+ *     'DOMContentLoaded': The document is parsed.
+ *     'load': The document and its resources are loaded. (default)
+ *     'idle': A while after 'load' and no loading remains.
+ *   @key timeout {number} [optional]
+ *     The time in milliseconds to reject. Set 0 to wait forever.
+ *     (default: 30000)
+ *   @key waitForLoad {boolean} [optional]
+ *     Wait for the next load even if the current page is ready.
+ * @return {Promise}
+ *   onResolve: {Element}
+ *     Resolved with the tab.
+ *   onReject: {Error}
+ *     Rejected when timed out, cancelled or the tab is closed.
+ *   @note The promise has the method |cancel()| to stop waiting.
+ *
+ * @usage
+ * let promise = promiseOpenTab(URL, {readyState: 'DOMContentLoaded'});
+ * promise.then((aTab) => {...});
+ * promise.cancel();
+ */
+function promiseTabReady(aTab, aOption = {}) {
+  const kDefaultTimeout = 30000;
+  const kIdleDelay = 500;
+
+  let {
+    readyState = 'load',
+    timeout = kDefaultTimeout,
+    waitForLoad
+  } = aOption;
+
+  let browser = aTab.linkedBrowser;
+  let timer = null;
+  let idleTimer = null;
+  let settle;
+
+  let promise = new Promise((aResolve, aReject) => {
+    settle = (aError) => {
+      uninit();
+
+      if (aError) {
+        aReject(aError);
+      }
+      else {
+        aResolve(aTab);
+      }
+    };
+
+    if (readyState !== 'DOMContentLoaded' && readyState !== 'load' &&
+        readyState !== 'idle') {
+      settle(Error('Invalid readyState: ' + readyState));
+
+      return;
+    }
+
+    if (!waitForLoad && isReady()) {
+      onReady();
+
+      return;
+    }
+
+    browser.addEventListener('DOMContentLoaded', onLoad, true);
+    browser.addEventListener('load', onLoad, true);
+    aTab.addEventListener('TabClose', onTabClose, false);
+
+    if (timeout > 0) {
+      timer = Timer.setTimeout(() => settle(Error('Timed out')), timeout);
+    }
+  });
+
+  promise.cancel = () => {
+    if (settle) {
+      settle(Error('Cancelled'));
+    }
+  };
+
+  function isReady() {
+    let doc = browser.contentDocument;
+
+    if (!doc || browser.webProgress.isLoadingDocument) {
+      return false;
+    }
+
+    return readyState === 'DOMContentLoaded' ?
+      doc.readyState !== 'loading' :
+      doc.readyState === 'complete';
+  }
+
+  function onLoad(aEvent) {
+    let doc = aEvent.originalTarget;
+
+    // Only the top level document. The initial blank document of a new tab
+    // is ignored when waiting for the next load.
+    if (doc !== browser.contentDocument ||
+        (waitForLoad && doc.URL === 'about:blank')) {
+      return;
+    }
+
+    let isDOMContentLoaded = aEvent.type === 'DOMContentLoaded';
+
+    if ((readyState === 'DOMContentLoaded') === isDOMContentLoaded) {
+      onReady();
+    }
+  }
+
+  function onReady() {
+    if (readyState !== 'idle') {
+      settle();
+
+      return;
+    }
+
+    // Wait until no loading remains.
+    let waitIdle = () => {
+      idleTimer = Timer.setTimeout(() => {
+        if (browser.webProgress.isLoadingDocument) {
+          waitIdle();
+        }
+        else {
+          settle();
+        }
+      }, kIdleDelay);
+    };
+
+    waitIdle();
+  }
+
+  function onTabClose() {
+    settle(Error('Tab closed'));
+  }
+
+  function uninit() {
+    settle = null;
+
+    browser.removeEventListener('DOMContentLoaded', onLoad, true);
+    browser.removeEventListener('load', onLoad, true);
+    aTab.removeEventListener('TabClose', onTabClose, false);
+
+    if (timer) {
+      Timer.clearTimeout(timer);
+      timer = null;
+    }
+
+    if (idleTimer) {
+      Timer.clearTimeout(idleTimer);
+      idleTimer = null;
+    }
+  }
+
+  return promise;
+}
+
+/**
+ * Alternative |gBrowser.removeTab|.
+ *
+ * @see chrome://browser/content/tabbrowser.xml::removeTab
+ */
+function removeTab(aTab, aOption = {}) {
+  let {
+    safeClose
+  } = aOption;
+
+  if (safeClose) {
+    // Do not close;
+    // 1.Pinned tab.
+    // 2.Only one unpinned tab.
+    if (aTab.pinned ||
+        gBrowser.visibleTabs.length - gBrowser._numPinnedTabs <= 1) {
+      return;
+    }
+  }
+
+  gBrowser.removeTab(aTab);
+}
+
+/**
+ * Alternative |gBrowser.removeAllTabsBut|.
+ *
+ * 1.Does not warn against closing multiple tabs.
+ * 2.Does not close blocked tabs.
+ *
+ * @see chrome://browser/content/tabbrowser.xml::removeAllTabsBut
+ */
+function removeAllTabsBut(aTab) {
+  if (aTab.pinned) {
+    return;
+  }
+
+  if (!aTab.hidden && aTab !== gBrowser.selectedTab) {
+    gBrowser.selectedTab = aTab;
+  }
+
+  let tabs = gBrowser.visibleTabs;
+
+  for (let i = tabs.length - 1, tab; i >= 0; i--) {
+    tab = tabs[i];
+
+    if (tab !== aTab && !tab.pinned) {
+      removeTab(tab, {safeClose: true});
+    }
+  }
+}
+
+/**
+ * Miscellaneous functions.
+ */
+function restartFx(aOption = {}) {
+  let {
+    purgeCaches
+  } = aOption;
+
+  // @see chrome://global/content/globalOverlay.js::canQuitApplication
+  if (!window.canQuitApplication('restart')) {
+    return;
+  }
+
+  if (purgeCaches) {
+    Services.appinfo.invalidateCachesOnRestart();
+  }
+
+  // WORKAROUND: In Fx30, the browser cannot often restart on resume startup,
+  // so set the preference to force to restore the session.
+  Prefs.set('browser.sessionstore.resume_session_once', true);
+
+  Services.startup.
+    quit(Ci.nsIAppStartup.eAttemptQuit | Ci.nsIAppStartup.eRestart);
+}
+
+function setGlobalStyleSheet(aCSS, aType) {
+  return registerGlobalStyleSheet(aCSS, aType);
+}
+
+function removeGlobalStyleSheet(aCSS, aType) {
+  return registerGlobalStyleSheet(aCSS, aType, {remove: true});
+}
+
+function registerGlobalStyleSheet(aCSS, aType, aOption = {}) {
+  let {
+    remove
+  } = aOption;
+
+  let css = normalizeCSS(aCSS);
+
+  if (!css) {
+    return;
+  }
+
+  let URI;
+
+  try {
+    // @see chrome://global/content/contentAreaUtils.js::makeURI
+    URI = window.makeURI('data:text/css,' + encodeURIComponent(css));
+  }
+  catch (ex) {
+    return;
+  }
+
+  const styleSheetService = Services.StyleSheetService;
+
+  let type;
+
+  switch (aType) {
+    case 'AGENT_SHEET':
+    case 'USER_SHEET':
+    case 'AUTHOR_SHEET':
+      type = styleSheetService[aType];
+      break;
+
+    default:
+      return;
+  }
+
+  let registered = styleSheetService.sheetRegistered(URI, type);
+
+  if (!remove && !registered) {
+    styleSheetService.loadAndRegisterSheet(URI, type);
+  }
+  else if (remove && registered) {
+    styleSheetService.unregisterSheet(URI, type);
+  }
+}
+
+function setChromeStyleSheet(aCSS) {
+  let css = normalizeCSS(aCSS);
+
+  if (!css) {
+    return;
+  }
+
+  let doc = window.document;
+
+  let dataURI = 'data:text/css,' + encodeURIComponent(css);
+
+  if ([...doc.styleSheets].some((sheet) => sheet.href === dataURI)) {
+    return;
+  }
+
+  let newStyleSheet = doc.createProcessingInstruction(
+    'xml-stylesheet',
+    `type="text/css" href="${dataURI}"`
+  );
+
+  return doc.insertBefore(newStyleSheet, doc.documentElement);
+}
+
+function setContentStyleSheet(aCSS, aOption = {}) {
+  let {
+    document,
+    id
+  } = aOption;
+
+  let css = normalizeCSS(aCSS);
+
+  if (!css) {
+    return;
+  }
+
+  let doc = document || getFocusedDocument();
+
+  if (!doc.head) {
+    return;
+  }
+
+  if (id) {
+    let old = doc.getElementById(id);
+
+    if (old) {
+      if (old.textContent === css) {
+        return;
+      }
+
+      old.parentNode.removeChild(old);
+    }
+  }
+
+  let style = doc.createElement('style');
+
+  style.type = 'text/css';
+
+  if (id) {
+    style.id = id;
+  }
+
+  style.textContent = css;
+
+  return doc.head.appendChild(style);
+}
+
+function normalizeCSS(aCSS) {
+  // @note You should put a 'half-width space' for the separator of;
+  // 1.The descendant selector (e.g. h1 em{...}).
+  // 2.The shorthand properties (e.g. margin:1px 2px;).
+
+  return aCSS.trim().
+    // Put half-width spaces into one (maybe a necessary separator).
+    replace(/ +/g, ' ').
+    // Remove consecutive white spaces.
+    replace(/\s{2,}/g, '').
+    // Remove comments.
+    replace(/\s*\/\*.*?\*\/\s*/g, '');
+}
+
+/**
+ * Query the Places database asynchronously.
+ *
+ * @param aParam {hash}
+ *   sql: {string}
+ *     A SQL statement to execute.
+ *   params: {hash} [optional]
+ *     The binding parameters.
+ *   columns: {array}
+ *     The column names.
+ * @return {Promise}
+ *   onResolve: {hash[]|null}
+ *     Resolved with an array of name-value hashes whose names are associated
+ *     with |columns|, or null if no result.
+ *   onReject: {Error}
+ *     Rejected with an error object.
+ *
+ * TODO: Handle cancelling by user.
+ */
+function promisePlacesDBResult(aParam = {}) {
+  const {
+    sql,
+    params,
+    columns
+  } = aParam;
+
+  return Task.spawn(function*() {
+    // @see resource://gre/modules/PlacesUtils.jsm
+    const {PlacesUtils} = getModule('gre/modules/PlacesUtils.jsm');
+
+    let dbConnection = yield PlacesUtils.promiseDBConnection();
+
+    let rows = yield dbConnection.executeCached(sql, params);
+
+    let result = [];
+
+    for (let row of rows) {
+      let values = {};
+
+      columns.forEach((aName) => {
+        values[aName] = row.getResultByName(aName);
+      });
+
+      result.push(values);
+    }
+
+    if (!result.length) {
+      return null;
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Query helpers for the Places database.
+ *
+ * @note The results are the same as |promisePlacesDBResult|; resolved with an
+ * array of name-value hashes, or null if no result.
+ * @note The common options of the list queries:
+ *   @key limit {integer} [optional]
+ *     The maximum number of rows. -1 or undefined for all rows.
+ *   @key offset {integer} [optional]
+ *     The number of rows to skip for paging.
+ *   @key cache {boolean|integer} [optional]
+ *     Reuse the result of the same query within the lifetime in milliseconds.
+ *     true for the default lifetime.
+ *     @note Don't modify the rows of a cached result.
+ */
+const PlacesQuery = (function() {
+  const kCacheLifetime = 5000;
+
+  // The schemes of the URL that are recorded in the history.
+  const kRecordableURL = /^(?:https?|ftp|file):/;
+
+  /**
+   * The cached results.
+   *
+   * @key {string} The SQL and the parameters.
+   * @value {hash}
+   *   @key promise {Promise}
+   *   @key expires {number}
+   */
+  let mCache = new Map();
+
+  /**
+   * Executes a SQL statement with the binding parameters.
+   *
+   * @param aParam {hash}
+   *   sql: {string}
+   *   params: {hash} [optional]
+   *   columns: {array}
+   *   limit, offset, cache: @see the common options.
+   * @return {Promise}
+   */
+  function query(aParam) {
+    let {
+      sql,
+      params,
+      columns,
+      limit,
+      offset,
+      cache
+    } = aParam;
+
+    params = Object.assign({}, params);
+
+    if ((limit !== undefined && limit >= 0) || offset > 0) {
+      sql += ' LIMIT :pagingLimit OFFSET :pagingOffset';
+      params.pagingLimit = (limit !== undefined && limit >= 0) ? limit : -1;
+      params.pagingOffset = offset > 0 ? offset : 0;
+    }
+
+    if (!cache) {
+      return promisePlacesDBResult({sql, params, columns});
+    }
+
+    let key = sql + '\n' + JSON.stringify(params);
+    let now = Date.now();
+    let cached = mCache.get(key);
+
+    if (cached && cached.expires > now) {
+      return cached.promise;
+    }
+
+    let lifetime = (cache === true) ? kCacheLifetime : cache;
+
+    let promise = promisePlacesDBResult({sql, params, columns});
+
+    promise.catch(() => mCache.delete(key));
+
+    mCache.set(key, {
+      promise,
+      expires: now + lifetime
+    });
+
+    purgeCache(now);
+
+    return promise;
+  }
+
+  function purgeCache(aNow) {
+    for (let [key, {expires}] of mCache) {
+      if (expires <= aNow) {
+        mCache.delete(key);
+      }
+    }
+  }
+
+  function clearCache() {
+    mCache.clear();
+  }
+
+  /**
+   * Tests whether the visits of a URL can be recorded in the history.
+   */
+  function isRecordable(aURL) {
+    return !!aURL && kRecordableURL.test(aURL);
+  }
+
+  /**
+   * Recent history entries in their visited date order from newest.
+   *
+   * @param aOption {hash} [optional]
+   *   limit, offset, cache: @see the common options.
+   * @return {Promise}
+   *   onResolve: {hash[]|null}
+   *     @key title {string}
+   *     @key url {string}
+   *     @key time {number} The last visit date in microseconds.
+   *     @key icon {string} The favicon URL.
+   */
+  function getRecentHistory(aOption = {}) {
+    let sql = [
+      "SELECT p.title, p.url, MAX(h.visit_date) time, f.url icon",
+      "FROM moz_places p",
+      "JOIN moz_historyvisits h ON p.id = h.place_id",
+      "LEFT JOIN moz_favicons f ON p.favicon_id = f.id",
+      "WHERE p.hidden = 0",
+      "GROUP BY p.id",
+      "ORDER BY time DESC"
+    ].join(' ');
+
+    return query(Object.assign({}, aOption, {
+      sql,
+      columns: ['title', 'url', 'time', 'icon']
+    }));
+  }
+
+  /**
+   * History entries visited in a date range, in their visited date order
+   * from newest.
+   *
+   * @param aOption {hash}
+   *   @key from {Date|number} [optional]
+   *     The start date (in milliseconds for a number).
+   *   @key to {Date|number} [optional]
+   *     The end date (in milliseconds for a number).
+   *   @key text {string} [optional]
+   *     A text to match the title or URL.
+   *   limit, offset, cache: @see the common options.
+   * @return {Promise}
+   *   onResolve: {hash[]|null}
+   *     @see |getRecentHistory|
+   */
+  function searchHistory(aOption = {}) {
+    let {
+      from,
+      to,
+      text
+    } = aOption;
+
+    let conditions = ["p.hidden = 0"];
+    let params = {};
+
+    if (from !== undefined) {
+      conditions.push("h.visit_date >= :from");
+      params.from = toPRTime(from);
+    }
+
+    if (to !== undefined) {
+      conditions.push("h.visit_date <= :to");
+      params.to = toPRTime(to);
+    }
+
+    if (text) {
+      conditions.push(
+        "(p.title LIKE :text ESCAPE '/' OR p.url LIKE :text ESCAPE '/')");
+      params.text = '%' + text.replace(/[/%_]/g, '/$&') + '%';
+    }
+
+    let sql = [
+      "SELECT p.title, p.url, MAX(h.visit_date) time, f.url icon",
+      "FROM moz_places p",
+      "JOIN moz_historyvisits h ON p.id = h.place_id",
+      "LEFT JOIN moz_favicons f ON p.favicon_id = f.id",
+      "WHERE " + conditions.join(' AND '),
+      "GROUP BY p.id",
+      "ORDER BY time DESC"
+    ].join(' ');
+
+    return query(Object.assign({}, aOption, {
+      sql,
+      params,
+      columns: ['title', 'url', 'time', 'icon']
+    }));
+  }
+
+  /**
+   * The visits of a URL in their date order from newest.
+   *
+   * @param aURL {string}
+   * @param aOption {hash} [optional]
+   *   limit, offset, cache: @see the common options.
+   * @return {Promise}
+   *   onResolve: {hash[]|null}
+   *     @key time {number} The visit date in microseconds.
+   *     @key type {integer} The transition type.
+   *     @key icon {string} The favicon URL.
+   *   @note Resolved with null for a URL that is not recorded in the history.
+   */
+  function getVisits(aURL, aOption = {}) {
+    if (!isRecordable(aURL)) {
+      return Promise.resolve(null);
+    }
+
+    let sql = [
+      "SELECT h.visit_date time, h.visit_type type, f.url icon",
+      "FROM moz_places p",
+      "JOIN moz_historyvisits h ON p.id = h.place_id",
+      "LEFT JOIN moz_favicons f ON p.favicon_id = f.id",
+      "WHERE p.url = :url",
+      "ORDER BY h.visit_date DESC"
+    ].join(' ');
+
+    return query(Object.assign({}, aOption, {
+      sql,
+      params: {url: aURL},
+      columns: ['time', 'type', 'icon']
+    }));
+  }
+
+  /**
+   * The newest URL from which a URL was visited.
+   *
+   * @param aURL {string}
+   * @return {Promise}
+   *   onResolve: {string|null}
+   *
+   * @see https://wiki.mozilla.org/Places:Design_Overview#Models
+   */
+  function getSourceURL(aURL) {
+    if (!isRecordable(aURL)) {
+      return Promise.resolve(null);
+    }
+
+    let sql = [
+      "SELECT p1.url",
+      "FROM moz_places p1",
+      "JOIN moz_historyvisits h1 ON h1.place_id = p1.id",
+      "JOIN moz_historyvisits h2 ON h2.from_visit = h1.id",
+      "JOIN moz_places p2 ON p2.id = h2.place_id",
+      "WHERE p2.url = :url",
+      "ORDER BY h1.visit_date DESC"
+    ].join(' ');
+
+    return query({
+      sql,
+      params: {url: aURL},
+      columns: ['url'],
+      limit: 1
+    }).
+    then((aRows) => aRows ? aRows[0].url : null);
+  }
+
+  /**
+   * Tests whether a URL is bookmarked.
+   *
+   * @param aURL {string}
+   * @return {Promise}
+   *   onResolve: {boolean}
+   */
+  function isBookmarked(aURL) {
+    let sql = [
+      "SELECT b.id",
+      "FROM moz_bookmarks b",
+      "JOIN moz_places p ON p.id = b.fk",
+      "WHERE p.url = :url"
+    ].join(' ');
+
+    return query({
+      sql,
+      params: {url: aURL},
+      columns: ['id'],
+      limit: 1
+    }).
+    then((aRows) => !!aRows);
+  }
+
+  /**
+   * The bookmarks with keywords.
+   *
+   * @param aOption {hash} [optional]
+   *   limit, offset, cache: @see the common options.
+   * @return {Promise}
+   *   onResolve: {hash[]|null}
+   *     @key title {string}
+   *     @key keyword {string}
+   *     @key url {string}
+   */
+  function getBookmarkKeywords(aOption = {}) {
+    let sql = [
+      "SELECT b.title, k.keyword, p.url",
+      "FROM moz_bookmarks b",
+      "JOIN moz_keywords k ON k.id = b.keyword_id",
+      "JOIN moz_places p ON p.id = b.fk",
+      "ORDER BY k.keyword"
+    ].join(' ');
+
+    return query(Object.assign({}, aOption, {
+      sql,
+      columns: ['title', 'keyword', 'url']
+    }));
+  }
+
+  /**
+   * The most frequently and recently visited pages.
+   *
+   * @param aOption {hash} [optional]
+   *   limit, offset, cache: @see the common options.
+   * @return {Promise}
+   *   onResolve: {hash[]|null}
+   *     @key title {string}
+   *     @key url {string}
+   *     @key frecency {integer}
+   *     @key icon {string}
+   */
+  function getTopFrecency(aOption = {}) {
+    let sql = [
+      "SELECT p.title, p.url, p.frecency, f.url icon",
+      "FROM moz_places p",
+      "LEFT JOIN moz_favicons f ON p.favicon_id = f.id",
+      "WHERE p.hidden = 0 AND p.frecency > 0",
+      "ORDER BY p.frecency DESC"
+    ].join(' ');
+
+    return query(Object.assign({}, aOption, {
+      sql,
+      columns: ['title', 'url', 'frecency', 'icon']
+    }));
+  }
+
+  /**
+   * The favicon URL of a page.
+   *
+   * @param aURL {string}
+   * @param aOption {hash} [optional]
+   *   cache: @see the common options.
+   * @return {Promise}
+   *   onResolve: {string|null}
+   */
+  function getFavicon(aURL, aOption = {}) {
+    let sql = [
+      "SELECT f.url icon",
+      "FROM moz_places p",
+      "JOIN moz_favicons f ON p.favicon_id = f.id",
+      "WHERE p.url = :url"
+    ].join(' ');
+
+    return query({
+      sql,
+      params: {url: aURL},
+      columns: ['icon'],
+      limit: 1,
+      cache: aOption.cache
+    }).
+    then((aRows) => aRows ? aRows[0].icon : null);
+  }
+
+  /**
+   * Converts a date into PRTime (microseconds) of the Places database.
+   */
+  function toPRTime(aDate) {
+    let time = (aDate instanceof Date) ? aDate.getTime() : aDate;
+
+    return time * 1000;
+  }
+
+  return {
+    query,
+    clearCache,
+    isRecordable,
+    getRecentHistory,
+    searchHistory,
+    getVisits,
+    getSourceURL,
+    isBookmarked,
+    getBookmarkKeywords,
+    getTopFrecency,
+    getFavicon
+  };
+})();
+
+/**
+ * Persistent settings of the scripts.
+ *
+ * @note The values are stored in the preferences under the branch
+ * 'ucjs.<script>.' (e.g. 'ucjs.TabEx.SUSPEND_DELAY'). Only the values that
+ * differ from the defaults are stored.
+ * @note The settings of all scripts in this window are listed by
+ * |getSettingsList| (e.g. for a preferences dialog).
+ */
+const SettingsStore = (function() {
+  const kBranchFormat = 'ucjs.%script%.';
+
+  const kTypes = ['boolean', 'integer', 'number', 'string', 'list'];
+
+  /**
+   * The settings of the scripts in this window.
+   *
+   * @key {string} The script name.
+   * @value {hash} The settings.
+   */
+  let mSettingsList = new Map();
+
+  /**
+   * Creates the settings of a script.
+   *
+   * @param aScript {string}
+   *   The script name of [A-Za-z0-9_-] (e.g. 'TabEx').
+   * @param aSchema {hash}
+   *   @key {string} A setting name.
+   *   @value {hash}
+   *     @key type {string}
+   *       'boolean', 'integer', 'number', 'string' or 'list'.
+   *     @key default {boolean|number|string|array}
+   *     @key description {string} [optional]
+   *     @key min {number} [optional for 'integer' and 'number']
+   *     @key max {number} [optional for 'integer' and 'number']
+   *     @key choices {array} [optional]
+   *       The allowed values, or the allowed items for 'list'.
+   *       Each is a value or {value, label}.
+   *     @key itemType {string} [optional for 'list']
+   *       'string' (default), 'integer' or 'number'.
+   * @return {hash}
+   *   @key script {string}
+   *   @key branch {string} The preference branch.
+   *   @key schema {hash}
+   *   @key values {hash}
+   *     The live values that are accessible as the properties.
+   *   @key get {function}
+   *   @key set {function}
+   *   @key validate {function}
+   *   @key reset {function}
+   *   @key isDefault {function}
+   *   @key getAll {function}
+   *   @key setAll {function}
+   *   @key resetAll {function}
+   *   @key addListener {function}
+   *   @key removeListener {function}
+   *
+   * @usage
+   * const kPref = createSettings('Foo', {
+   *   delay: {type: 'integer', default: 500, min: 0, description: '...'}
+   * }).values;
+   * setTimeout(foo, kPref.delay);
+   */
+  function create(aScript, aSchema) {
+    if (!/^[\w-]+$/.test(aScript)) {
+      throw Error('Invalid script name for settings: ' + aScript);
+    }
+
+    for (let key in aSchema) {
+      checkSchema(key, aSchema[key]);
+    }
+
+    let branch = kBranchFormat.replace('%script%', aScript);
+    let listeners = new Set();
+
+    let getPrefName = (aKey) => branch + aKey;
+
+    function getSchema(aKey) {
+      if (!aSchema.hasOwnProperty(aKey)) {
+        throw Error('Unknown setting: ' + aScript + '.' + aKey);
+      }
+
+      return aSchema[aKey];
+    }
+
+    function get(aKey) {
+      let schema = getSchema(aKey);
+      let prefName = getPrefName(aKey);
+
+      if (!Prefs.has(prefName)) {
+        return copyValue(schema.default);
+      }
+
+      let value = Prefs.get(prefName);
+
+      if (schema.type === 'number') {
+        value = Number(value);
+      }
+      else if (schema.type === 'list') {
+        try {
+          value = JSON.parse(value);
+        }
+        catch (ex) {
+          value = null;
+        }
+      }
+
+      let {value: validValue, error} = checkValue(schema, value);
+
+      if (error) {
+        log(['Invalid value is stored: ' + prefName, error]);
+
+        return copyValue(schema.default);
+      }
+
+      return validValue;
+    }
+
+    /**
+     * Validates a value.
+     *
+     * @param aKey {string}
+     * @param aValue {*}
+     * @return {hash}
+     *   @key value {*} The value converted to the type.
+     *   @key error {string} The reason of invalid, or empty string if valid.
+     */
+    function validate(aKey, aValue) {
+      return checkValue(getSchema(aKey), aValue);
+    }
+
+    /**
+     * Sets a value.
+     *
+     * @param aKey {string}
+     * @param aValue {*}
+     * @throws {Error} The value is invalid.
+     */
+    function set(aKey, aValue) {
+      let schema = getSchema(aKey);
+      let {value, error} = checkValue(schema, aValue);
+
+      if (error) {
+        throw Error(aScript + '.' + aKey + ': ' + error);
+      }
+
+      if (isEqual(value, schema.default)) {
+        reset(aKey);
+
+        return;
+      }
+
+      let prefValue = value;
+
+      if (schema.type === 'number') {
+        prefValue = String(value);
+      }
+      else if (schema.type === 'list') {
+        prefValue = JSON.stringify(value);
+      }
+
+      Prefs.set(getPrefName(aKey), prefValue);
+    }
+
+    function reset(aKey) {
+      getSchema(aKey);
+
+      Prefs.reset(getPrefName(aKey));
+    }
+
+    function isDefault(aKey) {
+      return isEqual(get(aKey), getSchema(aKey).default);
+    }
+
+    function getAll() {
+      let all = {};
+
+      for (let key in aSchema) {
+        all[key] = get(key);
+      }
+
+      return all;
+    }
+
+    /**
+     * Sets the values.
+     *
+     * @param aValues {hash}
+     * @return {string[]}
+     *   The errors of the invalid values that are not set.
+     *
+     * @note The unknown keys are ignored.
+     */
+    function setAll(aValues) {
+      let errors = [];
+
+      for (let key in aValues) {
+        if (!aSchema.hasOwnProperty(key)) {
+          continue;
+        }
+
+        try {
+          set(key, aValues[key]);
+        }
+        catch (ex) {
+          errors.push(ex.message);
+        }
+      }
+
+      return errors;
+    }
+
+    function resetAll() {
+      for (let key in aSchema) {
+        reset(key);
+      }
+    }
+
+    /**
+     * Adds a listener of the change of a value.
+     *
+     * @param aListener {function}
+     *   @param aKey {string}
+     *   @param aValue {*} The new value.
+     */
+    function addListener(aListener) {
+      listeners.add(aListener);
+    }
+
+    function removeListener(aListener) {
+      listeners.delete(aListener);
+    }
+
+    let values = {};
+
+    Object.keys(aSchema).forEach((key) => {
+      Object.defineProperty(values, key, {
+        get: () => get(key),
+        enumerable: true
+      });
+    });
+
+    let prefBranch = Services.prefs.getBranch(branch);
+
+    let observer = {
+      observe(aSubject, aTopic, aData) {
+        if (!aSchema.hasOwnProperty(aData)) {
+          return;
+        }
+
+        let value = get(aData);
+
+        listeners.forEach((listener) => {
+          try {
+            listener(aData, value);
+          }
+          catch (ex) {
+            Cu.reportError(ex);
+          }
+        });
+      }
+    };
+
+    prefBranch.addObserver('', observer, false);
+
+    let settings = {
+      script: aScript,
+      branch,
+      schema: aSchema,
+      values,
+      get,
+      set,
+      validate,
+      reset,
+      isDefault,
+      getAll,
+      setAll,
+      resetAll,
+      addListener,
+      removeListener
+    };
+
+    mSettingsList.set(aScript, settings);
+
+    let uninit = () => {
+      window.removeEventListener('unload', uninit, false);
+
+      prefBranch.removeObserver('', observer);
+      listeners.clear();
+
+      if (mSettingsList.get(aScript) === settings) {
+        mSettingsList.delete(aScript);
+      }
+    };
+
+    window.addEventListener('unload', uninit, false);
+
+    let context = getScriptContext();
+
+    if (context) {
+      context.addUninitHook(uninit);
+    }
+
+    return settings;
+  }
+
+  function checkSchema(aKey, aSchema) {
+    let {type, default: defaultValue, itemType} = aSchema;
+
+    if (kTypes.indexOf(type) < 0) {
+      throw Error('Invalid type of setting: ' + aKey + ': ' + type);
+    }
+
+    if (type === 'list' && itemType &&
+        ['string', 'integer', 'number'].indexOf(itemType) < 0) {
+      throw Error('Invalid item type of setting: ' + aKey + ': ' + itemType);
+    }
+
+    let {error} = checkValue(aSchema, defaultValue);
+
+    if (error) {
+      throw Error('Invalid default of setting: ' + aKey + ': ' + error);
+    }
+  }
+
+  /**
+   * Checks a value with the schema.
+   *
+   * @param aSchema {hash}
+   * @param aValue {*}
+   * @return {hash}
+   *   @key value {*} The value converted to the type.
+   *   @key error {string} The reason of invalid, or empty string if valid.
+   */
+  function checkValue(aSchema, aValue) {
+    let {type, choices} = aSchema;
+
+    if (type === 'list') {
+      if (!Array.isArray(aValue)) {
+        return {value: aValue, error: 'Not a list'};
+      }
+
+      let itemSchema = {
+        type: aSchema.itemType || 'string',
+        choices
+      };
+
+      let list = [];
+
+      for (let item of aValue) {
+        let {value, error} = checkValue(itemSchema, item);
+
+        if (error) {
+          return {value: aValue, error: 'Invalid item: ' + error};
+        }
+
+        list.push(value);
+      }
+
+      return {value: list, error: ''};
+    }
+
+    let value = aValue;
+
+    switch (type) {
+      case 'boolean': {
+        if (typeof value !== 'boolean') {
+          return {value, error: 'Not a boolean'};
+        }
+
+        break;
+      }
+
+      case 'integer':
+      case 'number': {
+        if (typeof value === 'string' && /\S/.test(value)) {
+          value = Number(value);
+        }
+
+        if (typeof value !== 'number' || !isFinite(value)) {
+          return {value, error: 'Not a number'};
+        }
+
+        if (type === 'integer' && Math.floor(value) !== value) {
+          return {value, error: 'Not an integer'};
+        }
+
+        let {min, max} = aSchema;
+
+        if ((min !== undefined && value < min) ||
+            (max !== undefined && value > max)) {
+          return {value, error: 'Out of range: ' + formatRange(min, max)};
+        }
+
+        break;
+      }
+
+      case 'string': {
+        if (typeof value !== 'string') {
+          return {value, error: 'Not a string'};
+        }
+
+        break;
+      }
+    }
+
+    if (choices &&
+        !choices.some((choice) => getChoiceValue(choice) === value)) {
+      return {value, error: 'Not in the choices: ' + value};
+    }
+
+    return {value, error: ''};
+  }
+
+  function getChoiceValue(aChoice) {
+    return (aChoice && typeof aChoice === 'object') ? aChoice.value : aChoice;
+  }
+
+  function formatRange(aMin, aMax) {
+    return (aMin !== undefined ? aMin : '') + '..' +
+      (aMax !== undefined ? aMax : '');
+  }
+
+  function isEqual(aValue, aOtherValue) {
+    return JSON.stringify(aValue) === JSON.stringify(aOtherValue);
+  }
+
+  function copyValue(aValue) {
+    return Array.isArray(aValue) ? aValue.slice() : aValue;
+  }
+
+  /**
+   * Gets the settings of all scripts in this window.
+   *
+   * @return {hash[]}
+   *   @see |create|
+   */
+  function getList() {
+    return [...mSettingsList.values()];
+  }
+
+  return {
+    create,
+    getList
+  };
+})();
+
+/**
+ * Registry of the keyboard shortcuts of the scripts.
+ *
+ * @return {hash}
+ *   @key recorderAttribute {string}
+ *   @key register {function}
+ *   @key unregister {function}
+ *   @key getList {function}
+ *   @key getBinding {function}
+ *   @key setBinding {function}
+ *   @key resetBinding {function}
+ *   @key validateBinding {function}
+ *   @key getConflicts {function}
+ *   @key getText {function}
+ *   @key getEventKey {function}
+ *   @key addListener {function}
+ *   @key removeListener {function}
+ *
+ * [Key notation]
+ * '<modifier>+...+<key>' (e.g. 'Ctrl+Alt+[', 'Shift+Escape', 'Alt+F5')
+ * modifier: 'Ctrl', 'Alt', 'Shift', 'Meta' or 'Accel' (Ctrl, or Meta on Mac)
+ * key: A character or a key name ('Escape', 'Enter', 'Tab', 'Space',
+ *   'ArrowUp', 'PageDown', 'F1'-'F24', etc.)
+ * @note An empty string means no binding.
+ *
+ * [Preferences]
+ * ucjs.shortcuts.<id> {string}
+ *   The key that the user rebinds. Only the keys that differ from the
+ *   defaults are stored.
+ *
+ * @note The shortcuts are handled by a keydown listener at the capturing
+ * phase of the window, so they take precedence over the built-in keys of
+ * Firefox. The conflicts with the built-in keys are reported but allowed.
+ * @note A key can be bound to only one shortcut of the scripts. The
+ * shortcut registered earlier wins when the defaults conflict.
+ * @note The keydown on an element that has the attribute
+ * 'ucjs_shortcut_recorder' is not handled so that the element can record a
+ * key for the rebinding.
+ */
+const Shortcuts = (function() {
+  const kBranch = 'ucjs.shortcuts.';
+
+  const kRecorderAttribute = 'ucjs_shortcut_recorder';
+
+  const kModifiers = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+  const kAccel = (Services.appinfo.OS === 'Darwin') ? 'Meta' : 'Ctrl';
+
+  const kKeyNames = [
+    'Escape', 'Enter', 'Tab', 'Space', 'Backspace', 'Delete', 'Insert',
+    'Home', 'End', 'PageUp', 'PageDown',
+    'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
+    'ContextMenu', 'Pause', 'PrintScreen'
+  ];
+
+  // The aliases of the key names (including the old values of
+  // |KeyboardEvent.key|).
+  const kKeyAliases = {
+    'esc': 'Escape',
+    'return': 'Enter',
+    ' ': 'Space',
+    'spacebar': 'Space',
+    'back': 'Backspace',
+    'del': 'Delete',
+    'ins': 'Insert',
+    'pgup': 'PageUp',
+    'pgdn': 'PageDown',
+    'up': 'ArrowUp',
+    'down': 'ArrowDown',
+    'left': 'ArrowLeft',
+    'right': 'ArrowRight',
+    'apps': 'ContextMenu'
+  };
+
+  /**
+   * The registered shortcuts in the order of registration.
+   *
+   * @key {string} The id of a shortcut.
+   * @value {hash}
+   *   @key id {string}
+   *   @key script {string}
+   *   @key label {string}
+   *   @key defaultKey {string}
+   *   @key command {function|string}
+   */
+  let mShortcuts = new Map();
+
+  /**
+   * The map of the keys to the ids of the shortcuts.
+   *
+   * @note Rebuilt lazily after the registration or the bindings change.
+   */
+  let mKeyMap = null;
+
+  let mListeners = new Set();
+
+  let mPrefBranch = Services.prefs.getBranch(kBranch);
+
+  let mPrefObserver = {
+    observe(aSubject, aTopic, aData) {
+      if (!mShortcuts.has(aData)) {
+        return;
+      }
+
+      mKeyMap = null;
+
+      let key = getBinding(aData);
+
+      mListeners.forEach((listener) => {
+        try {
+          listener(aData, key);
+        }
+        catch (ex) {
+          Cu.reportError(ex);
+        }
+      });
+    }
+  };
+
+  window.addEventListener('keydown', onKeyDown, true);
+  mPrefBranch.addObserver('', mPrefObserver, false);
+
+  window.addEventListener('unload', function onUnload() {
+    window.removeEventListener('unload', onUnload, false);
+    window.removeEventListener('keydown', onKeyDown, true);
+    mPrefBranch.removeObserver('', mPrefObserver);
+    mShortcuts.clear();
+    mListeners.clear();
+  }, false);
+
+  /**
+   * Registers a shortcut.
+   *
+   * @param aParam {hash}
+   *   @key id {string}
+   *     The unique id of [A-Za-z0-9_-].
+   *   @key script {string}
+   *     The name of the owner script.
+   *   @key label {string}
+   *     The description for the UI.
+   *   @key key {string} [optional]
+   *     The default key. @see [Key notation]
+   *   @key command {function|string}
+   *     {function}: Called with the keydown event.
+   *     {string}: The id of a <command> to execute.
+   * @return {string} The id.
+   * @throws {Error} The parameter is invalid or the id is registered.
+   *
+   * @note The shortcut is unregistered when the owner script is reloaded.
+   */
+  function register(aParam) {
+    let {
+      id,
+      script,
+      label,
+      key = '',
+      command
+    } = aParam;
+
+    if (!/^[\w-]+$/.test(id)) {
+      throw Error('Invalid id for shortcut: ' + id);
+    }
+
+    if (mShortcuts.has(id)) {
+      throw Error('Shortcut is already registered: ' + id);
+    }
+
+    let defaultKey = normalizeKey(key);
+
+    if (defaultKey === null) {
+      throw Error('Invalid key for shortcut: ' + id + ': ' + key);
+    }
+
+    if (typeof command !== 'function' && typeof command !== 'string') {
+      throw Error('No command for shortcut: ' + id);
+    }
+
+    mShortcuts.set(id, {
+      id,
+      script: script || '',
+      label: label || id,
+      defaultKey,
+      command
+    });
+
+    mKeyMap = null;
+
+    let conflicts = getConflicts(id);
+
+    if (conflicts.length) {
+      log('Shortcut conflicts: ' + id + ' [' + getBinding(id) + '] with ' +
+        conflicts.map(({id, type}) => type + ':' + id).join(', '));
+    }
+
+    let context = getScriptContext();
+
+    if (context) {
+      context.addUninitHook(() => unregister(id));
+    }
+
+    return id;
+  }
+
+  function unregister(aId) {
+    if (mShortcuts.delete(aId)) {
+      mKeyMap = null;
+    }
+  }
+
+  function getShortcut(aId) {
+    let shortcut = mShortcuts.get(aId);
+
+    if (!shortcut) {
+      throw Error('Unknown shortcut: ' + aId);
+    }
+
+    return shortcut;
+  }
+
+  /**
+   * Gets the key of a shortcut.
+   *
+   * @param aId {string}
+   * @return {string}
+   */
+  function getBinding(aId) {
+    let shortcut = getShortcut(aId);
+
+    if (!Prefs.has(kBranch + aId)) {
+      return shortcut.defaultKey;
+    }
+
+    let key = normalizeKey(Prefs.get(kBranch + aId));
+
+    if (key === null) {
+      log('Invalid key is stored: ' + kBranch + aId);
+
+      return shortcut.defaultKey;
+    }
+
+    return key;
+  }
+
+  /**
+   * Validates a key for a shortcut.
+   *
+   * @param aId {string}
+   * @param aKey {string}
+   * @return {hash}
+   *   @key value {string} The normalized key.
+   *   @key error {string} The reason of invalid, or empty string if valid.
+   *   @key conflicts {hash[]} @see |getConflicts|
+   */
+  function validateBinding(aId, aKey) {
+    getShortcut(aId);
+
+    let value = normalizeKey(aKey);
+
+    if (value === null) {
+      return {value: aKey, error: 'Invalid key: ' + aKey, conflicts: []};
+    }
+
+    let conflicts = getConflicts(aId, value);
+    let error = '';
+
+    let scriptConflict = conflicts.find(({type}) => type === 'script');
+
+    if (scriptConflict) {
+      error = 'Already used by ' + scriptConflict.label;
+    }
+
+    return {value, error, conflicts};
+  }
+
+  /**
+   * Rebinds a shortcut.
+   *
+   * @param aId {string}
+   * @param aKey {string}
+   *   @note An empty string unbinds the shortcut.
+   * @throws {Error} The key is invalid or used by another shortcut.
+   */
+  function setBinding(aId, aKey) {
+    let {value, error} = validateBinding(aId, aKey);
+
+    if (error) {
+      throw Error(aId + ': ' + error);
+    }
+
+    if (value === getShortcut(aId).defaultKey) {
+      resetBinding(aId);
+
+      return;
+    }
+
+    Prefs.set(kBranch + aId, value);
+  }
+
+  function resetBinding(aId) {
+    getShortcut(aId);
+
+    Prefs.reset(kBranch + aId);
+  }
+
+  /**
+   * Gets the conflicts of a key.
+   *
+   * @param aId {string}
+   * @param aKey {string} [optional]
+   *   The key to test. Defaults to the current key of the shortcut.
+   * @return {hash[]}
+   *   @key type {string} 'script' or 'builtin'.
+   *   @key id {string} The id of a shortcut or a <key>.
+   *   @key label {string}
+   */
+  function getConflicts(aId, aKey) {
+    let key = (aKey !== undefined) ? normalizeKey(aKey) : getBinding(aId);
+
+    if (!key) {
+      return [];
+    }
+
+    let conflicts = [];
+
+    for (let shortcut of mShortcuts.values()) {
+      if (shortcut.id !== aId && getBinding(shortcut.id) === key) {
+        conflicts.push({
+          type: 'script',
+          id: shortcut.id,
+          label: formatLabel(shortcut)
+        });
+      }
+    }
+
+    for (let keyElement of window.document.querySelectorAll('key')) {
+      if (keyElement.getAttribute('disabled') === 'true' ||
+          getXULKey(keyElement) !== key) {
+        continue;
+      }
+
+      let id = keyElement.id;
+      let menuitem = id &&
+        window.document.querySelector('menuitem[key="' + id + '"]');
+
+      conflicts.push({
+        type: 'builtin',
+        id,
+        label: menuitem ? menuitem.getAttribute('label') : id
+      });
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Gets the list of the shortcuts.
+   *
+   * @return {hash[]}
+   *   @key id {string}
+   *   @key script {string}
+   *   @key label {string}
+   *   @key key {string} The current key.
+   *   @key defaultKey {string}
+   *   @key conflicts {hash[]} @see |getConflicts|
+   */
+  function getList() {
+    return [...mShortcuts.values()].map(({id, script, label, defaultKey}) => ({
+      id,
+      script,
+      label,
+      key: getBinding(id),
+      defaultKey,
+      conflicts: getConflicts(id)
+    }));
+  }
+
+  /**
+   * Gets the key text of a shortcut for display (e.g. 'acceltext').
+   *
+   * @param aId {string}
+   * @return {string}
+   *   An empty string if the shortcut is unknown or not bound.
+   */
+  function getText(aId) {
+    return mShortcuts.has(aId) ? getBinding(aId) : '';
+  }
+
+  /**
+   * Adds a listener of the rebinding.
+   *
+   * @param aListener {function}
+   *   @param aId {string}
+   *   @param aKey {string} The new key.
+   */
+  function addListener(aListener) {
+    mListeners.add(aListener);
+
+    let context = getScriptContext();
+
+    if (context) {
+      context.addUninitHook(() => removeListener(aListener));
+    }
+  }
+
+  function removeListener(aListener) {
+    mListeners.delete(aListener);
+  }
+
+  function onKeyDown(aEvent) {
+    if (!mShortcuts.size || aEvent.defaultPrevented) {
+      return;
+    }
+
+    let target = aEvent.target;
+
+    if (target.hasAttribute && target.hasAttribute(kRecorderAttribute)) {
+      return;
+    }
+
+    let key = getEventKey(aEvent);
+
+    if (!key) {
+      return;
+    }
+
+    let id = getKeyMap().get(key);
+
+    if (!id) {
+      return;
+    }
+
+    // Don't steal the typing of a character in an editable field.
+    if (/^(?:Shift\+)?(?:.|Space)$/.test(key) &&
+        isEditable(aEvent.originalTarget)) {
+      return;
+    }
+
+    aEvent.preventDefault();
+    aEvent.stopPropagation();
+
+    let {command} = mShortcuts.get(id);
+
+    try {
+      if (typeof command === 'function') {
+        command(aEvent);
+      }
+      else {
+        let commandElement = window.document.getElementById(command);
+
+        if (commandElement) {
+          commandElement.doCommand();
+        }
+      }
+    }
+    catch (ex) {
+      Cu.reportError(ex);
+    }
+  }
+
+  function getKeyMap() {
+    if (!mKeyMap) {
+      mKeyMap = new Map();
+
+      for (let id of mShortcuts.keys()) {
+        let key = getBinding(id);
+
+        // The earlier registered wins.
+        if (key && !mKeyMap.has(key)) {
+          mKeyMap.set(key, id);
+        }
+      }
+    }
+
+    return mKeyMap;
+  }
+
+  function isEditable(aNode) {
+    if (!aNode || aNode.nodeType !== Node.ELEMENT_NODE) {
+      return false;
+    }
+
+    if (aNode.isContentEditable ||
+        aNode instanceof HTMLTextAreaElement ||
+        (aNode instanceof HTMLInputElement && aNode.mozIsTextField(false))) {
+      return true;
+    }
+
+    let doc = aNode.ownerDocument;
+
+    return !!doc && doc.designMode === 'on';
+  }
+
+  /**
+   * Gets the key of a keydown event.
+   *
+   * @param aEvent {KeyboardEvent}
+   * @return {string}
+   *   An empty string for a modifier key only.
+   */
+  function getEventKey(aEvent) {
+    let name = aEvent.key;
+
+    if (!name || /^(?:Control|Alt|AltGraph|Shift|Meta|OS)$/.test(name)) {
+      return '';
+    }
+
+    let key = normalizeKeyName(name);
+
+    if (!key) {
+      return '';
+    }
+
+    let modifiers = kModifiers.filter((modifier) =>
+      aEvent[modifier.toLowerCase() + 'Key']);
+
+    return modifiers.concat(key).join('+');
+  }
+
+  /**
+   * Normalizes a key notation.
+   *
+   * @param aKey {string}
+   * @return {string|null}
+   *   The normalized key, or null if invalid.
+   */
+  function normalizeKey(aKey) {
+    if (typeof aKey !== 'string') {
+      return null;
+    }
+
+    if (!aKey) {
+      return '';
+    }
+
+    let [, modifierPart, name] =
+      /^((?:(?:ctrl|control|alt|shift|meta|cmd|accel)\+)*)(.+)$/i.exec(aKey);
+
+    let key = normalizeKeyName(name);
+
+    if (!key) {
+      return null;
+    }
+
+    let modifiers = new Set();
+
+    modifierPart.split('+').filter(Boolean).forEach((modifier) => {
+      modifier = modifier.toLowerCase();
+
+      modifiers.add({
+        'ctrl': 'Ctrl',
+        'control': 'Ctrl',
+        'alt': 'Alt',
+        'shift': 'Shift',
+        'meta': 'Meta',
+        'cmd': 'Meta',
+        'accel': kAccel
+      }[modifier]);
+    });
+
+    return kModifiers.filter((modifier) => modifiers.has(modifier)).
+      concat(key).join('+');
+  }
+
+  function normalizeKeyName(aName) {
+    if ([...aName].length === 1 && aName !== ' ') {
+      return aName.toUpperCase();
+    }
+
+    let lowerName = aName.toLowerCase();
+
+    if (kKeyAliases.hasOwnProperty(lowerName)) {
+      return kKeyAliases[lowerName];
+    }
+
+    if (/^f(?:[1-9]|1\d|2[0-4])$/.test(lowerName)) {
+      return lowerName.toUpperCase();
+    }
+
+    return kKeyNames.find((name) => name.toLowerCase() === lowerName) || null;
+  }
+
+  /**
+   * Gets the key of a XUL <key> element.
+   *
+   * @param aKeyElement {Element}
+   * @return {string|null}
+   */
+  function getXULKey(aKeyElement) {
+    let name = aKeyElement.getAttribute('key') ||
+      aKeyElement.getAttribute('charcode');
+
+    if (!name) {
+      let keycode = aKeyElement.getAttribute('keycode');
+
+      if (!keycode) {
+        return null;
+      }
+
+      // e.g. 'VK_PAGE_UP' -> 'page_up' -> 'pageup'
+      name = keycode.replace(/^VK_/, '').toLowerCase().replace(/_/g, '');
+    }
+
+    let modifiers = (aKeyElement.getAttribute('modifiers') || '').
+      split(/[\s,]+/).
+      map((modifier) => ({
+        'accel': 'Accel',
+        'control': 'Ctrl',
+        'alt': 'Alt',
+        'shift': 'Shift',
+        'meta': 'Meta',
+        'os': 'Meta'
+      }[modifier])).
+      filter(Boolean);
+
+    return normalizeKey(modifiers.concat(name).join('+'));
   }
 
-  if (purgeCaches) {
-    Services.appinfo.invalidateCachesOnRestart();
+  function formatLabel({script, label}) {
+    return script ? script + ': ' + label : label;
   }
 
-  // WORKAROUND: In Fx30, the browser cannot often restart on resume startup,
-  // so set the preference to force to restore the session.
-  Prefs.set('browser.sessionstore.resume_session_once', true);
+  return {
+    recorderAttribute: kRecorderAttribute,
+    register,
+    unregister,
+    getList,
+    getBinding,
+    setBinding,
+    resetBinding,
+    validateBinding,
+    getConflicts,
+    getText,
+    getEventKey,
+    addListener,
+    removeListener
+  };
+})();
 
-  Services.startup.
-    quit(Ci.nsIAppStartup.eAttemptQuit | Ci.nsIAppStartup.eRestart);
-}
+/**
+ * Registry of the commands that the scripts publish.
+ *
+ * @return {hash}
+ *   @key register {function}
+ *   @key unregister {function}
+ *   @key getContext {function}
+ *   @key getList {function}
+ *   @key search {function}
+ *   @key run {function}
+ *   @key fuzzyMatch {function}
+ *
+ * @note The commands are listed and run in a command palette.
+ * @see CommandPalette.uc.js
+ */
+const Commands = (function() {
+  /**
+   * The registered commands in the order of registration.
+   *
+   * @key {string} The id of a command.
+   * @value {hash} @see |register|
+   */
+  let mCommands = new Map();
 
-function setGlobalStyleSheet(aCSS, aType) {
-  return registerGlobalStyleSheet(aCSS, aType);
-}
+  window.addEventListener('unload', function onUnload() {
+    window.removeEventListener('unload', onUnload, false);
+    mCommands.clear();
+  }, false);
 
-function removeGlobalStyleSheet(aCSS, aType) {
-  return registerGlobalStyleSheet(aCSS, aType, {remove: true});
-}
+  /**
+   * Registers a command.
+   *
+   * @param aParam {hash}
+   *   @key id {string}
+   *     The unique id of [A-Za-z0-9_-].
+   *   @key script {string}
+   *     The name of the owner script.
+   *   @key label {string}
+   *     The name for the UI.
+   *   @key description {string} [optional]
+   *     The text that is also searched.
+   *   @key key {string} [optional]
+   *     The default key of a shortcut to run the command.
+   *     @see |Shortcuts| for the key notation.
+   *   @key isEnabled {function} [optional]
+   *     Tests whether the command is available in a context.
+   *     @param aContext {hash} @see |getContext|
+   *     @return {boolean}
+   *   @key command {function}
+   *     @param aContext {hash} @see |getContext|
+   * @return {string} The id.
+   * @throws {Error} The parameter is invalid or the id is registered.
+   *
+   * @note The command is unregistered when the owner script is reloaded.
+   */
+  function register(aParam) {
+    let {
+      id,
+      script,
+      label,
+      description,
+      key,
+      isEnabled,
+      command
+    } = aParam;
+
+    if (!/^[\w-]+$/.test(id)) {
+      throw Error('Invalid id for command: ' + id);
+    }
 
-function registerGlobalStyleSheet(aCSS, aType, aOption = {}) {
-  let {
-    remove
-  } = aOption;
+    if (mCommands.has(id)) {
+      throw Error('Command is already registered: ' + id);
+    }
 
-  let css = normalizeCSS(aCSS);
+    if (typeof command !== 'function') {
+      throw Error('No command function: ' + id);
+    }
 
-  if (!css) {
-    return;
-  }
+    // @note Register the shortcut first since it validates the key and the
+    // id in its namespace, so that nothing is left registered on an error.
+    if (key !== undefined) {
+      Shortcuts.register({
+        id,
+        script,
+        label,
+        key,
+        command: () => run(id)
+      });
+    }
 
-  let URI;
+    let context = getScriptContext();
 
-  try {
-    // @see chrome://global/content/contentAreaUtils.js::makeURI
-    URI = window.makeURI('data:text/css,' + encodeURIComponent(css));
+    if (context) {
+      context.addUninitHook(() => unregister(id));
+    }
+
+    mCommands.set(id, {
+      id,
+      script: script || '',
+      label: label || id,
+      description: description || '',
+      isEnabled,
+      command
+    });
+
+    return id;
   }
-  catch (ex) {
-    return;
+
+  function unregister(aId) {
+    mCommands.delete(aId);
   }
 
-  const styleSheetService = Services.StyleSheetService;
+  /**
+   * Gets the context of the current tab for the commands.
+   *
+   * @return {hash}
+   *   @key window {ChromeWindow}
+   *   @key tab {Element} The selected tab.
+   *   @key browser {Element} The browser of the selected tab.
+   *   @key document {Document} The content document.
+   *   @key URL {string}
+   *   @key title {string}
+   *   @key selection {string} The selected text in the content.
+   */
+  function getContext() {
+    let {selectedTab, selectedBrowser, contentWindow} = gBrowser;
 
-  let type;
+    let selection = '';
 
-  switch (aType) {
-    case 'AGENT_SHEET':
-    case 'USER_SHEET':
-    case 'AUTHOR_SHEET':
-      type = styleSheetService[aType];
-      break;
+    try {
+      selection = trimText(contentWindow.getSelection().toString(), 150);
+    }
+    catch (ex) {}
 
-    default:
-      return;
+    return {
+      window,
+      tab: selectedTab,
+      browser: selectedBrowser,
+      document: selectedBrowser.contentDocument,
+      URL: selectedBrowser.currentURI.spec,
+      title: selectedBrowser.contentTitle,
+      selection
+    };
   }
 
-  let registered = styleSheetService.sheetRegistered(URI, type);
-
-  if (!remove && !registered) {
-    styleSheetService.loadAndRegisterSheet(URI, type);
-  }
-  else if (remove && registered) {
-    styleSheetService.unregisterSheet(URI, type);
+  /**
+   * Gets the list of the commands.
+   *
+   * @param aContext {hash} [optional]
+   *   @see |getContext|. Defaults to the current context.
+   * @return {hash[]}
+   *   @key id {string}
+   *   @key script {string}
+   *   @key label {string}
+   *   @key description {string}
+   *   @key key {string} The key of the shortcut, or empty string.
+   *   @key enabled {boolean}
+   */
+  function getList(aContext) {
+    let context = aContext || getContext();
+
+    return [...mCommands.values()].map((command) => {
+      let {id, script, label, description} = command;
+
+      return {
+        id,
+        script,
+        label,
+        description,
+        key: Shortcuts.getText(id),
+        enabled: testEnabled(command, context)
+      };
+    });
   }
-}
 
-function setChromeStyleSheet(aCSS) {
-  let css = normalizeCSS(aCSS);
+  function testEnabled({id, isEnabled}, aContext) {
+    if (!isEnabled) {
+      return true;
+    }
 
-  if (!css) {
-    return;
+    try {
+      return !!isEnabled(aContext);
+    }
+    catch (ex) {
+      log('Command.isEnabled failed: ' + id + '\n' + ex);
+    }
+
+    return false;
   }
 
-  let doc = window.document;
+  /**
+   * Searches the commands by fuzzy matching.
+   *
+   * @param aQuery {string}
+   * @param aContext {hash} [optional]
+   *   @see |getContext|
+   * @return {hash[]}
+   *   The items of |getList| that match in the order of relevance, with;
+   *   @key score {number}
+   *   @key indices {integer[]} The matched positions in the label.
+   *   @note All commands are listed for an empty query.
+   */
+  function search(aQuery, aContext) {
+    let list = getList(aContext);
+    let query = (aQuery || '').trim();
 
-  let dataURI = 'data:text/css,' + encodeURIComponent(css);
+    if (!query) {
+      return list.map((item) => Object.assign(item, {score: 0, indices: []}));
+    }
 
-  if ([...doc.styleSheets].some((sheet) => sheet.href === dataURI)) {
-    return;
-  }
+    let results = [];
 
-  let newStyleSheet = doc.createProcessingInstruction(
-    'xml-stylesheet',
-    `type="text/css" href="${dataURI}"`
-  );
+    list.forEach((item) => {
+      let labelMatch = fuzzyMatch(query, item.label);
 
-  return doc.insertBefore(newStyleSheet, doc.documentElement);
-}
+      let best = labelMatch ?
+        {score: labelMatch.score, indices: labelMatch.indices} :
+        null;
 
-function setContentStyleSheet(aCSS, aOption = {}) {
-  let {
-    document,
-    id
-  } = aOption;
+      // The other fields are less relevant.
+      [[item.script, 0.5], [item.description, 0.3]].forEach(([text, weight]) => {
+        let match = text && fuzzyMatch(query, text);
 
-  let css = normalizeCSS(aCSS);
+        if (match && (!best || match.score * weight > best.score)) {
+          best = {score: match.score * weight, indices: []};
+        }
+      });
 
-  if (!css) {
-    return;
+      if (best) {
+        results.push(Object.assign(item, best));
+      }
+    });
+
+    // The disabled commands are listed after the enabled ones.
+    return results.sort((a, b) =>
+      (b.enabled - a.enabled) || (b.score - a.score) ||
+      a.label.localeCompare(b.label));
   }
 
-  let doc = document || getFocusedDocument();
+  /**
+   * Matches a query with a text in a fuzzy way.
+   *
+   * @param aQuery {string}
+   * @param aText {string}
+   * @return {hash|null}
+   *   @key score {number} The higher is the better.
+   *   @key indices {integer[]} The matched positions in the text.
+   *   null if all characters of the query don't appear in order.
+   *
+   * @note Each character of the query is matched in order ignoring the case.
+   * The consecutive characters and the starts of the words get a bonus.
+   * White spaces in the query are ignored.
+   */
+  function fuzzyMatch(aQuery, aText) {
+    let query = aQuery.toLowerCase().replace(/\s+/g, '');
+    let text = aText.toLowerCase();
 
-  if (!doc.head) {
-    return;
-  }
+    if (!query) {
+      return {score: 0, indices: []};
+    }
 
-  if (id) {
-    let old = doc.getElementById(id);
+    let indices = [];
+    let score = 0;
+    let from = 0;
 
-    if (old) {
-      if (old.textContent === css) {
-        return;
+    for (let char of query) {
+      let index = text.indexOf(char, from);
+
+      if (index < 0) {
+        return null;
       }
 
-      old.parentNode.removeChild(old);
+      let last = indices[indices.length - 1];
+
+      // A match just after the previous match.
+      if (last !== undefined && index === last + 1) {
+        score += 5;
+      }
+
+      // A match at the start of a word (e.g. 'c' and 'R' of 'closeReadTabs').
+      if (index === 0 || /[\s_\-.:/()]/.test(aText[index - 1]) ||
+          (/[a-z]/.test(aText[index - 1]) && /[A-Z]/.test(aText[index]))) {
+        score += 3;
+      }
+
+      // A gap from the previous match.
+      score -= Math.min(index - from, 3) * 0.5;
+
+      score += 1;
+      indices.push(index);
+      from = index + 1;
     }
+
+    // Prefer a shorter text.
+    score -= (text.length - query.length) * 0.01;
+
+    return {score, indices};
   }
 
-  let style = doc.createElement('style');
+  /**
+   * Runs a command.
+   *
+   * @param aId {string}
+   * @param aContext {hash} [optional]
+   *   @see |getContext|. Defaults to the current context.
+   * @return {boolean}
+   *   true if the command runs, false if it is disabled or fails.
+   */
+  function run(aId, aContext) {
+    let command = mCommands.get(aId);
 
-  style.type = 'text/css';
+    if (!command) {
+      throw Error('Unknown command: ' + aId);
+    }
 
-  if (id) {
-    style.id = id;
-  }
+    let context = aContext || getContext();
 
-  style.textContent = css;
+    if (!testEnabled(command, context)) {
+      return false;
+    }
 
-  return doc.head.appendChild(style);
-}
+    try {
+      command.command(context);
+    }
+    catch (ex) {
+      Cu.reportError(ex);
 
-function normalizeCSS(aCSS) {
-  // @note You should put a 'half-width space' for the separator of;
-  // 1.The descendant selector (e.g. h1 em{...}).
-  // 2.The shorthand properties (e.g. margin:1px 2px;).
+      return false;
+    }
 
-  return aCSS.trim().
-    // Put half-width spaces into one (maybe a necessary separator).
-    replace(/ +/g, ' ').
-    // Remove consecutive white spaces.
-    replace(/\s{2,}/g, '').
-    // Remove comments.
-    replace(/\s*\/\*.*?\*\/\s*/g, '');
-}
+    return true;
+  }
+
+  return {
+    register,
+    unregister,
+    getContext,
+    getList,
+    search,
+    run,
+    fuzzyMatch
+  };
+})();
 
 /**
- * Query the Places database asynchronously.
+ * Logger with levels, per-script channels and a ring buffer.
  *
- * @param aParam {hash}
- *   sql: {string}
- *     A SQL statement to execute.
- *   params: {hash} [optional]
- *     The binding parameters.
- *   columns: {array}
- *     The column names.
- * @return {Promise}
- *   onResolve: {hash[]|null}
- *     Resolved with an array of name-value hashes whose names are associated
- *     with |columns|, or null if no result.
- *   onReject: {Error}
- *     Rejected with an error object.
+ * @return {hash}
+ *   @key output {function}
+ *   @key getLogs {function}
+ *   @key isLogOutput {function}
  *
- * TODO: Handle cancelling by user.
+ * [Levels]
+ * 'debug' < 'info' < 'warn' < 'error'
+ *
+ * [Preferences]
+ * ucjs.logger.level {string}
+ *   The minimum level to log. Default is 'debug'.
+ * ucjs.logger.enabled.<script name> {boolean}
+ *   Set false to mute the channel of a script (e.g.
+ *   'ucjs.logger.enabled.TabEx.uc.js'). Default is true.
+ *
+ * @note The logs in each window are kept in the ring buffer of the window,
+ * and |getLogs| collects them from all windows.
  */
-function promisePlacesDBResult(aParam = {}) {
-  const {
-    sql,
-    params,
-    columns
-  } = aParam;
-
-  return Task.spawn(function*() {
-    // @see resource://gre/modules/PlacesUtils.jsm
-    const {PlacesUtils} = getModule('gre/modules/PlacesUtils.jsm');
+const Logger = (function() {
+  const kLevels = ['debug', 'info', 'warn', 'error'];
+  const kBufferSize = 500;
 
-    let dbConnection = yield PlacesUtils.promiseDBConnection();
+  const kPrefs = {
+    level: 'ucjs.logger.level',
+    enabledBranch: 'ucjs.logger.enabled.'
+  };
 
-    let rows = yield dbConnection.executeCached(sql, params);
+  // @note The tag marks the outputs of the user scripts in the Browser
+  // Console.
+  // @see |isLogOutput|
+  const kLogTag = '[ucjs]';
+  const kLogFormat = kLogTag + '[%file%]\n::%function%\n%message%';
+  const kErrorFormat = '%name%: %message%\n%stack%';
 
-    let result = [];
+  // The ring buffer of the logs in this window.
+  let mBuffer = [];
 
-    for (let row of rows) {
-      let values = {};
+  /**
+   * Outputs a message to the Browser Console.
+   *
+   * @param aLevel {string}
+   * @param aMessage {string|Error|array}
+   * @param aCaller {nsIStackFrame}
+   * @param aScript {string} [optional]
+   *   The channel name. Defaults to the file name of the caller.
+   * @return {string}
+   *   The output string, or empty string if the log is suppressed.
+   */
+  function output(aLevel, aMessage, aCaller, aScript) {
+    let script = aScript || getFileName(aCaller.filename);
 
-      columns.forEach((aName) => {
-        values[aName] = row.getResultByName(aName);
-      });
+    if (!isEnabled(aLevel, script)) {
+      return '';
+    }
 
-      result.push(values);
+    if (!Array.isArray(aMessage)) {
+      aMessage = [aMessage];
     }
 
-    if (!result.length) {
-      return null;
+    // @see resource://gre/modules/Log.jsm
+    const {Log} = getModule('gre/modules/Log.jsm');
+
+    let message = aMessage.map((value) => {
+      if (value instanceof Error) {
+        return kErrorFormat.
+          replace('%name%', value.name).
+          replace('%message%', value.message || '').
+          replace('%stack%', Log.stackTrace(value));
+      }
+
+      return value;
+    }).join('\n');
+
+    let functionName = aCaller.name || '(anonymous function)';
+
+    let output = kLogFormat.
+      replace('%file%', getFileName(aCaller.filename)).
+      replace('%function%', functionName).
+      replace('%message%', message);
+
+    mBuffer.push({
+      script,
+      level: aLevel,
+      message,
+      output,
+      fileName: aCaller.filename,
+      functionName,
+      lineNumber: aCaller.lineNumber,
+      document: window.location.href,
+      time: Date.now()
+    });
+
+    if (mBuffer.length > kBufferSize) {
+      mBuffer.splice(0, mBuffer.length - kBufferSize);
     }
 
-    return result;
-  });
-}
+    let scriptError =
+      Cc['@mozilla.org/scripterror;1'].createInstance(Ci.nsIScriptError);
+
+    let flags = {
+      'warn': Ci.nsIScriptError.warningFlag,
+      'error': Ci.nsIScriptError.errorFlag
+    }[aLevel];
+
+    scriptError.init(
+      output,
+      aCaller.filename,
+      aCaller.sourceLine,
+      aCaller.lineNumber,
+      // Column number
+      null,
+      // Flags
+      // TODO: Set |Ci.nsIScriptError.infoFlag| when implemented.
+      flags || null,
+      // Category
+      // The browser console displays, but the web console does not.
+      'chrome javascript'
+    );
+
+    Services.console.logMessage(scriptError);
+
+    return output;
+  }
 
-/**
- * Log function.
- */
-function logMessage(aMessage, aCaller) {
-  const kLogFormat = '[%file%]\n::%function%\n%message%';
-  const kErrorFormat = '%name%: %message%\n%stack%';
+  function isEnabled(aLevel, aScript) {
+    let minLevel = kLevels.indexOf(Prefs.get(kPrefs.level, 'debug'));
+
+    if (kLevels.indexOf(aLevel) < Math.max(minLevel, 0)) {
+      return false;
+    }
 
-  if (!aCaller) {
-    aCaller = Components.stack.caller;
+    return Prefs.get(kPrefs.enabledBranch + aScript, true) !== false;
   }
 
-  if (!Array.isArray(aMessage)) {
-    aMessage = [aMessage];
+  function getFileName(aURL) {
+    return aURL.replace(/[?#].*$/, '').
+      replace(/^.+?([^\/.]+(?:\.\w+)+)$/, '$1');
   }
 
-  // @see resource://gre/modules/Log.jsm
-  const {Log} = getModule('gre/modules/Log.jsm');
+  /**
+   * Gets the logs.
+   *
+   * @param aFilter {hash} [optional]
+   *   @key script {string} [optional]
+   *     The channel name (e.g. 'TabEx.uc.js').
+   *   @key level {string} [optional]
+   *     The minimum level.
+   *   @key since {number} [optional]
+   *     The timestamp in milliseconds.
+   *   @key local {boolean} [optional]
+   *     Only the logs in this window.
+   * @return {hash[]}
+   *   The copies of the log entries in the order of time.
+   *   @key script {string}
+   *   @key level {string}
+   *   @key message {string}
+   *   @key output {string} The string output to the Browser Console.
+   *   @key fileName {string}
+   *   @key functionName {string}
+   *   @key lineNumber {number}
+   *   @key document {string} The URL of the window.
+   *   @key time {number} The timestamp in milliseconds.
+   */
+  function getLogs(aFilter = {}) {
+    let {script, level, since, local} = aFilter;
+
+    let minLevel = level ? kLevels.indexOf(level) : 0;
 
-  let messages = aMessage.map((value) => {
-    if (value instanceof Error) {
-      return kErrorFormat.
-        replace('%name%', value.name).
-        replace('%message%', value.message || '').
-        replace('%stack%', Log.stackTrace(value));
+    let logs = mBuffer.filter((entry) =>
+      (!script || entry.script === script) &&
+      kLevels.indexOf(entry.level) >= minLevel &&
+      (!since || entry.time >= since)).
+      map((entry) => Object.assign({}, entry));
+
+    if (local) {
+      return logs;
     }
 
-    return value;
-  });
+    let windows = Services.wm.getEnumerator(null);
 
-  let getFileName = (aURL) =>
-    aURL.replace(/[?#].*$/, '').replace(/^.+?([^\/.]+(?:\.\w+)+)$/, '$1');
+    while (windows.hasMoreElements()) {
+      let win = windows.getNext();
 
-  let output = kLogFormat.
-    replace('%file%', getFileName(aCaller.filename)).
-    replace('%function%', aCaller.name || '(anonymous function)').
-    replace('%message%', messages.join('\n'));
+      if (win !== window && win.ucjsUtil && win.ucjsUtil.getLogs) {
+        logs = logs.concat(win.ucjsUtil.getLogs(
+          Object.assign({}, aFilter, {local: true})));
+      }
+    }
+
+    return logs.sort((a, b) => a.time - b.time);
+  }
 
-  let scriptError =
-    Cc['@mozilla.org/scripterror;1'].createInstance(Ci.nsIScriptError);
+  /**
+   * Tests whether a text has an output of the logger.
+   *
+   * @param aText {string} (e.g. The text of a message of the Browser Console)
+   * @return {boolean}
+   */
+  function isLogOutput(aText) {
+    return aText.contains(kLogTag + '[');
+  }
 
-  scriptError.init(
+  return {
     output,
-    aCaller.filename,
-    aCaller.sourceLine,
-    aCaller.lineNumber,
-    // Column number
-    null,
-    // Flags
-    // TODO: Set |Ci.nsIScriptError.infoFlag| when implemented.
-    null,
-    // Category
-    // The browser console displays, but the web console does not.
-    'chrome javascript'
-  );
+    getLogs,
+    isLogOutput
+  };
+})();
+
+/**
+ * Creates a logger of a script.
+ *
+ * @param aScript {string} [optional]
+ *   The channel name. Defaults to the file name of the caller of each log.
+ * @return {function}
+ *   Logs at the 'debug' level, and has the methods for each level.
+ *   @param aMessage {string|Error|array}
+ *   @param aCaller {nsIStackFrame} [optional]
+ *   @return {string} The output string.
+ *
+ * @usage
+ * const log = createLogger();
+ * log('debug message');
+ * log.warn(['Not found', aURL]);
+ */
+function createLogger(aScript) {
+  let logAt = (aLevel) => (aMessage, aCaller) =>
+    Logger.output(aLevel, aMessage, aCaller || Components.stack.caller,
+      aScript);
+
+  let logger = logAt('debug');
+
+  ['debug', 'info', 'warn', 'error'].forEach((level) => {
+    logger[level] = logAt(level);
+  });
 
-  Services.console.logMessage(scriptError);
+  return logger;
+}
 
-  return output;
+/**
+ * Log function.
+ *
+ * @note Logs at the 'info' level in the channel of the caller file.
+ */
+function logMessage(aMessage, aCaller) {
+  return Logger.output('info', aMessage, aCaller || Components.stack.caller);
 }
 
 // Log to console for debug in this script.
@@ -1104,9 +4353,13 @@ return {
   getModule,
 
   addEvent,
+  getScriptContext,
   getSelectionAtCursor,
   getTextInRange,
   createNode,
+  createBuilder,
+  getCenteringPosition,
+  formatText,
   getNodeById,
   getNodeByAnonid,
   getFirstNodeBySelector,
@@ -1117,11 +4370,16 @@ return {
   unescapeURLCharacters,
   unescapeURLForUI,
   resolveURL,
+  URLUtil,
+  Template,
   openHomePages,
   openTabs,
   openURL,
   openTab,
   loadPage,
+  promiseOpenTab,
+  promiseLoadPage,
+  promiseTabReady,
   removeTab,
   removeAllTabsBut,
 
@@ -1131,7 +4389,22 @@ return {
   setChromeStyleSheet,
   setContentStyleSheet,
   promisePlacesDBResult,
-
+  PlacesQuery,
+
+  createSettings: SettingsStore.create,
+  getSettingsList: SettingsStore.getList,
+  registerShortcut: Shortcuts.register,
+  unregisterShortcut: Shortcuts.unregister,
+  getShortcutList: Shortcuts.getList,
+  getShortcutText: Shortcuts.getText,
+  Shortcuts,
+  registerCommand: Commands.register,
+  unregisterCommand: Commands.unregister,
+  Commands,
+
+  createLogger,
+  getLogs: Logger.getLogs,
+  isLogOutput: Logger.isLogOutput,
   logMessage
 }
 
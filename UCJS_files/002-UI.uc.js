@@ -22,20 +22,98 @@ const ucjsUI = (function(window, undefined) {
  * Imports
  */
 const {
+  Prefs,
   Timer: {
-    setImmediate
+    setImmediate,
+    setTimeout,
+    clearTimeout
   },
   getNodeById: $ID,
   getNodeByAnonid: $ANONID,
   getNodesByXPath: $X,
   addEvent,
+  createBuilder,
+  createSettings,
+  getScriptContext,
   resolveURL,
   setChromeStyleSheet: setCSS,
-  promisePlacesDBResult,
+  PlacesQuery,
+  URLUtil,
+  registerCommand,
   // Log to console for debug.
   logMessage: log
 } = window.ucjsUtil;
 
+/**
+ * Preferences
+ *
+ * @note The values can be changed in the preferences 'ucjs.UI.*'.
+ * @see |ucjsUtil::createSettings|
+ */
+const Settings = createSettings('UI', {
+  // The hints of a link under a cursor in the status field.
+  // @see |StatusField::LinkHint|
+  linkLeavingDomain: {
+    type: 'boolean',
+    default: true,
+    description: 'Status: Show the domain of a link to another site'
+  },
+
+  linkSchemeRisk: {
+    type: 'boolean',
+    default: true,
+    description:
+      'Status: Warn a risky link (http on https, javascript:, data:)'
+  },
+
+  // @note The known redirectors are registered by RedirectParser.uc.js.
+  // @see |StatusField::LinkHint::registerRedirectors|
+  linkRedirector: {
+    type: 'boolean',
+    default: true,
+    description: 'Status: Show the target URL of a known redirector link'
+  },
+
+  linkFileType: {
+    type: 'boolean',
+    default: true,
+    description: 'Status: Show the probable file type of a link'
+  },
+
+  // The number of the recent messages in the status field to be kept.
+  // @see |StatusField::MessageHandler|
+  messageHistorySize: {
+    type: 'integer',
+    default: 30,
+    min: 1,
+    max: 200,
+    description: 'Status: Number of the recent messages in the history'
+  },
+
+  // The find mode of the findbar.
+  // @see |FindBar::PatternFinder|
+  findMode: {
+    type: 'string',
+    default: 'normal',
+    choices: [
+      {value: 'normal', label: 'Normal'},
+      {value: 'terms', label: 'Multiple terms'},
+      {value: 'regexp', label: 'Regular expression'}
+    ],
+    description: 'Findbar: Find mode'
+  },
+
+  // The background colors of the matches of each term in order.
+  // @note The colors are reused cyclically for more terms.
+  findColors: {
+    type: 'list',
+    default: ['#ffff66', '#a0ffff', '#99ff99', '#ff99ff', '#ffcc66', '#99ccff'],
+    description: 'Findbar: Highlight colors of the terms'
+  }
+});
+
+const kPref = Settings.values;
+
 /**
  * Popup menu handler.
  *
@@ -50,12 +128,27 @@ const PopupMenuHandler = (function() {
    *   A function to get the <popupmenu> element.
    *   @see |HandlerManager|
    * @param aOption {hash}
+   *   @key name {string}
+   *     The name of the popup menu for the IDs and the preferences.
    *   @key observeUICustomization {boolean}
    *     Whether observe UI customization to restore user settings.
    *     @see |HandlerManager|
+   *   @key groups {hash[]}
+   *     The positions of the groups of menu entries.
+   *     @see |EntryRegistry|
+   *   @key getContext {function}
+   *     A function to get the context of the popup menu.
+   *     @see |EntryRegistry|
    * @return {hash}
    *   @key get {function}
    *   @key register {function}
+   *   @key registerEntry {function}
+   *   @key unregisterEntry {function}
+   *   @key getEntryList {function}
+   *   @key setEntryOrder {function}
+   *   @key getLayoutItems {function}
+   *   @key getLayout {function}
+   *   @key setLayout {function}
    */
   function init(aPopupMenuGetter, aOption) {
     let handlerManager = HandlerManager(aPopupMenuGetter, aOption);
@@ -66,9 +159,22 @@ const PopupMenuHandler = (function() {
       ]
     });
 
+    let entryRegistry = EntryRegistry(handlerManager, aOption);
+
+    // @note Must be initialized after the entry registry to apply the layout
+    // after the entries are built.
+    let menuLayout = MenuLayout(handlerManager, entryRegistry, aOption);
+
     return {
       get: aPopupMenuGetter,
-      register: handlerManager.register
+      register: handlerManager.register,
+      registerEntry: entryRegistry.register,
+      unregisterEntry: entryRegistry.unregister,
+      getEntryList: entryRegistry.getList,
+      setEntryOrder: entryRegistry.setOrder,
+      getLayoutItems: menuLayout.getItems,
+      getLayout: menuLayout.getLayout,
+      setLayout: menuLayout.setLayout
     };
   }
 
@@ -91,27 +197,33 @@ const PopupMenuHandler = (function() {
       toArray: true
     });
 
-    setImmediate(manage, separators);
-
-    function manage(aSeparators) {
-      let last = null;
+    setImmediate(manageSeparators, separators);
+  }
 
-      aSeparators.forEach((separator) => {
-        if (separator.hidden) {
-          separator.hidden = false;
-        }
+  /**
+   * Hides the menu separators that are useless for the visible items.
+   *
+   * @param aSeparators {Element[]}
+   *   The <menuseparator> elements in a popup menu in the document order.
+   */
+  function manageSeparators(aSeparators) {
+    let last = null;
 
-        if (!shouldShow(separator, 'previousSibling')) {
-          separator.hidden = true;
-        }
-        else {
-          last = separator;
-        }
-      });
+    aSeparators.forEach((separator) => {
+      if (separator.hidden) {
+        separator.hidden = false;
+      }
 
-      if (last && !shouldShow(last, 'nextSibling')) {
-        last.hidden = true;
+      if (!shouldShow(separator, 'previousSibling')) {
+        separator.hidden = true;
+      }
+      else {
+        last = separator;
       }
+    });
+
+    if (last && !shouldShow(last, 'nextSibling')) {
+      last.hidden = true;
     }
 
     function shouldShow(aSeparator, aSibling) {
@@ -142,6 +254,7 @@ const PopupMenuHandler = (function() {
    *     @note Used only to the context menu of the URL bar for now.
    * @return {hash}
    *   @key register {function}
+   *   @key getTarget {function}
    */
   function HandlerManager(aTargetGetter, aOption = {}) {
     const {
@@ -275,212 +388,1978 @@ const PopupMenuHandler = (function() {
     }
 
     return {
-      register
+      register,
+      getTarget: () => mTarget
     };
   }
 
   /**
-   * Expose
+   * Registry of the menu entries of user scripts.
+   *
+   * Scripts declare their entries and the registry assembles them into the
+   * popup menu each time it opens:
+   * - The entries are put in the places of their groups.
+   * - The entries in a group are ordered by the user order, and then by the
+   *   priority and the id.
+   * - An entry is built lazily only when the popup menu opens in the context
+   *   that matches its condition, and removed after the menu closes.
+   *
+   * @param aHandlerManager {hash}
+   *   @see |HandlerManager|
+   * @param aOption {hash}
+   *   @key name {string}
+   *   @key groups {hash[]}
+   *     The groups in order.
+   *     @key name {string}
+   *     @key position {string} [optional]
+   *       'start': At the top of the popup menu.
+   *       'end': At the bottom of the popup menu. (default)
+   *     @key before {string} [optional]
+   *       The ID of a native item to insert the group before it.
+   *       @note Falls back to |position| if the item is not found.
+   *     @note An unknown group of an entry is added at the bottom.
+   *   @key getContext {function} [optional]
+   *     A function that returns the context when the popup menu opens.
+   *     @see |kConditions|
+   * @return {hash}
+   *   @key register {function}
+   *   @key unregister {function}
+   *   @key getList {function}
+   *   @key setOrder {function}
    */
-  return {
-    init
-  };
-})();
+  function EntryRegistry(aHandlerManager, aOption = {}) {
+    const {
+      name = '',
+      groups = [],
+      getContext = getPageContext
+    } = aOption;
 
-/**
- * Content area handler.
- */
-const ContentArea = (function() {
-  let getContextMenu = () => $ID('contentAreaContextMenu');
+    /**
+     * The names of the context conditions of an entry.
+     *
+     * @note The context has the boolean values for these keys.
+     */
+    const kConditions = [
+      'link',
+      'image',
+      'selection',
+      'page',
+      'editable',
+      'frame'
+    ];
 
-  let contextMenu = PopupMenuHandler.init(getContextMenu);
+    /**
+     * The preference name of the user order of the entries.
+     *
+     * @value {string} JSON array of the ids of the entries.
+     */
+    const kOrderPrefName = 'ucjs.UI.contextMenu.' + name + '.order';
 
-  return {
-    contextMenu
-  };
-})();
+    /**
+     * The registered entries.
+     *
+     * @key {string} The id of an entry.
+     * @value {hash}
+     *   @key id {string}
+     *   @key script {string}
+     *   @key label {string}
+     *   @key condition {string[]|function|null}
+     *   @key group {string}
+     *   @key priority {number}
+     *   @key build {function}
+     */
+    let mEntries = new Map();
 
-/**
- * URL bar handler.
- *
- * @see chrome://browser/content/urlbarBindings.xml
- */
-const URLBar = (function() {
-  let getTextBox = () => $ANONID('textbox-input-box', gURLBar);
-  let getContextMenu = () => $ANONID('input-box-contextmenu', getTextBox());
+    /**
+     * The nodes that are built in the current opening.
+     *
+     * @key {string} The id of an entry.
+     * @value {Node[]}
+     */
+    let mBuiltNodes = new Map();
 
-  // The UI customization resets the context menu of the URL bar to Fx default
-  // value. So, observe it to fix user settings for the context menu.
-  let contextMenu = PopupMenuHandler.init(getContextMenu, {
-    observeUICustomization: true
-  });
+    let mGroups = groups.map(({name}) => name);
 
-  return {
-    contextMenu
-  };
-})();
+    // @note The popup menu may be an anonymous element that |getElementById|
+    // can't find, so find the items in it.
+    let getItem = (aPopupMenu, aId) =>
+      aPopupMenu.querySelector('[id="' + aId + '"]');
 
-/**
- * Find bar handler.
- *
- * @see chrome://global/content/bindings/findbar.xml
- */
-const FindBar = (function() {
-  /**
-   * Fx native UI elements.
-   */
-  const UI = {
-    get textBox() {
-      return gFindBar.getElement('findbar-textbox');
-    },
+    let getSeparatorID = (aGroup, aWhich) =>
+      'ucjs_UI_' + name + '_' + aGroup + '_' + aWhich + 'Separator';
 
-    get highlightButton() {
-      return gFindBar.getElement('highlight');
+    let getSeparator = (aPopupMenu, aGroup, aWhich) =>
+      getItem(aPopupMenu, getSeparatorID(aGroup, aWhich));
+
+    aHandlerManager.register({
+      events: [
+        ['popupshowing', onPopupShowing, false],
+        ['popuphidden', onPopupHidden, false]
+      ],
+
+      onCreate: createGroups
+    });
+
+    /**
+     * Creates the separators of the groups.
+     *
+     * @param aPopupMenu {Element}
+     */
+    function createGroups(aPopupMenu) {
+      // The native first item to put the groups at the top before it.
+      let firstItem = aPopupMenu.firstChild;
+
+      mGroups.forEach((aGroup) => {
+        if (getSeparator(aPopupMenu, aGroup, 'end')) {
+          return;
+        }
+
+        let {position, before} =
+          groups.find(({name}) => name === aGroup) || {};
+
+        let refItem = (before && getItem(aPopupMenu, before)) ||
+          (position === 'start' ? firstItem : null);
+
+        ['start', 'end'].forEach((aWhich) => {
+          let separator = window.document.createElement('menuseparator');
+
+          separator.id = getSeparatorID(aGroup, aWhich);
+
+          aPopupMenu.insertBefore(separator, refItem);
+        });
+      });
     }
-  };
 
-  /**
-   * Manager of handlers on create/destroy the target findbar.
-   *
-   * @return {hash}
-   *   @key register {function}
-   */
-  const HandlerManager = (function() {
-    let mOnCreateHandlers = [];
-    let mOnDestroyHandlers = [];
+    function onPopupShowing(aEvent) {
+      let popupMenu = aEvent.currentTarget;
 
-    let tc = gBrowser.tabContainer;
+      if (aEvent.target !== popupMenu) {
+        return;
+      }
 
-    addEvent(tc, 'TabFindInitialized', handleEvent, false);
-    addEvent(tc, 'TabClose', handleEvent, false);
+      removeBuiltNodes();
 
-    function handleEvent(aEvent) {
-      let tab = aEvent.target;
+      if (!mEntries.size) {
+        return;
+      }
 
-      switch (aEvent.type) {
-        case 'TabFindInitialized': {
-          manageHandlers({
-            doCreate: true,
-            tab
-          });
+      let context = getContext();
 
-          break;
+      getSortedEntries().forEach((aEntry) => {
+        if (!testCondition(aEntry.condition, context)) {
+          return;
         }
 
-        case 'TabClose': {
-          manageHandlers({
-            doDestroy: true,
-            tab
-          });
+        let nodes = buildEntry(aEntry, context);
 
-          break;
+        if (!nodes.length) {
+          return;
         }
-      }
+
+        let endSeparator = getSeparator(popupMenu, aEntry.group, 'end');
+
+        nodes.forEach((node) => {
+          popupMenu.insertBefore(node, endSeparator);
+        });
+
+        mBuiltNodes.set(aEntry.id, nodes);
+      });
     }
 
-    /**
-     * Creates the parameter of handler.
-     *
-     * @param {hash}
-     *   @key tab {Element}
-     *     A tab element.
-     * @return {hash}
-     *   @key tab {Element}
-     *   @key findBar {Element}
-     *     A findbar that is associated with the tab.
-     */
-    function HandlerParam({tab}) {
-      return {
-        tab,
-        findBar: gBrowser.getFindBar(tab)
-      };
+    function onPopupHidden(aEvent) {
+      if (aEvent.target !== aEvent.currentTarget) {
+        return;
+      }
+
+      removeBuiltNodes();
     }
 
-    function manageHandlers({doCreate, tab}) {
-      let handlers = doCreate ? mOnCreateHandlers : mOnDestroyHandlers;
+    function removeBuiltNodes(aId) {
+      let ids = aId ? [aId] : [...mBuiltNodes.keys()];
 
-      handlers.forEach((handler) => {
-        handler(HandlerParam({
-          tab
-        }));
+      ids.forEach((id) => {
+        let nodes = mBuiltNodes.get(id);
+
+        if (!nodes) {
+          return;
+        }
+
+        nodes.forEach((node) => {
+          if (node.parentNode) {
+            node.parentNode.removeChild(node);
+          }
+        });
+
+        mBuiltNodes.delete(id);
       });
     }
 
     /**
-     * Registers the handlers.
+     * Builds the nodes of an entry.
      *
-     * @param {hash}
-     *   @key onCreate {function}
-     *     A function called when the findbar of a tab is initialized.
-     *     @note Also applied to findbars that have been already initialized
-     *     on this registration is called.
-     *     @param {hash}
-     *       @key tab {Element} The tab that has the initialized findbar.
-     *       @key findBar {Element} The initialized findbar.
-     *       @see |HandlerParam|
-     *   @key onDestroy {function}
-     *     A function called when the findbar is about to be destroyed.
-     *     @param {hash}
-     *       @key tab {Element}
-     *       @key findBar {Element}
+     * @param aEntry {hash}
+     * @param aContext {hash}
+     * @return {Node[]}
      */
-    function register(aParam = {}) {
-      let {
-        onCreate,
-        onDestroy
-      } = aParam;
-
-      if (onCreate) {
-        // Apply the init handler to existing findbars (including hidden tabs).
-        [...gBrowser.tabs].forEach((tab) => {
-          if (gBrowser.isFindBarInitialized(tab)) {
-            onCreate(HandlerParam({
-              tab
-            }));
-          }
-        });
+    function buildEntry(aEntry, aContext) {
+      let result;
 
-        mOnCreateHandlers.push(onCreate);
+      try {
+        result = aEntry.build(aContext);
       }
+      catch (ex) {
+        Cu.reportError(ex);
 
-      if (onDestroy) {
-        mOnDestroyHandlers.push(onDestroy);
+        return [];
       }
-    }
 
-    return {
-      register
-    };
-  })();
+      if (!result) {
+        return [];
+      }
 
-  /**
-   * Handler of a find text string.
-   */
-  const FindText = {
-    get value() {
-      return UI.textBox.value;
-    },
+      if (result instanceof window.DocumentFragment) {
+        return [...result.childNodes];
+      }
 
-    set value(aText) {
-      aText = aText || '';
+      return [].concat(result).filter((node) => !!node);
+    }
 
-      if (this.value !== aText) {
-        UI.textBox.value = aText;
+    function testCondition(aCondition, aContext) {
+      if (!aCondition) {
+        return true;
       }
-    },
 
-    focus() {
-      if (!gFindBar.hidden) {
-        UI.textBox.focus();
-        UI.textBox.select();
+      if (typeof aCondition === 'function') {
+        try {
+          return !!aCondition(aContext);
+        }
+        catch (ex) {
+          Cu.reportError(ex);
+
+          return false;
+        }
       }
+
+      return aCondition.some((condition) => !!aContext[condition]);
     }
-  };
 
-  function reset() {
-    gFindBar.clear();
+    function getSortedEntries() {
+      let order = getOrder();
 
-    if (UI.highlightButton.checked) {
+      let getOrderIndex = (aId) => {
+        let index = order.indexOf(aId);
+
+        return index < 0 ? order.length : index;
+      };
+
+      return [...mEntries.values()].sort((a, b) =>
+        mGroups.indexOf(a.group) - mGroups.indexOf(b.group) ||
+        getOrderIndex(a.id) - getOrderIndex(b.id) ||
+        a.priority - b.priority ||
+        a.id.localeCompare(b.id)
+      );
+    }
+
+    /**
+     * Registers a menu entry.
+     *
+     * @param aParam {hash}
+     *   @key id {string}
+     *     The unique id of an entry.
+     *   @key script {string}
+     *     The name of the owner script.
+     *   @key label {string} [optional]
+     *     The description for the UI.
+     *   @key condition {string|string[]|function} [optional]
+     *     {string}: A name in |kConditions|.
+     *     {string[]}: The names; matches when any of them matches.
+     *     {function}: Called with the context and returns a boolean.
+     *     @note The entry is always built if omitted.
+     *   @key group {string} [optional]
+     *     The name of a group. Defaults to the id.
+     *   @key priority {number} [optional]
+     *     The lower value is put the upper in the group. Defaults to 0.
+     *   @key build {function}
+     *     Called with the context when the popup menu opens, and returns
+     *     {Node|Node[]|DocumentFragment|null} to be put in the menu.
+     * @return {string} The id.
+     * @throws {Error} The parameter is invalid or the id is registered.
+     *
+     * @note The entry is unregistered when the owner script is reloaded.
+     *
+     * @usage
+     * contentAreaContextMenu.registerEntry({
+     *   id: 'Foo',
+     *   script: 'Foo',
+     *   condition: ['link', 'image'],
+     *   group: 'send',
+     *   build: (aContext) => $E('menuitem', {label: aContext.linkURL})
+     * });
+     */
+    function register(aParam) {
+      let {
+        id,
+        script,
+        label,
+        condition,
+        group,
+        priority = 0,
+        build
+      } = aParam;
+
+      if (!/^[\w-]+$/.test(id)) {
+        throw Error('Invalid id for menu entry: ' + id);
+      }
+
+      if (mEntries.has(id)) {
+        throw Error('Menu entry is already registered: ' + id);
+      }
+
+      if (typeof build !== 'function') {
+        throw Error('No builder for menu entry: ' + id);
+      }
+
+      if (typeof condition === 'string') {
+        condition = [condition];
+      }
+
+      if (Array.isArray(condition)) {
+        condition.forEach((aName) => {
+          if (kConditions.indexOf(aName) < 0) {
+            throw Error('Unknown condition for menu entry: ' + id + ': ' +
+              aName);
+          }
+        });
+      }
+      else if (condition && typeof condition !== 'function') {
+        throw Error('Invalid condition for menu entry: ' + id);
+      }
+
+      group = group || id;
+
+      if (!/^[\w-]+$/.test(group)) {
+        throw Error('Invalid group for menu entry: ' + id + ': ' + group);
+      }
+
+      if (mGroups.indexOf(group) < 0) {
+        mGroups.push(group);
+
+        // @note The popup menu may be unavailable while the toolbar is being
+        // customized. The groups are created by |onCreate| after that.
+        let popupMenu = aHandlerManager.getTarget();
+
+        if (popupMenu) {
+          createGroups(popupMenu);
+        }
+      }
+
+      mEntries.set(id, {
+        id,
+        script: script || '',
+        label: label || id,
+        condition: condition || null,
+        group,
+        priority: Number(priority) || 0,
+        build
+      });
+
+      let context = getScriptContext();
+
+      if (context) {
+        context.addUninitHook(() => unregister(id));
+      }
+
+      return id;
+    }
+
+    function unregister(aId) {
+      let entry = mEntries.get(aId);
+
+      if (!entry) {
+        return;
+      }
+
+      removeBuiltNodes(aId);
+
+      mEntries.delete(aId);
+
+      removeGroup(entry.group);
+    }
+
+    /**
+     * Removes a group that is created by entries and is no longer used.
+     *
+     * @param aGroup {string}
+     */
+    function removeGroup(aGroup) {
+      let isPredefined = groups.some(({name}) => name === aGroup);
+      let isUsed = [...mEntries.values()].some(({group}) => group === aGroup);
+
+      if (isPredefined || isUsed) {
+        return;
+      }
+
+      mGroups.splice(mGroups.indexOf(aGroup), 1);
+
+      let popupMenu = aHandlerManager.getTarget();
+
+      if (!popupMenu) {
+        return;
+      }
+
+      ['start', 'end'].forEach((aWhich) => {
+        let separator = getSeparator(popupMenu, aGroup, aWhich);
+
+        if (separator) {
+          separator.parentNode.removeChild(separator);
+        }
+      });
+    }
+
+    /**
+     * Gets the list of the registered entries.
+     *
+     * @return {hash[]}
+     *   @key id {string}
+     *   @key script {string}
+     *   @key label {string}
+     *   @key group {string}
+     *   @key priority {number}
+     *   @note In the order of the assembled menu.
+     */
+    function getList() {
+      return getSortedEntries().map(({id, script, label, group, priority}) =>
+        ({id, script, label, group, priority}));
+    }
+
+    function getOrder() {
+      let order;
+
+      try {
+        order = JSON.parse(Prefs.get(kOrderPrefName, '[]'));
+      }
+      catch (ex) {}
+
+      if (!Array.isArray(order)) {
+        log('Invalid value is stored: ' + kOrderPrefName);
+
+        return [];
+      }
+
+      return order;
+    }
+
+    /**
+     * Sets the user order of the entries.
+     *
+     * @param aIds {string[]}
+     *   The ids of the entries in the order to be put in their groups.
+     *   @note The entries not in the list follow them in the default order.
+     *   @note Resets to the default order if empty.
+     *
+     * @note Applied from the next time the popup menu opens.
+     */
+    function setOrder(aIds) {
+      if (!aIds || !aIds.length) {
+        Prefs.reset(kOrderPrefName);
+
+        return;
+      }
+
+      Prefs.set(kOrderPrefName, JSON.stringify(aIds));
+    }
+
+    /**
+     * Gets the entries that are put before a node.
+     *
+     * @param aNode {Element}
+     * @return {hash[]}
+     *   @see |getList|
+     *   @note The entries of a group are put before its end separator.
+     */
+    function getEntriesBefore(aNode) {
+      return getList().filter(({group}) =>
+        aNode.id === getSeparatorID(group, 'end'));
+    }
+
+    /**
+     * Gets the ids of the entries of the built nodes.
+     *
+     * @return {Map}
+     *   @key {Node} A node that is built in the current opening.
+     *   @value {string} The id of the entry.
+     */
+    function getBuiltEntryIds() {
+      let entryIds = new Map();
+
+      mBuiltNodes.forEach((aNodes, aId) => {
+        aNodes.forEach((node) => entryIds.set(node, aId));
+      });
+
+      return entryIds;
+    }
+
+    return {
+      register,
+      unregister,
+      getList,
+      setOrder,
+      getEntriesBefore,
+      getBuiltEntryIds
+    };
+  }
+
+  /**
+   * Layout of the items in a popup menu.
+   *
+   * The user layout is applied each time the popup menu opens and the default
+   * layout is restored after the menu closes, so that the native handlers and
+   * the menu entries always work on the default layout.
+   *
+   * [Item key]
+   * The native item: The id of the element.
+   * The menu entry: 'entry:' + the id of the entry.
+   * @note A node without id goes along with the item that precedes it.
+   *
+   * [Layout data]
+   * {hash}
+   *   @key items {array}
+   *     The items at the top level in order.
+   *     {string}: The key of an item.
+   *     {hash}: A submenu.
+   *       @key submenu {string} The label of the submenu.
+   *       @key items {string[]} The keys of the items in the submenu.
+   *     @note The items not in the layout (e.g. a new entry) follow the item
+   *     that precedes them in the default layout.
+   *   @key hidden {string[]}
+   *     The keys of the hidden items.
+   *
+   * @param aHandlerManager {hash}
+   *   @see |HandlerManager|
+   * @param aEntryRegistry {hash}
+   *   @see |EntryRegistry|
+   * @param aOption {hash}
+   *   @key name {string}
+   * @return {hash}
+   *   @key getItems {function}
+   *   @key getLayout {function}
+   *   @key setLayout {function}
+   */
+  function MenuLayout(aHandlerManager, aEntryRegistry, aOption = {}) {
+    const {
+      name = ''
+    } = aOption;
+
+    /**
+     * The preference name of the user layout.
+     *
+     * @value {string} JSON of [Layout data].
+     */
+    const kLayoutPrefName = 'ucjs.UI.contextMenu.' + name + '.layout';
+
+    const kSubmenuClass = 'ucjs_UI_layoutSubmenu';
+
+    /**
+     * The state of the default layout while the menu opens.
+     *
+     * @key nodes {Node[]} The child nodes in the default order.
+     * @key hiddenNodes {Element[]} The nodes that the layout hides.
+     * @key submenus {Element[]} The <menu> elements of the submenus.
+     */
+    let mDefaultState = null;
+
+    aHandlerManager.register({
+      events: [
+        ['popupshowing', onPopupShowing, false],
+        ['popuphidden', onPopupHidden, false]
+      ]
+    });
+
+    /**
+     * Gets the key of an item.
+     *
+     * @param aNode {Node}
+     * @param aEntryIds {Map} [optional]
+     *   @see |EntryRegistry::getBuiltEntryIds|
+     * @return {string|null}
+     */
+    function getKey(aNode, aEntryIds) {
+      if (aEntryIds && aEntryIds.has(aNode)) {
+        return 'entry:' + aEntryIds.get(aNode);
+      }
+
+      return aNode.id || null;
+    }
+
+    /**
+     * Gets the units of the nodes in a popup menu.
+     *
+     * @param aPopupMenu {Element}
+     * @return {hash[]}
+     *   @key key {string|null}
+     *   @key nodes {Node[]}
+     */
+    function getUnits(aPopupMenu) {
+      let entryIds = aEntryRegistry.getBuiltEntryIds();
+      let units = [];
+
+      [...aPopupMenu.childNodes].forEach((node) => {
+        let key = getKey(node, entryIds);
+        let last = units[units.length - 1];
+
+        if (last && (!key || key === last.key)) {
+          last.nodes.push(node);
+        }
+        else {
+          units.push({
+            key,
+            nodes: [node]
+          });
+        }
+      });
+
+      return units;
+    }
+
+    function onPopupShowing(aEvent) {
+      let popupMenu = aEvent.currentTarget;
+
+      if (aEvent.target !== popupMenu) {
+        return;
+      }
+
+      let layout = getLayout();
+
+      if (!layout) {
+        return;
+      }
+
+      mDefaultState = {
+        nodes: [...popupMenu.childNodes],
+        hiddenNodes: [],
+        submenus: []
+      };
+
+      let hiddenKeys = new Set(layout.hidden);
+
+      arrange(getUnits(popupMenu), layout).forEach((aItem) => {
+        if (aItem.submenu) {
+          let menu = createSubmenu(aItem.submenu.label);
+
+          aItem.submenu.items.forEach((unit) => {
+            appendUnit(menu.menupopup, unit, hiddenKeys);
+          });
+
+          popupMenu.appendChild(menu);
+          mDefaultState.submenus.push(menu);
+        }
+        else {
+          appendUnit(popupMenu, aItem, hiddenKeys);
+        }
+      });
+
+      // Update after the native handlers and |manageMenuSeparators|.
+      setImmediate(updateVisibility, popupMenu, mDefaultState);
+    }
+
+    function createSubmenu(aLabel) {
+      let menu = window.document.createElement('menu');
+
+      menu.setAttribute('label', aLabel);
+      menu.classList.add(kSubmenuClass);
+
+      menu.appendChild(window.document.createElement('menupopup'));
+
+      return menu;
+    }
+
+    function appendUnit(aPopup, aUnit, aHiddenKeys) {
+      aUnit.nodes.forEach((node) => {
+        aPopup.appendChild(node);
+
+        if (aUnit.key && aHiddenKeys.has(aUnit.key) && !node.hidden) {
+          node.hidden = true;
+          mDefaultState.hiddenNodes.push(node);
+        }
+      });
+    }
+
+    function updateVisibility(aPopupMenu, aState) {
+      if (aState !== mDefaultState) {
+        return;
+      }
+
+      let isHiddenByLayout = (aNode) => aState.hiddenNodes.indexOf(aNode) > -1;
+
+      let getSeparators = (aPopup) =>
+        [...aPopup.childNodes].filter((node) =>
+          node.localName === 'menuseparator' && !isHiddenByLayout(node));
+
+      // Restore the separators that |manageMenuSeparators| shows.
+      aState.hiddenNodes.forEach((node) => {
+        node.hidden = true;
+      });
+
+      aState.submenus.forEach((menu) => {
+        let popup = menu.menupopup;
+
+        manageSeparators(getSeparators(popup));
+
+        menu.hidden = [...popup.childNodes].every((node) =>
+          node.hidden || node.collapsed || node.localName === 'menuseparator');
+      });
+
+      manageSeparators(getSeparators(aPopupMenu));
+    }
+
+    function onPopupHidden(aEvent) {
+      let popupMenu = aEvent.currentTarget;
+
+      if (aEvent.target !== popupMenu || !mDefaultState) {
+        return;
+      }
+
+      let {nodes, hiddenNodes, submenus} = mDefaultState;
+
+      mDefaultState = null;
+
+      hiddenNodes.forEach((node) => {
+        node.hidden = false;
+      });
+
+      // @note The removed nodes (e.g. the built nodes of the entries) are not
+      // restored.
+      nodes.forEach((node) => {
+        if (node.parentNode) {
+          popupMenu.appendChild(node);
+        }
+      });
+
+      submenus.forEach((menu) => {
+        // Move out the nodes that are added while the menu opens.
+        [...menu.menupopup.childNodes].forEach((node) => {
+          popupMenu.appendChild(node);
+        });
+
+        popupMenu.removeChild(menu);
+      });
+    }
+
+    /**
+     * Gets the items in the layout.
+     *
+     * @param aOption {hash}
+     *   @key useDefault {boolean}
+     *     Gets the items in the default layout instead of the user layout.
+     * @return {hash[]}
+     *   The items and the submenus at the top level in order.
+     *   {hash}: An item.
+     *     @key key {string}
+     *     @key label {string}
+     *     @key type {string} 'native' or 'separator' or 'entry'.
+     *   {hash}: A submenu.
+     *     @key submenu {hash}
+     *       @key label {string}
+     *       @key items {hash[]}
+     *
+     * @note The nodes without id are not listed.
+     * @note For the layout editor while the menu closes.
+     */
+    function getItems(aOption = {}) {
+      const {
+        useDefault
+      } = aOption;
+
+      let popupMenu = aHandlerManager.getTarget();
+      let items = [];
+
+      [...popupMenu.childNodes].forEach((node) => {
+        aEntryRegistry.getEntriesBefore(node).forEach(({id, script, label}) => {
+          items.push({
+            key: 'entry:' + id,
+            label: label + ' (' + script + ')',
+            type: 'entry'
+          });
+        });
+
+        let key = getKey(node);
+
+        if (!key || node.classList.contains(kSubmenuClass)) {
+          return;
+        }
+
+        let isSeparator = node.localName === 'menuseparator';
+
+        items.push({
+          key,
+          label: (!isSeparator && node.getAttribute('label')) || key,
+          type: isSeparator ? 'separator' : 'native'
+        });
+      });
+
+      let layout = !useDefault && getLayout();
+
+      return layout ? arrange(items, layout) : items;
+    }
+
+    /**
+     * Gets the user layout.
+     *
+     * @return {hash|null}
+     *   @see [Layout data]
+     */
+    function getLayout() {
+      let layout = null;
+
+      try {
+        layout = JSON.parse(Prefs.get(kLayoutPrefName, 'null'));
+      }
+      catch (ex) {}
+
+      if (layout === null) {
+        return null;
+      }
+
+      if (!isValidLayout(layout)) {
+        log('Invalid value is stored: ' + kLayoutPrefName);
+
+        return null;
+      }
+
+      return layout;
+    }
+
+    /**
+     * Sets the user layout.
+     *
+     * @param aLayout {hash|null}
+     *   @see [Layout data]
+     *   @note Resets to the default layout if null.
+     * @throws {Error} The layout is invalid.
+     *
+     * @note Applied from the next time the popup menu opens.
+     */
+    function setLayout(aLayout) {
+      if (!aLayout) {
+        Prefs.reset(kLayoutPrefName);
+
+        return;
+      }
+
+      if (!isValidLayout(aLayout)) {
+        throw Error('Invalid layout for ' + name);
+      }
+
+      Prefs.set(kLayoutPrefName, JSON.stringify(aLayout));
+    }
+
+    function isValidLayout(aLayout) {
+      let isKeyList = (aList) =>
+        Array.isArray(aList) &&
+        aList.every((key) => typeof key === 'string');
+
+      return !!aLayout &&
+        Array.isArray(aLayout.items) &&
+        aLayout.items.every((item) =>
+          typeof item === 'string' ||
+          (!!item && typeof item.submenu === 'string' &&
+           isKeyList(item.items))) &&
+        isKeyList(aLayout.hidden);
+    }
+
+    return {
+      getItems,
+      getLayout,
+      setLayout
+    };
+  }
+
+  /**
+   * Arranges the items in a layout.
+   *
+   * @param aItems {hash[]}
+   *   The items in the default layout.
+   *   @key key {string|null}
+   * @param aLayout {hash}
+   *   @see |MenuLayout| [Layout data]
+   * @return {hash[]}
+   *   The items and the submenus at the top level in order.
+   *   @note A submenu is {submenu: {label, items}}.
+   */
+  function arrange(aItems, aLayout) {
+    let itemMap = new Map();
+
+    aItems.forEach((item) => {
+      if (item.key && !itemMap.has(item.key)) {
+        itemMap.set(item.key, item);
+      }
+    });
+
+    // The top level element that contains an item.
+    let placed = new Map();
+    let result = [];
+
+    aLayout.items.forEach((aLayoutItem) => {
+      if (typeof aLayoutItem === 'string') {
+        let item = itemMap.get(aLayoutItem);
+
+        if (item && !placed.has(item)) {
+          result.push(item);
+          placed.set(item, item);
+        }
+
+        return;
+      }
+
+      let submenu = {
+        submenu: {
+          label: aLayoutItem.submenu,
+          items: []
+        }
+      };
+
+      aLayoutItem.items.forEach((key) => {
+        let item = itemMap.get(key);
+
+        if (item && !placed.has(item)) {
+          submenu.submenu.items.push(item);
+          placed.set(item, submenu);
+        }
+      });
+
+      result.push(submenu);
+    });
+
+    // The items not in the layout follow their preceding items.
+    let preceding = null;
+
+    aItems.forEach((item) => {
+      if (!placed.has(item)) {
+        result.splice(preceding ? result.indexOf(preceding) + 1 : 0, 0, item);
+        placed.set(item, item);
+      }
+
+      preceding = placed.get(item);
+    });
+
+    return result;
+  }
+
+  /**
+   * Gets the default context for a popup menu not in the content area.
+   *
+   * @return {hash}
+   *   @see |ContentArea::getContext|
+   */
+  function getPageContext() {
+    return {
+      link: false,
+      image: false,
+      selection: false,
+      page: true,
+      editable: false,
+      frame: false,
+      target: null,
+      linkURL: '',
+      mediaURL: '',
+      pageURL: gBrowser.currentURI.spec
+    };
+  }
+
+  /**
+   * Expose
+   */
+  return {
+    init
+  };
+})();
+
+/**
+ * Content area handler.
+ */
+const ContentArea = (function() {
+  let getContextMenu = () => $ID('contentAreaContextMenu');
+
+  let contextMenu = PopupMenuHandler.init(getContextMenu, {
+    name: 'contentArea',
+    groups: [
+      {name: 'send', position: 'start'},
+      {name: 'list', position: 'start'},
+      {name: 'link', before: 'context-sep-copylink'},
+      {name: 'tools'}
+    ],
+    getContext
+  });
+
+  /**
+   * Gets the context of the context menu.
+   *
+   * @return {hash}
+   *   @key link {boolean}
+   *   @key image {boolean}
+   *   @key selection {boolean}
+   *   @key page {boolean}
+   *     Not on a link, a media, a text input or a selection.
+   *   @key editable {boolean}
+   *   @key frame {boolean}
+   *   @key target {Element}
+   *   @key linkURL {string}
+   *   @key mediaURL {string}
+   *   @key pageURL {string}
+   */
+  function getContext() {
+    // @see chrome://browser/content/nsContextMenu.js
+    const {
+      onLink, onImage, onCanvas, onVideo, onAudio, onTextInput,
+      isTextSelected, inFrame, target, linkURL, mediaURL
+    } = window.gContextMenu;
+
+    let onMedia = onImage || onCanvas || onVideo || onAudio;
+
+    return {
+      link: onLink,
+      image: onImage,
+      selection: isTextSelected,
+      page: !onLink && !onMedia && !onTextInput && !isTextSelected,
+      editable: onTextInput,
+      frame: inFrame,
+      target,
+      linkURL,
+      mediaURL,
+      pageURL: gBrowser.currentURI.spec
+    };
+  }
+
+  return {
+    contextMenu
+  };
+})();
+
+/**
+ * URL bar handler.
+ *
+ * @see chrome://browser/content/urlbarBindings.xml
+ */
+const URLBar = (function() {
+  let getTextBox = () => $ANONID('textbox-input-box', gURLBar);
+  let getContextMenu = () => $ANONID('input-box-contextmenu', getTextBox());
+
+  // The UI customization resets the context menu of the URL bar to Fx default
+  // value. So, observe it to fix user settings for the context menu.
+  let contextMenu = PopupMenuHandler.init(getContextMenu, {
+    name: 'URLBar',
+    observeUICustomization: true,
+    groups: [
+      {name: 'page'},
+      {name: 'navigation'}
+    ]
+  });
+
+  return {
+    contextMenu
+  };
+})();
+
+/**
+ * Find bar handler.
+ *
+ * @see chrome://global/content/bindings/findbar.xml
+ */
+const FindBar = (function() {
+  /**
+   * UI settings.
+   */
+  const kUI = {
+    modeMenu: {
+      // @note Identified by the class name since each tab has a findbar.
+      id: 'ucjs_UI_FindBar_modeMenu',
+      tooltiptext: '検索モード（複数語はスペースで区切る）'
+    },
+
+    overlay: {
+      // The style of the colored box on a match.
+      boxStyle: 'position:absolute;pointer-events:none;' +
+        'mix-blend-mode:multiply;'
+    },
+
+    status: {
+      count: '%index% / %count%',
+      invalid: '無効なパターン: %error%'
+    }
+  };
+
+  const builder = createBuilder();
+
+  /**
+   * Fx native UI elements.
+   */
+  const UI = {
+    get textBox() {
+      return gFindBar.getElement('findbar-textbox');
+    },
+
+    get highlightButton() {
+      return gFindBar.getElement('highlight');
+    }
+  };
+
+  /**
+   * Manager of handlers on create/destroy the target findbar.
+   *
+   * @return {hash}
+   *   @key register {function}
+   */
+  const HandlerManager = (function() {
+    let mOnCreateHandlers = [];
+    let mOnDestroyHandlers = [];
+
+    let tc = gBrowser.tabContainer;
+
+    addEvent(tc, 'TabFindInitialized', handleEvent, false);
+    addEvent(tc, 'TabClose', handleEvent, false);
+
+    function handleEvent(aEvent) {
+      let tab = aEvent.target;
+
+      switch (aEvent.type) {
+        case 'TabFindInitialized': {
+          manageHandlers({
+            doCreate: true,
+            tab
+          });
+
+          break;
+        }
+
+        case 'TabClose': {
+          manageHandlers({
+            doDestroy: true,
+            tab
+          });
+
+          break;
+        }
+      }
+    }
+
+    /**
+     * Creates the parameter of handler.
+     *
+     * @param {hash}
+     *   @key tab {Element}
+     *     A tab element.
+     * @return {hash}
+     *   @key tab {Element}
+     *   @key findBar {Element}
+     *     A findbar that is associated with the tab.
+     */
+    function HandlerParam({tab}) {
+      return {
+        tab,
+        findBar: gBrowser.getFindBar(tab)
+      };
+    }
+
+    function manageHandlers({doCreate, tab}) {
+      // @note Don't create a needless findbar of a closing tab by
+      // |gBrowser.getFindBar|.
+      if (!doCreate && !gBrowser.isFindBarInitialized(tab)) {
+        return;
+      }
+
+      let handlers = doCreate ? mOnCreateHandlers : mOnDestroyHandlers;
+
+      handlers.forEach((handler) => {
+        handler(HandlerParam({
+          tab
+        }));
+      });
+    }
+
+    /**
+     * Registers the handlers.
+     *
+     * @param {hash}
+     *   @key onCreate {function}
+     *     A function called when the findbar of a tab is initialized.
+     *     @note Also applied to findbars that have been already initialized
+     *     on this registration is called.
+     *     @param {hash}
+     *       @key tab {Element} The tab that has the initialized findbar.
+     *       @key findBar {Element} The initialized findbar.
+     *       @see |HandlerParam|
+     *   @key onDestroy {function}
+     *     A function called when the findbar is about to be destroyed.
+     *     @param {hash}
+     *       @key tab {Element}
+     *       @key findBar {Element}
+     */
+    function register(aParam = {}) {
+      let {
+        onCreate,
+        onDestroy
+      } = aParam;
+
+      if (onCreate) {
+        // Apply the init handler to existing findbars (including hidden tabs).
+        [...gBrowser.tabs].forEach((tab) => {
+          if (gBrowser.isFindBarInitialized(tab)) {
+            onCreate(HandlerParam({
+              tab
+            }));
+          }
+        });
+
+        mOnCreateHandlers.push(onCreate);
+      }
+
+      if (onDestroy) {
+        mOnDestroyHandlers.push(onDestroy);
+      }
+    }
+
+    return {
+      register
+    };
+  })();
+
+  /**
+   * Handler of a find text string.
+   */
+  const FindText = {
+    get value() {
+      return UI.textBox.value;
+    },
+
+    set value(aText) {
+      aText = aText || '';
+
+      if (this.value !== aText) {
+        UI.textBox.value = aText;
+      }
+    },
+
+    focus() {
+      if (!gFindBar.hidden) {
+        UI.textBox.focus();
+        UI.textBox.select();
+      }
+    }
+  };
+
+  /**
+   * Handler of the pattern find of multiple terms or a regular expression.
+   *
+   * @return {hash}
+   *   @key isPatternMode {function}
+   *   @key clear {function}
+   *   @key getFoundRange {function}
+   *
+   * @note The native find of a findbar is replaced with this finder while
+   * the find mode |kPref.findMode| is not 'normal'.
+   * @note The matches are highlighted with the find selection like the
+   * native highlighter, and each term is colored |kPref.findColors| in an
+   * overlay of the anonymous content, so that the DOM of a page is never
+   * modified.
+   * @note A match across elements is not found.
+   * @note The overlay is redrawn on resizing of the view, but does not
+   * follow the matches in a scrolled element.
+   */
+  const PatternFinder = (function() {
+    /**
+     * Max number of the matches in a page.
+     *
+     * @note Highlighting too many matches makes the page unresponsive.
+     */
+    const kMaxMatches = 1000;
+
+    /**
+     * The elements whose texts are not searched.
+     */
+    const kSkipTags = new Set([
+      'script', 'style', 'noscript', 'textarea', 'select', 'option'
+    ]);
+
+    const kXHTMLNS = 'http://www.w3.org/1999/xhtml';
+
+    /**
+     * The state of the find in each findbar.
+     *
+     * @key {Element} A findbar.
+     * @value {hash}
+     *   @key document {Document} The document of the browser.
+     *   @key query {string} The text with the find options.
+     *   @key matches {hash[]} The matches in document order.
+     *     @key range {Range}
+     *     @key term {integer} The index of the matched term.
+     *   @key index {integer} The index of the current match.
+     *   @key overlays {Map}
+     *     @key {Document}
+     *     @value {AnonymousContent} The overlay of the colors of the terms.
+     *   @key onResize {function}
+     */
+    let mStates = new WeakMap();
+
+    HandlerManager.register({
+      onCreate: attach,
+      onDestroy: detach
+    });
+
+    Settings.addListener(onSettingChange);
+
+    function isPatternMode() {
+      return kPref.findMode !== 'normal';
+    }
+
+    /**
+     * Attaches the pattern find to a findbar.
+     *
+     * @param {hash}
+     *   @key findBar {Element}
+     *   @see |HandlerManager::register|
+     */
+    function attach({findBar}) {
+      // @modified chrome://global/content/bindings/findbar.xml::_find
+      const $find = findBar._find;
+
+      findBar._find = function ucjsUI_FindBar_find(aValue, ...aParams) {
+        if (!isPatternMode()) {
+          return $find.call(this, aValue, ...aParams);
+        }
+
+        find(this, (aValue !== undefined) ? aValue : getText(this));
+
+        this._dispatchFindEvent('');
+      };
+
+      // @modified chrome://global/content/bindings/findbar.xml::onFindAgainCommand
+      const $onFindAgainCommand = findBar.onFindAgainCommand;
+
+      findBar.onFindAgainCommand =
+      function ucjsUI_FindBar_onFindAgainCommand(aFindPrevious, ...aParams) {
+        if (!isPatternMode()) {
+          return $onFindAgainCommand.call(this, aFindPrevious, ...aParams);
+        }
+
+        findAgain(this, aFindPrevious);
+      };
+
+      // @note The native highlight clears the find selection of the matches.
+      // @see |updateHighlightButton|
+      // @modified chrome://global/content/bindings/findbar.xml::toggleHighlight
+      const $toggleHighlight = findBar.toggleHighlight;
+
+      findBar.toggleHighlight =
+      function ucjsUI_FindBar_toggleHighlight(...aParams) {
+        if (isPatternMode()) {
+          return;
+        }
+
+        return $toggleHighlight.apply(this, aParams);
+      };
+
+      // @modified chrome://global/content/bindings/findbar.xml::close
+      const $close = findBar.close;
+
+      findBar.close = function ucjsUI_FindBar_close(...aParams) {
+        clear(this);
+
+        return $close.apply(this, aParams);
+      };
+
+      builder.build({
+        tag: 'menulist',
+        attributes: {
+          class: kUI.modeMenu.id,
+          tooltiptext: kUI.modeMenu.tooltiptext,
+          value: kPref.findMode
+        },
+        events: {
+          command: (aEvent) => Settings.set('findMode', aEvent.target.value)
+        },
+        children: [{
+          tag: 'menupopup',
+          children: Settings.schema.findMode.choices.map(({value, label}) => ({
+            tag: 'menuitem',
+            attributes: {
+              value,
+              label
+            }
+          }))
+        }]
+      }, findBar);
+
+      updateHighlightButton(findBar);
+    }
+
+    /**
+     * Detaches the pattern find from a findbar that is destroyed.
+     *
+     * @param {hash}
+     *   @key findBar {Element}
+     *   @see |HandlerManager::register|
+     */
+    function detach({findBar}) {
+      clear(findBar);
+
+      let modeMenu = findBar.getElementsByClassName(kUI.modeMenu.id)[0];
+
+      if (modeMenu) {
+        builder.untrack(modeMenu);
+        modeMenu.parentNode.removeChild(modeMenu);
+      }
+    }
+
+    /**
+     * Disables the native highlight button in the pattern mode.
+     *
+     * @param aFindBar {Element}
+     *
+     * @note The matches are always highlighted in the pattern mode.
+     */
+    function updateHighlightButton(aFindBar) {
+      let button = aFindBar.getElement('highlight');
+      let disabled = isPatternMode();
+
+      if (disabled && button.checked) {
+        // @note |toggleHighlight| is disabled in the pattern mode, so clear
+        // the native highlight with the finder.
+        aFindBar.browser.finder.highlight(false, getText(aFindBar));
+        button.checked = false;
+      }
+
+      button.disabled = disabled;
+    }
+
+    /**
+     * Applies the change of the find mode to all findbars.
+     */
+    function onSettingChange(aKey, aValue) {
+      if (aKey !== 'findMode') {
+        return;
+      }
+
+      [...gBrowser.tabs].forEach((tab) => {
+        if (!gBrowser.isFindBarInitialized(tab)) {
+          return;
+        }
+
+        let findBar = gBrowser.getFindBar(tab);
+
+        clear(findBar);
+        updateHighlightButton(findBar);
+
+        let modeMenu = findBar.getElementsByClassName(kUI.modeMenu.id)[0];
+
+        if (modeMenu && modeMenu.value !== aValue) {
+          modeMenu.value = aValue;
+        }
+      });
+
+      // Find again with the new mode.
+      if (gBrowser.isFindBarInitialized(gBrowser.selectedTab) &&
+          !gFindBar.hidden && FindText.value) {
+        gFindBar._find();
+      }
+    }
+
+    function getText(aFindBar) {
+      return aFindBar.getElement('findbar-textbox').value;
+    }
+
+    /**
+     * Makes the key to test whether the last find is still available.
+     */
+    function getQuery(aFindBar, aText) {
+      return [
+        kPref.findMode,
+        aFindBar._shouldBeCaseSensitive(aText),
+        aText
+      ].join('\n');
+    }
+
+    /**
+     * Makes the patterns from a find text.
+     *
+     * @param aText {string}
+     * @param aOption {hash}
+     *   @key mode {string} 'terms' or 'regexp'.
+     *   @key caseSensitive {boolean}
+     * @return {RegExp[]} The pattern of each term.
+     * @throws {SyntaxError} An invalid regular expression.
+     */
+    function parse(aText, {mode, caseSensitive}) {
+      let flags = caseSensitive ? 'g' : 'gi';
+
+      if (mode === 'regexp') {
+        return [new RegExp(aText, flags)];
+      }
+
+      let terms = new Set(aText.trim().split(/\s+/).filter(Boolean));
+
+      return [...terms].map((term) =>
+        new RegExp(term.replace(/[.*+?^${}()|\[\]\/\\]/g, '\\$&'), flags));
+    }
+
+    /**
+     * Matches the patterns in a text.
+     *
+     * @param aText {string}
+     * @param aPatterns {RegExp[]}
+     * @return {hash[]}
+     *   @key start {integer}
+     *   @key end {integer}
+     *   @key term {integer} The index of the matched pattern.
+     *
+     * @note The ranges are sorted in order and the overlapped ones are
+     * dropped.
+     */
+    function matchText(aText, aPatterns) {
+      let ranges = [];
+
+      aPatterns.forEach((pattern, term) => {
+        let match;
+
+        pattern.lastIndex = 0;
+
+        while ((match = pattern.exec(aText))) {
+          // Avoid an infinite loop for an empty match.
+          if (!match[0]) {
+            pattern.lastIndex++;
+
+            continue;
+          }
+
+          ranges.push({
+            start: match.index,
+            end: match.index + match[0].length,
+            term
+          });
+        }
+      });
+
+      ranges.sort((a, b) => a.start - b.start || b.end - a.end);
+
+      let lastEnd = 0;
+
+      return ranges.filter(({start, end}) => {
+        if (start < lastEnd) {
+          return false;
+        }
+
+        lastEnd = end;
+
+        return true;
+      });
+    }
+
+    /**
+     * Finds the text from the first match.
+     *
+     * @param aFindBar {Element}
+     * @param aText {string}
+     * @param aFindPrevious {boolean} [optional]
+     *   Whether select the last match.
+     */
+    function find(aFindBar, aText, aFindPrevious) {
+      clear(aFindBar);
+
+      if (!aText) {
+        aFindBar._updateStatusUI();
+
+        return;
+      }
+
+      let patterns;
+
+      try {
+        patterns = parse(aText, {
+          mode: kPref.findMode,
+          caseSensitive: aFindBar._shouldBeCaseSensitive(aText)
+        });
+      }
+      catch (ex) {
+        updateStatus(aFindBar, {
+          error: ex.message
+        });
+
+        return;
+      }
+
+      let document = aFindBar.browser.contentDocument;
+
+      let state = {
+        document,
+        query: getQuery(aFindBar, aText),
+        matches: collectMatches(document.defaultView, patterns),
+        index: -1,
+        overlays: new Map(),
+        onResize: () => drawOverlays(state)
+      };
+
+      mStates.set(aFindBar, state);
+
+      showHighlights(aFindBar, state);
+
+      step(aFindBar, aFindPrevious);
+    }
+
+    function findAgain(aFindBar, aFindPrevious) {
+      let text = getText(aFindBar);
+      let state = mStates.get(aFindBar);
+
+      // Find anew for a new text, options or document.
+      if (!state ||
+          state.document !== aFindBar.browser.contentDocument ||
+          state.query !== getQuery(aFindBar, text)) {
+        find(aFindBar, text, aFindPrevious);
+
+        return;
+      }
+
+      step(aFindBar, aFindPrevious);
+    }
+
+    /**
+     * Selects the next match in document order.
+     *
+     * @param aFindBar {Element}
+     * @param aFindPrevious {boolean}
+     */
+    function step(aFindBar, aFindPrevious) {
+      const {FIND_FOUND, FIND_NOTFOUND, FIND_WRAPPED} = Ci.nsITypeAheadFind;
+
+      let state = mStates.get(aFindBar);
+      let {matches, index} = state;
+      let count = matches.length;
+
+      if (!count) {
+        updateStatus(aFindBar, {
+          result: FIND_NOTFOUND
+        });
+
+        return;
+      }
+
+      let next;
+      let wrapped = false;
+
+      if (index < 0) {
+        next = aFindPrevious ? count - 1 : 0;
+      }
+      else {
+        next = index + (aFindPrevious ? -1 : 1);
+        wrapped = next < 0 || count <= next;
+        next = (next + count) % count;
+      }
+
+      state.index = next;
+
+      selectMatch(aFindBar, matches[next]);
+
+      updateStatus(aFindBar, {
+        result: wrapped ? FIND_WRAPPED : FIND_FOUND,
+        findPrevious: aFindPrevious,
+        index: next,
+        count
+      });
+    }
+
+    function selectMatch(aFindBar, {range}) {
+      let view = range.startContainer.ownerDocument.defaultView;
+      let selection = view.getSelection();
+
+      selection.removeAllRanges();
+      selection.addRange(range.cloneRange());
+
+      // @note Scroll synchronously so that the scroll can be observed right
+      // after finding (e.g. FindAgainScroller.uc.js).
+      const {
+        SELECTION_NORMAL,
+        SELECTION_WHOLE_SELECTION,
+        SCROLL_CENTER_VERTICALLY,
+        SCROLL_SYNCHRONOUS
+      } = Ci.nsISelectionController;
+
+      aFindBar.browser.finder._getSelectionController(view).
+        scrollSelectionIntoView(SELECTION_NORMAL, SELECTION_WHOLE_SELECTION,
+          SCROLL_CENTER_VERTICALLY | SCROLL_SYNCHRONOUS);
+    }
+
+    function updateStatus(aFindBar, aParam) {
+      let {result, findPrevious, index, count, error} = aParam;
+
+      if (error) {
+        aFindBar._updateStatusUI(Ci.nsITypeAheadFind.FIND_NOTFOUND);
+        aFindBar._findStatusDesc.textContent =
+          kUI.status.invalid.replace('%error%', () => error);
+
+        return;
+      }
+
+      aFindBar._updateStatusUI(result, findPrevious);
+
+      if (result === Ci.nsITypeAheadFind.FIND_FOUND) {
+        aFindBar._findStatusDesc.textContent =
+          kUI.status.count.
+          replace('%index%', index + 1).
+          replace('%count%', count);
+      }
+    }
+
+    /**
+     * Collects the matches in a window and its frames.
+     *
+     * @param aWindow {Window}
+     * @param aPatterns {RegExp[]}
+     * @return {hash[]} The matches in document order.
+     *   @see |mStates|
+     *
+     * @note The matches in frames follow the ones in the parent document.
+     */
+    function collectMatches(aWindow, aPatterns) {
+      let matches = [];
+
+      getDocuments(aWindow).some((document) => {
+        collectDocumentMatches(document, aPatterns, matches);
+
+        return matches.length >= kMaxMatches;
+      });
+
+      return matches;
+    }
+
+    function getDocuments(aWindow) {
+      let documents = [aWindow.document];
+
+      // @note [...window.frames] doesn't work since |window.frames| doesn't
+      // have [Symbol.iterator].
+      Array.forEach(aWindow.frames, (frame) => {
+        documents.push(...getDocuments(frame));
+      });
+
+      return documents;
+    }
+
+    function collectDocumentMatches(aDocument, aPatterns, aMatches) {
+      let root = aDocument.body;
+
+      if (!root) {
+        return;
+      }
+
+      let walker = aDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode(aNode) {
+          return kSkipTags.has(aNode.parentNode.localName) ?
+            NodeFilter.FILTER_REJECT :
+            NodeFilter.FILTER_ACCEPT;
+        }
+      });
+
+      while (walker.nextNode()) {
+        let node = walker.currentNode;
+
+        let ranges = matchText(node.data, aPatterns).
+          slice(0, kMaxMatches - aMatches.length);
+
+        ranges.forEach(({start, end, term}) => {
+          let range = aDocument.createRange();
+
+          range.setStart(node, start);
+          range.setEnd(node, end);
+
+          aMatches.push({
+            range,
+            term
+          });
+        });
+
+        if (aMatches.length >= kMaxMatches) {
+          break;
+        }
+      }
+    }
+
+    /**
+     * Gets the find selection that the native highlighter uses.
+     *
+     * @param aFindBar {Element}
+     * @param aDocument {Document}
+     * @return {nsISelectionController}
+     */
+    function getSelectionController(aFindBar, aDocument) {
+      return aFindBar.browser.finder.
+        _getSelectionController(aDocument.defaultView);
+    }
+
+    function showHighlights(aFindBar, aState) {
+      const {SELECTION_FIND} = Ci.nsISelectionController;
+
+      let documents = new Set();
+
+      aState.matches.forEach(({range}) => {
+        let document = range.startContainer.ownerDocument;
+
+        getSelectionController(aFindBar, document).
+          getSelection(SELECTION_FIND).
+          addRange(range);
+
+        documents.add(document);
+      });
+
+      documents.forEach((document) => {
+        getSelectionController(aFindBar, document).
+          repaintSelection(SELECTION_FIND);
+
+        aState.overlays.set(document, null);
+
+        document.defaultView.addEventListener('resize', aState.onResize,
+          false);
+      });
+
+      drawOverlays(aState);
+    }
+
+    function hideHighlights(aFindBar, aState) {
+      const {SELECTION_FIND} = Ci.nsISelectionController;
+
+      // @note The document may be already unloaded.
+      aState.matches.forEach(({range}) => {
+        try {
+          getSelectionController(aFindBar, range.startContainer.ownerDocument).
+            getSelection(SELECTION_FIND).
+            removeRange(range);
+        }
+        catch (ex) {}
+      });
+
+      aState.overlays.forEach((overlay, document) => {
+        try {
+          document.defaultView.removeEventListener('resize', aState.onResize,
+            false);
+
+          if (overlay) {
+            document.removeAnonymousContent(overlay);
+          }
+
+          getSelectionController(aFindBar, document).
+            repaintSelection(SELECTION_FIND);
+        }
+        catch (ex) {}
+      });
+
+      aState.overlays.clear();
+    }
+
+    /**
+     * Draws the overlays of the colors of the terms.
+     *
+     * @param aState {hash}
+     *   @see |mStates|
+     */
+    function drawOverlays(aState) {
+      let colors = kPref.findColors;
+
+      aState.overlays.forEach((overlay, document) => {
+        // @note |insertAnonymousContent| is available on Fx 39+. The matches
+        // are still highlighted with the find selection without it.
+        if (!document.insertAnonymousContent) {
+          return;
+        }
+
+        if (overlay) {
+          document.removeAnonymousContent(overlay);
+        }
+
+        let {scrollX, scrollY} = document.defaultView;
+        let container = document.createElementNS(kXHTMLNS, 'div');
+
+        aState.matches.forEach(({range, term}) => {
+          if (range.startContainer.ownerDocument !== document) {
+            return;
+          }
+
+          let color = colors[term % colors.length] || 'yellow';
+
+          Array.forEach(range.getClientRects(), (rect) => {
+            let box = document.createElementNS(kXHTMLNS, 'div');
+
+            box.setAttribute('style', kUI.overlay.boxStyle +
+              'left:' + (rect.left + scrollX) + 'px;' +
+              'top:' + (rect.top + scrollY) + 'px;' +
+              'width:' + rect.width + 'px;' +
+              'height:' + rect.height + 'px;' +
+              'background-color:' + color + ';');
+
+            container.appendChild(box);
+          });
+        });
+
+        // @note The anonymous content is out of the DOM tree of the page.
+        aState.overlays.set(document,
+          document.insertAnonymousContent(container));
+      });
+    }
+
+    /**
+     * Removes the highlights in a findbar.
+     *
+     * @param aFindBar {Element}
+     */
+    function clear(aFindBar) {
+      let state = mStates.get(aFindBar);
+
+      if (!state) {
+        return;
+      }
+
+      mStates.delete(aFindBar);
+
+      hideHighlights(aFindBar, state);
+    }
+
+    /**
+     * Gets the range of the current match in the current tab.
+     *
+     * @return {Range|null}
+     *   null if not in the pattern mode or no match is selected.
+     */
+    function getFoundRange() {
+      if (!isPatternMode() ||
+          !gBrowser.isFindBarInitialized(gBrowser.selectedTab)) {
+        return null;
+      }
+
+      let state = mStates.get(gFindBar);
+
+      if (!state || state.index < 0 ||
+          state.document !== gBrowser.contentDocument) {
+        return null;
+      }
+
+      let {range} = state.matches[state.index];
+
+      // The text may be removed by the page.
+      if (range.collapsed) {
+        return null;
+      }
+
+      return range.cloneRange();
+    }
+
+    return {
+      isPatternMode,
+      clear,
+      getFoundRange
+    };
+  })();
+
+  function reset() {
+    gFindBar.clear();
+
+    PatternFinder.clear(gFindBar);
+
+    if (UI.highlightButton.checked) {
       toggleHighlight(false);
     }
   }
@@ -495,91 +2374,341 @@ const FindBar = (function() {
     }
   }
 
-  function find(aText, aOption = {}) {
-    if (!aText) {
-      return;
-    }
+  function find(aText, aOption = {}) {
+    if (!aText) {
+      return;
+    }
+
+    let {
+      doHighlight
+    } = aOption;
+
+    // Reset all status.
+    reset();
+
+    // Open a findbar and ready for the first finding.
+    gFindBar.onFindCommand();
+
+    // Find the text.
+    // @note Found by |PatternFinder| in the pattern mode.
+    FindText.value = aText;
+    gFindBar.onFindAgainCommand();
+
+    // @note The matches are always highlighted in the pattern mode.
+    if (doHighlight && !PatternFinder.isPatternMode()) {
+      toggleHighlight(true);
+    }
+  }
+
+  function toggleHighlight(aHighlight) {
+    gFindBar.toggleHighlight(aHighlight);
+
+    UI.highlightButton.checked = aHighlight;
+  }
+
+  /**
+   * Expose
+   */
+  return {
+    register: HandlerManager.register,
+    findText: FindText,
+    reset,
+    toggle,
+    find,
+    isPatternMode: PatternFinder.isPatternMode,
+    getFoundRange: PatternFinder.getFoundRange
+  };
+})();
+
+/**
+ * Status bar handler.
+ */
+const StatusField = (function() {
+  // @see chrome://browser/content/browser.js::XULBrowserWindow
+  const {XULBrowserWindow} = window;
+
+  const kStatusAttribute = {
+    LINKSTATE: 'ucjs_UI_StatusField_linkState',
+    LINKRISK: 'ucjs_UI_StatusField_linkRisk',
+    MESSAGE: 'ucjs_UI_StatusField_message'
+  };
+
+  // @see http://pubs.opengroup.org/onlinepubs/007908799/xsh/strftime.html
+  const kTimeFormat = '%Y/%m/%d %H:%M:%S';
+  const kLinkFormat = '%url% [%time%]';
+  const kLinkHintsFormat = '%url%  %hints%';
+
+  /**
+   * Fx native UI elements.
+   */
+  const UI = {
+    get textBox() {
+      return XULBrowserWindow.statusTextField;
+    }
+  };
+
+  /**
+   * Message text handler.
+   *
+   * The messages are queued by id and the message of the highest priority is
+   * shown. The latest one is shown among the same priority.
+   *
+   * @note While a link is hovered, the link status is shown instead of the
+   * messages of a priority lower than |kMessagePriority.HIGH|.
+   */
+  const MessageHandler = (function() {
+    const kMessagePriority = {
+      LOW: -1,
+      NORMAL: 0,
+      HIGH: 1
+    };
+
+    const kDefaultId = 'default';
+
+    /**
+     * The queued messages.
+     *
+     * @key {string} The id of a message.
+     * @value {hash}
+     *   @key id {string}
+     *   @key text {string}
+     *   @key source {string}
+     *   @key priority {integer}
+     *   @key duration {integer}
+     *   @key time {integer} The time when the message is shown or updated.
+     *   @key timer {integer|null} The timer to cancel after the duration.
+     */
+    let mMessages = new Map();
+
+    /**
+     * The recent messages in the newest first order.
+     *
+     * @value {hash}
+     *   @key id {string}
+     *   @key text {string}
+     *   @key source {string}
+     *   @key time {integer}
+     */
+    let mHistory = [];
+
+    let mMessageStatus = '';
+    let mOverLink = false;
+
+    /**
+     * Determines if a message text is shown.
+     */
+    function hasMessage() {
+      return !!mMessageStatus;
+    }
+
+    /**
+     * Shows a message text.
+     *
+     * @param aText {string}
+     *   @note An empty text cancels the message with the id.
+     * @param aOption {hash} [optional]
+     *   @key id {string}
+     *     The id to update or cancel the message. Defaults to |source|, or
+     *     'default' if no source.
+     *     @note A message with the same id is replaced.
+     *   @key source {string}
+     *     The name of the script that shows the message.
+     *   @key priority {integer}
+     *     @see |kMessagePriority|. Defaults to NORMAL.
+     *   @key duration {integer}
+     *     The time in milliseconds to show. Shown until cancelled if 0.
+     *     Defaults to 0.
+     * @return {string} The id of the message.
+     *
+     * @usage
+     * let id = showMessage('Loading...', {source: 'Foo', duration: 3000});
+     * updateMessage(id, 'Done');
+     */
+    function showMessage(aText, aOption = {}) {
+      let {
+        source = '',
+        priority = kMessagePriority.NORMAL,
+        duration = 0
+      } = aOption;
+
+      let id = aOption.id || source || kDefaultId;
+
+      if (!aText) {
+        cancelMessage(id);
+
+        return id;
+      }
+
+      clearMessageTimer(mMessages.get(id));
+
+      // Put the message at the end as the latest one.
+      mMessages.delete(id);
+
+      mMessages.set(id, {
+        id,
+        text: String(aText),
+        source,
+        priority,
+        duration,
+        time: Date.now(),
+        timer: null
+      });
+
+      startMessage(id);
+
+      return id;
+    }
+
+    /**
+     * Updates the text of a message.
+     *
+     * @param aId {string}
+     * @param aText {string}
+     *   @note An empty text cancels the message.
+     * @return {boolean} Whether the message exists.
+     *
+     * @note The duration is restarted.
+     */
+    function updateMessage(aId, aText) {
+      let message = mMessages.get(aId);
+
+      if (!message) {
+        return false;
+      }
+
+      if (!aText) {
+        cancelMessage(aId);
+
+        return true;
+      }
+
+      clearMessageTimer(message);
+
+      message.text = String(aText);
+      message.time = Date.now();
+
+      startMessage(aId);
 
-    let {
-      doHighlight
-    } = aOption;
+      return true;
+    }
 
-    // Reset all status.
-    reset();
+    /**
+     * Cancels a message.
+     *
+     * @param aId {string}
+     */
+    function cancelMessage(aId) {
+      let message = mMessages.get(aId);
 
-    // Open a findbar and ready for the first finding.
-    gFindBar.onFindCommand();
+      if (!message) {
+        return;
+      }
 
-    // Find the text.
-    FindText.value = aText;
-    gFindBar.onFindAgainCommand();
+      clearMessageTimer(message);
+      mMessages.delete(aId);
 
-    if (doHighlight) {
-      toggleHighlight(true);
+      render();
     }
-  }
 
-  function toggleHighlight(aHighlight) {
-    gFindBar.toggleHighlight(aHighlight);
+    function startMessage(aId) {
+      let message = mMessages.get(aId);
 
-    UI.highlightButton.checked = aHighlight;
-  }
+      if (message.duration > 0) {
+        message.timer =
+          setTimeout(() => cancelMessage(aId), message.duration);
+      }
 
-  /**
-   * Expose
-   */
-  return {
-    register: HandlerManager.register,
-    findText: FindText,
-    reset,
-    toggle,
-    find
-  };
-})();
+      addHistory(message);
+      render();
+    }
 
-/**
- * Status bar handler.
- */
-const StatusField = (function() {
-  // @see chrome://browser/content/browser.js::XULBrowserWindow
-  const {XULBrowserWindow} = window;
+    function clearMessageTimer(aMessage) {
+      if (aMessage && aMessage.timer) {
+        clearTimeout(aMessage.timer);
+        aMessage.timer = null;
+      }
+    }
 
-  const kStatusAttribute = {
-    LINKSTATE: 'ucjs_UI_StatusField_linkState',
-    MESSAGE: 'ucjs_UI_StatusField_message'
-  };
+    /**
+     * Records a message in the history.
+     *
+     * @note The successive updates of a message are recorded as one.
+     */
+    function addHistory({id, text, source, time}) {
+      let latest = mHistory[0];
 
-  // @see http://pubs.opengroup.org/onlinepubs/007908799/xsh/strftime.html
-  const kTimeFormat = '%Y/%m/%d %H:%M:%S';
-  const kLinkFormat = '%url% [%time%]';
+      if (latest && latest.id === id) {
+        mHistory.shift();
+      }
 
-  /**
-   * Fx native UI elements.
-   */
-  const UI = {
-    get textBox() {
-      return XULBrowserWindow.statusTextField;
+      mHistory.unshift({
+        id,
+        text,
+        source,
+        time
+      });
+
+      if (mHistory.length > kPref.messageHistorySize) {
+        mHistory.length = kPref.messageHistorySize;
+      }
     }
-  };
 
-  /**
-   * Message text handler.
-   */
-  const MessageHandler = (function() {
-    let mMessageStatus = '';
+    /**
+     * Gets the recent messages.
+     *
+     * @return {hash[]}
+     *   @key text {string}
+     *   @key source {string}
+     *   @key time {integer}
+     *   @note In the newest first order.
+     */
+    function getHistory() {
+      return mHistory.map(({text, source, time}) => ({text, source, time}));
+    }
 
     /**
-     * Determines if a message text exists.
+     * Gets the message to be shown.
+     *
+     * @return {hash|null}
      */
-    function hasMessage() {
-      return !!mMessageStatus;
+    function getTopMessage() {
+      let top = null;
+
+      // @note The messages are in the order from old to new.
+      for (let message of mMessages.values()) {
+        if (mOverLink && message.priority < kMessagePriority.HIGH) {
+          continue;
+        }
+
+        if (!top || message.priority >= top.priority) {
+          top = message;
+        }
+      }
+
+      return top;
+    }
+
+    /**
+     * Sets whether a link is hovered.
+     *
+     * @param aOverLink {boolean}
+     */
+    function setOverLink(aOverLink) {
+      if (mOverLink === aOverLink) {
+        return;
+      }
+
+      mOverLink = aOverLink;
+
+      render();
     }
 
     /**
-     * Show a message text.
+     * Shows the top message text.
      */
-    function showMessage(aText) {
-      let text = aText || '';
+    function render() {
+      let message = getTopMessage();
+      let text = message ? message.text : '';
 
       if (text === mMessageStatus) {
         return;
@@ -615,8 +2744,439 @@ const StatusField = (function() {
      * Expose
      */
     return {
+      MessagePriority: kMessagePriority,
       hasMessage,
-      showMessage
+      showMessage,
+      updateMessage,
+      cancelMessage,
+      getHistory,
+      setOverLink
+    };
+  })();
+
+  /**
+   * Popup of the history of the messages.
+   */
+  const MessageHistoryPopup = (function() {
+    const kUI = {
+      panel: {
+        id: 'ucjs_UI_StatusField_historyPanel',
+        listBoxID: 'ucjs_UI_StatusField_historyListBox',
+        title: 'Status messages',
+        noMessages: 'メッセージなし',
+        timeColumn: 'Time',
+        sourceColumn: 'Source',
+        messageColumn: 'Message'
+      },
+
+      command: {
+        id: 'showStatusHistory',
+        label: 'ステータスメッセージの履歴を表示',
+        key: 'Ctrl+Alt+M'
+      }
+    };
+
+    const kHistoryTimeFormat = '%H:%M:%S';
+
+    const builder = createBuilder();
+
+    let getPanel = () => $ID(kUI.panel.id);
+    let getListBox = () => $ID(kUI.panel.listBoxID);
+
+    registerCommand({
+      id: kUI.command.id,
+      script: 'UI',
+      label: kUI.command.label,
+      key: kUI.command.key,
+      command: open
+    });
+
+    /**
+     * Makes the panel.
+     *
+     * @note Made lazily at the first opening.
+     */
+    function makePanel() {
+      const {panel: kPanelUI} = kUI;
+
+      builder.build({
+        tag: 'panel',
+        attributes: {
+          id: kPanelUI.id,
+          style: 'min-width:40em;'
+        },
+        children: [
+          {
+            tag: 'hbox',
+            attributes: {pack: 'center'},
+            children: [{
+              tag: 'label',
+              attributes: {
+                value: kPanelUI.title,
+                class: 'header'
+              }
+            }]
+          },
+          {
+            tag: 'listbox',
+            attributes: {
+              id: kPanelUI.listBoxID,
+              flex: 1,
+              rows: 10
+            },
+            children: [
+              {
+                tag: 'listhead',
+                children: [
+                  kPanelUI.timeColumn,
+                  kPanelUI.sourceColumn,
+                  kPanelUI.messageColumn
+                ].map((label) => ({
+                  tag: 'listheader',
+                  attributes: {label}
+                }))
+              },
+              {
+                tag: 'listcols',
+                children: [1, 1, 4].map((flex) => ({
+                  tag: 'listcol',
+                  attributes: {flex}
+                }))
+              }
+            ]
+          }
+        ]
+      }, $ID('mainPopupSet'));
+    }
+
+    function buildList() {
+      let listBox = getListBox();
+
+      for (let item of [...listBox.getElementsByTagName('listitem')]) {
+        listBox.removeChild(item);
+      }
+
+      let history = MessageHandler.getHistory();
+
+      if (!history.length) {
+        listBox.appendChild(builder.create({
+          tag: 'listitem',
+          attributes: {
+            label: kUI.panel.noMessages,
+            disabled: true
+          }
+        }));
+
+        return;
+      }
+
+      history.forEach(({text, source, time}) => {
+        let timeText = (new Date(time)).toLocaleFormat(kHistoryTimeFormat);
+
+        listBox.appendChild(builder.create({
+          tag: 'listitem',
+          children: [timeText, source, text].map((label) => ({
+            tag: 'listcell',
+            attributes: {
+              label,
+              tooltiptext: label
+            }
+          }))
+        }));
+      });
+    }
+
+    /**
+     * Opens the popup at the status field.
+     */
+    function open() {
+      if (!getPanel()) {
+        makePanel();
+      }
+
+      let panel = getPanel();
+
+      if (panel.state === 'open') {
+        panel.hidePopup();
+
+        return;
+      }
+
+      buildList();
+
+      panel.openPopupAtScreen(0, 0, false);
+
+      // Move to the bottom-left of the content area near the status field.
+      let {screenX, screenY, height} = gBrowser.selectedBrowser.boxObject;
+
+      panel.moveTo(screenX, screenY + height - panel.clientHeight);
+    }
+
+    /**
+     * Expose
+     */
+    return {
+      open
+    };
+  })();
+
+  /**
+   * Hints of a link URL.
+   *
+   * @note Each hint is enabled by the preference |kPref.link*|.
+   */
+  const LinkHint = (function() {
+    const kHintFormat = {
+      leaving: '→ %domain%',
+      insecure: '⚠ 非暗号化',
+      script: '⚠ スクリプト',
+      data: '⚠ data URL',
+      redirector: '⇒ %url%',
+      fileType: '%type%',
+      largeFile: '%type% (大容量の可能性)'
+    };
+
+    /**
+     * Presets of the known redirectors.
+     *
+     * @see |registerRedirectors|
+     */
+    let mRedirectors = [];
+
+    /**
+     * File types by the extension of a URL.
+     *
+     * @key type {string}
+     * @key extensions {string[]}
+     * @key large {boolean} [optional]
+     *   Whether the file is probably large.
+     */
+    const kFileTypes = [
+      {
+        type: 'PDF',
+        extensions: ['pdf']
+      },
+      {
+        type: '文書',
+        extensions: ['doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'odt',
+          'ods', 'odp', 'rtf']
+      },
+      {
+        type: 'テキスト',
+        extensions: ['txt', 'csv', 'json', 'xml', 'log']
+      },
+      {
+        type: '画像',
+        extensions: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp', 'svg', 'ico',
+          'tif', 'tiff']
+      },
+      {
+        type: '音声',
+        extensions: ['mp3', 'wav', 'ogg', 'oga', 'flac', 'm4a', 'aac', 'wma'],
+        large: true
+      },
+      {
+        type: '動画',
+        extensions: ['mp4', 'webm', 'ogv', 'avi', 'mov', 'wmv', 'flv', 'mkv',
+          'm4v', 'mpg', 'mpeg'],
+        large: true
+      },
+      {
+        type: '圧縮ファイル',
+        extensions: ['zip', '7z', 'rar', 'lzh', 'gz', 'tgz', 'bz2', 'xz', 'tar',
+          'cab'],
+        large: true
+      },
+      {
+        type: '実行ファイル',
+        extensions: ['exe', 'msi', 'dmg', 'pkg', 'apk', 'deb', 'rpm', 'jar',
+          'xpi'],
+        large: true
+      },
+      {
+        type: 'ディスクイメージ',
+        extensions: ['iso', 'img'],
+        large: true
+      }
+    ];
+
+    /**
+     * Examines a link URL.
+     *
+     * @param aURL {string}
+     * @return {hash}
+     *   @key hints {string[]}
+     *     The texts of the hints.
+     *   @key risk {string|null}
+     *     'insecure', 'script' or 'data' for a risky link.
+     */
+    function examine(aURL) {
+      let hints = [];
+      let risk = null;
+
+      let pageURL = gBrowser.currentURI.spec;
+      let scheme = getScheme(aURL);
+
+      if (kPref.linkSchemeRisk) {
+        if (scheme === 'javascript') {
+          risk = 'script';
+        }
+        else if (scheme === 'data') {
+          risk = 'data';
+        }
+        else if (scheme === 'http' && getScheme(pageURL) === 'https') {
+          risk = 'insecure';
+        }
+
+        if (risk) {
+          hints.push(kHintFormat[risk]);
+        }
+      }
+
+      if (!/^(?:https?|ftp)$/.test(scheme)) {
+        return {
+          hints,
+          risk
+        };
+      }
+
+      if (kPref.linkLeavingDomain) {
+        let linkDomain = URLUtil.getBaseDomain(aURL, {ascii: true});
+        let pageDomain = URLUtil.getBaseDomain(pageURL, {ascii: true});
+
+        if (linkDomain && pageDomain && linkDomain !== pageDomain) {
+          hints.push(kHintFormat.leaving.
+            replace('%domain%', () => URLUtil.toDisplayHost(linkDomain)));
+        }
+      }
+
+      // The file type is examined with the target URL of a redirector.
+      let targetURL = aURL;
+
+      if (kPref.linkRedirector) {
+        let redirectURL = unwrapRedirector(aURL);
+
+        if (redirectURL) {
+          hints.push(kHintFormat.redirector.
+            replace('%url%', () => URLUtil.unescapeForUI(redirectURL)));
+
+          targetURL = redirectURL;
+        }
+      }
+
+      if (kPref.linkFileType) {
+        let fileType = getFileType(targetURL);
+
+        if (fileType) {
+          let format =
+            fileType.large ? kHintFormat.largeFile : kHintFormat.fileType;
+
+          hints.push(format.replace('%type%', fileType.type));
+        }
+      }
+
+      return {
+        hints,
+        risk
+      };
+    }
+
+    function getScheme(aURL) {
+      let match = /^([a-z][\w+.-]*):/i.exec(aURL);
+
+      return match ? match[1].toLowerCase() : '';
+    }
+
+    /**
+     * Gets the target URL of a redirector.
+     *
+     * @param aURL {string}
+     * @return {string|null}
+     */
+    function unwrapRedirector(aURL) {
+      for (let {link, items} of mRedirectors) {
+        let match = link.exec(aURL);
+
+        if (!match) {
+          continue;
+        }
+
+        for (let {replacement} of items) {
+          let URL =
+            replacement.replace(/\$(\d)/g, ($0, $1) => match[$1] || '');
+
+          // The target URL may be encoded.
+          if (!/^https?:\/\//i.test(URL)) {
+            try {
+              URL = decodeURIComponent(URL);
+            }
+            catch (ex) {}
+          }
+
+          if (/^https?:\/\/./i.test(URL) && URL !== aURL) {
+            return URL;
+          }
+        }
+
+        return null;
+      }
+
+      return null;
+    }
+
+    /**
+     * Registers the presets of redirectors.
+     *
+     * @param aPresets {hash[]}
+     *   @see RedirectParser.uc.js::kPreset
+     *   @note Only the enabled presets with |link| are used, and the first
+     *   valid URL of |items.replacement| is shown.
+     *
+     * @note The presets are unregistered when the calling script is
+     * uninitialized.
+     */
+    function registerRedirectors(aPresets) {
+      let presets = aPresets.filter(({link, disabled}) => link && !disabled);
+
+      mRedirectors.push(...presets);
+
+      let context = getScriptContext();
+
+      if (context) {
+        context.addUninitHook(() => {
+          mRedirectors = mRedirectors.
+            filter((preset) => presets.indexOf(preset) < 0);
+        });
+      }
+    }
+
+    /**
+     * Gets the probable file type of a URL.
+     *
+     * @param aURL {string}
+     * @return {hash|null}
+     *   @see |kFileTypes|
+     */
+    function getFileType(aURL) {
+      let path = aURL.replace(/[?#].*$/, '');
+      let match = /\/[^\/]+\.([a-z\d]{1,5})$/i.exec(path);
+
+      if (!match) {
+        return null;
+      }
+
+      let extension = match[1].toLowerCase();
+
+      return kFileTypes.find(({extensions}) =>
+        extensions.indexOf(extension) > -1) || null;
+    }
+
+    /**
+     * Expose
+     */
+    return {
+      examine,
+      registerRedirectors
     };
   })();
 
@@ -660,12 +3220,13 @@ const StatusField = (function() {
 
       mLastOverLinkURL = url;
 
-      // Clear the message to hide it after the cursor leaves.
-      MessageHandler.showMessage('');
+      // Show the link status instead of the messages while over link.
+      MessageHandler.setOverLink(!!url);
 
       Task.spawn(function*() {
         // |newURL| can be updated with its visited date.
-        let {linkState, newURL} = yield examineLinkURL(url, anchorElt);
+        let {linkState, linkRisk, newURL} =
+          yield examineLinkURL(url, anchorElt);
 
         // This task is useless any more since it was not completed while over
         // link and a new task has raised on another over link.
@@ -687,6 +3248,19 @@ const StatusField = (function() {
           }
         }
 
+        const {LINKRISK} = kStatusAttribute;
+
+        if (linkRisk) {
+          if (textField.getAttribute(LINKRISK) !== linkRisk) {
+            textField.setAttribute(LINKRISK, linkRisk);
+          }
+        }
+        else {
+          if (textField.hasAttribute(LINKRISK)) {
+            textField.removeAttribute(LINKRISK);
+          }
+        }
+
         // Disable the delayed showing while over link.
         this.hideOverLinkImmediately = true;
 
@@ -703,7 +3277,7 @@ const StatusField = (function() {
 
     /**
      * Gets the bookmarked or visited state of a link URL, and update the URL
-     * with the visited date.
+     * with the visited date and the hints.
      *
      * @param aURL {string}
      * @param aAnchorElt {Element}
@@ -711,6 +3285,8 @@ const StatusField = (function() {
      *   @resolved {hash}
      *     newURL: {string}
      *     linkState: {string}
+     *     linkRisk: {string}
+     *       @see |LinkHint.examine|
      *
      * @note Called from a task in |ucjsUI_StatusField_setOverLink|.
      */
@@ -719,7 +3295,8 @@ const StatusField = (function() {
         if (!aURL) {
           return {
             newURL: '',
-            linkState: null
+            linkState: null,
+            linkRisk: null
           };
         }
 
@@ -767,56 +3344,34 @@ const StatusField = (function() {
           linkState = 'bookmarked';
         }
 
+        let {hints, risk: linkRisk} = LinkHint.examine(rawURL);
+
+        // @note Use the function replacers not to expand the special
+        // patterns like '$&' in a URL.
+        if (hints.length) {
+          newURL = kLinkHintsFormat.
+            replace('%hints%', () => hints.join(' | ')).
+            replace('%url%', () => newURL);
+        }
+
         return {
           newURL,
-          linkState
+          linkState,
+          linkRisk
         };
       });
     }
 
     function getVisitedDate(aURL) {
-      // Don't query a URL which cannot be recorded about its visit date in the
-      // places DB.
-      if (!/^(?:https?|ftp|file):/.test(aURL)) {
-        // Resolved with |null| as no data available.
-        return Promise.resolve(null);
-      }
-
-      let sql = [
-        "SELECT h.visit_date",
-        "FROM moz_historyvisits h",
-        "JOIN moz_places p ON p.id = h.place_id",
-        "WHERE p.url = :url",
-        "ORDER BY h.visit_date DESC",
-        "LIMIT 1"
-      ].join(' ');
-
-      return promisePlacesDBResult({
-        sql,
-        params: {'url': aURL},
-        columns: ['visit_date']
-      }).
+      return PlacesQuery.getVisits(aURL, {limit: 1}).
       // Resolved with the date, or null if no data.
       // @note We ordered a single row.
-      then((aRows) => aRows ? aRows[0].visit_date : null);
+      then((aRows) => aRows ? aRows[0].time : null);
     }
 
     function checkBookmarked(aURL) {
-      let sql = [
-        "SELECT b.id",
-        "FROM moz_bookmarks b",
-        "JOIN moz_places p ON p.id = b.fk",
-        "WHERE p.url = :url",
-        "LIMIT 1"
-      ].join(' ');
-
-      return promisePlacesDBResult({
-        sql,
-        params: {'url': aURL},
-        columns: ['id']
-      }).
       // Resolved with bookmarked or not.
-      then((aRows) => !!aRows);
+      return PlacesQuery.isBookmarked(aURL);
     }
 
     /**
@@ -855,6 +3410,9 @@ const StatusField = (function() {
       statuspanel[${kStatusAttribute.LINKSTATE}="unknown"] label {
         color: red !important;
       }
+      statuspanel[${kStatusAttribute.LINKRISK}] label {
+        text-decoration: underline wavy red !important;
+      }
       statuspanel[${kStatusAttribute.MESSAGE}] label {
         color: blue !important;
       }
@@ -876,8 +3434,14 @@ const StatusField = (function() {
    * Expose
    */
   return {
+    MessagePriority: MessageHandler.MessagePriority,
     showMessage: MessageHandler.showMessage,
-    setOverLink: OverLinkHandler.setOverLink
+    updateMessage: MessageHandler.updateMessage,
+    cancelMessage: MessageHandler.cancelMessage,
+    getMessageHistory: MessageHandler.getHistory,
+    showMessageHistory: MessageHistoryPopup.open,
+    setOverLink: OverLinkHandler.setOverLink,
+    registerRedirectors: LinkHint.registerRedirectors
   };
 })();
 
@@ -1,6 +1,6 @@
 // ==UserScript==
 // @name ScriptList.uc.js
-// @description List viewer of user scripts for userChromeJS extension.
+// @description Manager of user scripts for userChromeJS extension.
 // @include main
 // ==/UserScript==
 
@@ -11,7 +11,8 @@
 
 // @usage Creates a menuitem in 'tools' of the main menu.
 
-// !!! This script is not supported anymore. !!!
+// @note A script file is opened in the external editor of the view source.
+// @see |kPref.editorPathPref|
 
 
 (function(window, undefined) {
@@ -24,15 +25,42 @@
  * Imports
  */
 const {
+  Prefs,
   createNode: $E,
+  createBuilder,
+  getCenteringPosition,
+  formatText: F,
   getNodeById: $ID,
-  addEvent
+  addEvent,
+  setChromeStyleSheet: setCSS,
+  createLogger
 } = window.ucjsUtil;
 
-// for debug
-function log(aMsg) {
-  return window.ucjsUtil.logMessage('ScriptList.uc.js', aMsg);
-}
+/**
+ * DOM builder of this script.
+ *
+ * @note Must be created while this script runs to be cleaned up when this
+ * script is reloaded.
+ */
+const builder = createBuilder();
+
+/**
+ * Registers a node to be removed when this script is reloaded.
+ */
+const trackNode = builder.track;
+
+/**
+ * Logger of this script.
+ */
+const log = createLogger('ScriptList.uc.js');
+
+/**
+ * Preferences
+ */
+const kPref = {
+  // Preference name of the path of the external editor.
+  editorPathPref: 'view_source.editor.path'
+};
 
 /**
  * UI settings
@@ -41,26 +69,71 @@ const kUI = {
   menu: {
     id: 'ucjs_scriptList_menu',
     label: 'userChrome.js [登録: %COUNT%]',
+    failureLabel: 'userChrome.js [登録: %COUNT%, 失敗: %FAILED%]',
     accesskey: 'u',
     disabledTip: 'スクリプトの読込なし',
-    selectLabel: 'Open scripts list...',
+    selectLabel: 'Open script manager...',
     selectAccesskey: 'l',
     selectTip:   'スクリプトリストを開く'
   },
 
   panel: {
     id: 'ucjs_scriptList_panel',
-    title: '<userChrome.js> Script List',
+    title: '<userChrome.js> Script Manager',
     scriptDataListID: 'ucjs_scriptList_scriptDataList',
     scriptInfoCaptionID: 'ucjs_scriptList_scriptInfoCaption',
     scriptInfoCaption: 'Information: [#%SELECTED% / %COUNT%]',
     scriptInfoBoxID: 'ucjs_scriptList_scriptInfoBox',
+    enabledColumnID: 'ucjs_scriptList_enabledColumn',
+    enabledColumnTip: '有効/無効を切り替え',
+    filterBoxID: 'ucjs_scriptList_filterBox',
+    filterPlaceholder: 'Filter by name',
+    targetListID: 'ucjs_scriptList_targetList',
+    allTargets: 'All targets',
+    orderNoteID: 'ucjs_scriptList_orderNote',
+    orderNote: 'Order changed (restart needed)',
+    editButton: 'Edit',
+    editTip: 'スクリプトをエディタで開く',
+    revealButton: 'Reveal',
+    revealTip: 'スクリプトのフォルダを開く',
+    moveUpButton: '▲',
+    moveUpTip: '読込順を上げる (フィルタなしの時)',
+    moveDownButton: '▼',
+    moveDownTip: '読込順を下げる (フィルタなしの時)',
+    timingButton: 'Timings...',
+    closeButton: '閉じる'
+  },
+
+  timingPanel: {
+    id: 'ucjs_scriptList_timingPanel',
+    title: '<userChrome.js> Load Timings',
+    treeID: 'ucjs_scriptList_timingList',
+    summaryID: 'ucjs_scriptList_timingSummary',
+    summary: 'Scan: %SCAN% ms / Runs: %RUNS%',
+    totalRow: '(total)',
+    timeFormat: '%H:%M:%S',
+    exportButton: 'Copy as JSON',
+    exportTip: 'タイミングを JSON でクリップボードにコピー',
     closeButton: '閉じる'
+  },
+
+  status: {
+    ok: 'OK',
+    disabled: 'Disabled',
+    blocked: 'Blocked',
+    appliedLive: '%STATUS% (applied live)',
+    restartNeeded: '%STATUS% (restart needed)',
+    failed: 'Failed (%COUNT%)',
+    timeFormat: '%Y/%m/%d %H:%M:%S',
+    blockedInfo: '[Blocked] %REASON%',
+    errorInfo: '[%TYPE%] %TIME% @ %DOCUMENT%\n%MESSAGE%',
+    errorLocation: '%FILE%:%LINE%',
+    noEditor: 'No editor is set in "%PREF%".'
   }
 };
 
 function ScriptList_init() {
-  if (window.ucjsScriptLoader) {
+  if (window.ucjsScriptLoader && window.ucjsScriptLoader.scriptList) {
     createMenu(getScripts(window.ucjsScriptLoader));
   }
 }
@@ -72,16 +145,50 @@ function ScriptList_init() {
  * @return {hash}
  *   @key count {number}
  *   @key data {function}
+ *   @key errors {function}
+ *   @key failedCount {function}
+ *   @key isOverlay {function}
+ *   @key setEnabled {function}
+ *   @key setOrder {function}
+ *   @key profile {hash}
  */
 function getScripts(aScriptLoader) {
-  const {jscripts, overlays} = aScriptLoader.scriptList;
+  const {
+    jscripts, overlays, errors, setEnabled, setOrder, profile
+  } = aScriptLoader.scriptList;
   let data = jscripts.concat(overlays);
 
+  /**
+   * Gets the failure records of a script.
+   *
+   * @param aScript {UserScript}
+   * @return {hash[]}
+   *
+   * @note The records are added by the loader at any time in any window, so
+   * they are retrieved whenever needed.
+   */
+  function getErrors(aScript) {
+    let path = aScript.getURL('IN_CHROME');
+
+    return (errors || []).filter((record) => record.script === path);
+  }
+
+  function getFailedCount() {
+    return data.filter((script) =>
+      script.getBlockReason() || getErrors(script).length).length;
+  }
+
   return {
     count: data.length,
     data: function(aIndex) {
       return aIndex >= 0 ? data[aIndex] : data
-    }
+    },
+    errors: getErrors,
+    failedCount: getFailedCount,
+    isOverlay: (aScript) => overlays.indexOf(aScript) > -1,
+    setEnabled,
+    setOrder,
+    profile
   };
 }
 
@@ -93,11 +200,25 @@ function getScripts(aScriptLoader) {
 function createMenu(aScripts) {
   const {menu: kMenuUI} = kUI;
 
-  let menu = $ID('menu_ToolsPopup').appendChild($E('menu', {
+  let menu = trackNode($ID('menu_ToolsPopup').appendChild($E('menu', {
     id: kMenuUI.id,
     label: F(kMenuUI.label, {'COUNT': aScripts.count}),
     accesskey: kMenuUI.accesskey
-  }));
+  })));
+
+  // Update the label with the failures that occurred after startup.
+  addEvent($ID('menu_ToolsPopup'), 'popupshowing', (aEvent) => {
+    if (aEvent.target !== aEvent.currentTarget) {
+      return;
+    }
+
+    let failed = aScripts.failedCount();
+
+    menu.label = F(failed ? kMenuUI.failureLabel : kMenuUI.label, {
+      'COUNT': aScripts.count,
+      'FAILED': failed
+    });
+  }, false);
 
   if (aScripts.count) {
     let panel = ScriptListPanel(aScripts);
@@ -127,22 +248,39 @@ function createMenu(aScripts) {
  *   @key open {function}
  */
 function ScriptListPanel(aScripts) {
-  const {panel: kPanelUI} = kUI;
+  const {panel: kPanelUI, status: kStatusUI} = kUI;
+
+  // The scripts in the load order that the user arranges.
+  let mOrder = aScripts.data().slice();
+
+  // The scripts of the rows that are shown by the filter.
+  let mRows = [];
+
+  // The results of toggling scripts.
+  // @key {UserScript}
+  // @value {boolean} true if applied live, false if restart needed.
+  let mToggleResults = new Map();
 
   let getPanel = () => $ID(kPanelUI.id);
   let getScriptDataList = () => $ID(kPanelUI.scriptDataListID);
   let getScriptInfoCaption = () => $ID(kPanelUI.scriptInfoCaptionID);
   let getScriptInfoBox = () => $ID(kPanelUI.scriptInfoBoxID);
+  let getFilterBox = () => $ID(kPanelUI.filterBoxID);
+  let getTargetList = () => $ID(kPanelUI.targetListID);
+  let getOrderNote = () => $ID(kPanelUI.orderNoteID);
+
+  // The action buttons that depend on the selected script.
+  let mButtons = {};
 
   makePanel();
 
   function makePanel() {
-    let panel = $ID('mainPopupSet').appendChild($E('panel', {
+    let panel = trackNode($ID('mainPopupSet').appendChild($E('panel', {
       id: kPanelUI.id,
       noautohide: true,
       backdrag: true,
       style: 'min-width:40em;'
-    }));
+    })));
 
     /**
      * Title of panel
@@ -154,6 +292,39 @@ function ScriptListPanel(aScripts) {
       class: 'header'
     }));
 
+    /**
+     * Filter of scripts
+     */
+    let filterBox = panel.appendChild($E('hbox', {align: 'center'}));
+
+    let filterTextbox = filterBox.appendChild($E('textbox', {
+      id: kPanelUI.filterBoxID,
+      type: 'search',
+      placeholder: kPanelUI.filterPlaceholder,
+      flex: 1
+    }));
+
+    addEvent(filterTextbox, 'command', buildRows, false);
+
+    let targetList = filterBox.appendChild($E('menulist', {
+      id: kPanelUI.targetListID
+    }));
+
+    let targetPopup = targetList.appendChild($E('menupopup'));
+
+    targetPopup.appendChild($E('menuitem', {
+      label: kPanelUI.allTargets
+    }));
+
+    getAllTargets().forEach((target) => {
+      targetPopup.appendChild($E('menuitem', {
+        label: target,
+        value: target
+      }));
+    });
+
+    addEvent(targetList, 'command', buildRows, false);
+
     /**
      * List view of scripts
      */
@@ -168,7 +339,20 @@ function ScriptListPanel(aScripts) {
       rows: 20
     }));
 
-    addEvent(treeView, 'select', onSelectListItem, false);
+    addEvent(treeView, 'select', updateInfo, false);
+
+    setCSS(`
+      #${kPanelUI.scriptDataListID}
+      treechildren::-moz-tree-cell-text(failed) {
+        color: red;
+        font-weight: bold;
+      }
+      #${kPanelUI.scriptDataListID}
+      treechildren::-moz-tree-cell-text(blocked) {
+        color: gray;
+        font-style: italic;
+      }
+    `);
 
     let treeCols = treeView.appendChild($E('treecols'));
 
@@ -183,6 +367,18 @@ function ScriptListPanel(aScripts) {
       hidden: true
     }));
 
+    treeCols.appendChild($E('treecol', {
+      id: kPanelUI.enabledColumnID,
+      type: 'checkbox',
+      tooltiptext: kPanelUI.enabledColumnTip,
+      style: 'min-width:2em;'
+    }));
+
+    treeCols.appendChild($E('splitter', {
+      class: 'tree-splitter',
+      hidden: true
+    }));
+
     treeCols.appendChild($E('treecol', {
       label: 'File',
       flex: 1,
@@ -193,6 +389,26 @@ function ScriptListPanel(aScripts) {
       class: 'tree-splitter'
     }));
 
+    treeCols.appendChild($E('treecol', {
+      label: 'Version',
+      flex: 1,
+      style: 'max-width:6em;'
+    }));
+
+    treeCols.appendChild($E('splitter', {
+      class: 'tree-splitter'
+    }));
+
+    treeCols.appendChild($E('treecol', {
+      label: 'Run at',
+      flex: 1,
+      style: 'max-width:8em;'
+    }));
+
+    treeCols.appendChild($E('splitter', {
+      class: 'tree-splitter'
+    }));
+
     treeCols.appendChild($E('treecol', {
       label: 'Ext.',
       flex: 1,
@@ -210,30 +426,29 @@ function ScriptListPanel(aScripts) {
       style: 'min-width:15em;'
     }));
 
-    let treeChildren = treeView.appendChild($E('treechildren'));
-
-    aScripts.data().forEach((script, i) => {
-      let treeRow = treeChildren.appendChild($E('treeitem')).
+    treeCols.appendChild($E('splitter', {
+      class: 'tree-splitter'
+    }));
 
-      appendChild($E('treerow'));
+    treeCols.appendChild($E('treecol', {
+      label: 'Time (ms)',
+      flex: 1,
+      style: 'max-width:6em;text-align:right;'
+    }));
 
-      treeRow.appendChild($E('treecell', {
-        label: i + 1
-      }));
+    treeCols.appendChild($E('splitter', {
+      class: 'tree-splitter'
+    }));
 
-      treeRow.appendChild($E('treecell', {
-        label: script.getURL('FILENAME')
-      }));
+    treeCols.appendChild($E('treecol', {
+      label: 'Status',
+      flex: 1,
+      style: 'min-width:6em;'
+    }));
 
-      treeRow.appendChild($E('treecell', {
-        label: script.getURL('FILENAME').
-          replace(/^.+\.([a-z]+)$/i, '$1').toUpperCase()
-      }));
+    let treeChildren = treeView.appendChild($E('treechildren'));
 
-      treeRow.appendChild($E('treecell', {
-        label: script.getURL('FOLDER')
-      }));
-    });
+    addEvent(treeChildren, 'click', onClickListItem, false);
 
     /**
      * Script information pain
@@ -255,7 +470,40 @@ function ScriptListPanel(aScripts) {
     /**
      * Action buttons
      */
-    let buttonsBox = panel.appendChild($E('hbox'));
+    let buttonsBox = panel.appendChild($E('hbox', {align: 'center'}));
+
+    [
+      ['edit', kPanelUI.editButton, kPanelUI.editTip, editScript],
+      ['reveal', kPanelUI.revealButton, kPanelUI.revealTip, revealScript],
+      ['moveUp', kPanelUI.moveUpButton, kPanelUI.moveUpTip,
+       () => moveScript(-1)],
+      ['moveDown', kPanelUI.moveDownButton, kPanelUI.moveDownTip,
+       () => moveScript(1)]
+    ].
+    forEach(([key, label, tooltiptext, command]) => {
+      mButtons[key] = buttonsBox.appendChild($E('button', {
+        label,
+        tooltiptext
+      }));
+
+      addEvent(mButtons[key], 'command', command, false);
+    });
+
+    buttonsBox.appendChild($E('label', {
+      id: kPanelUI.orderNoteID,
+      value: kPanelUI.orderNote,
+      hidden: true
+    }));
+
+    if (aScripts.profile) {
+      let timingPanel = TimingPanel(aScripts.profile);
+
+      let timingButton = buttonsBox.appendChild($E('button', {
+        label: kPanelUI.timingButton
+      }));
+
+      addEvent(timingButton, 'command', timingPanel.open, false);
+    }
 
     buttonsBox.appendChild($E('spacer', {flex: 1}));
 
@@ -274,15 +522,429 @@ function ScriptListPanel(aScripts) {
     resizerBox.appendChild($E('resizer', {dir: 'bottomend'}));
   }
 
-  function onSelectListItem(aEvent) {
-    let index = aEvent.target.currentIndex;
+  /**
+   * Gets the targets of a script.
+   *
+   * @param aScript {UserScript}
+   * @return {string[]}
+   *   The entries of @include, or 'main' if not specified.
+   */
+  function getTargets(aScript) {
+    let include = aScript.getMetaData('include');
+
+    return include.length ? include : ['main'];
+  }
+
+  function getAllTargets() {
+    let targets = new Set();
+
+    mOrder.forEach((script) => {
+      getTargets(script).forEach((target) => targets.add(target));
+    });
+
+    return [...targets];
+  }
+
+  function isFiltered() {
+    return !!getFilterBox().value.trim() || !!getTargetList().value;
+  }
+
+  /**
+   * Tests whether a script passes the filter.
+   *
+   * @param aScript {UserScript}
+   * @return {boolean}
+   *
+   * @note The filter text matches the script name or the file path
+   * case-insensitively.
+   */
+  function testFilter(aScript) {
+    let query = getFilterBox().value.trim().toLowerCase();
+    let target = getTargetList().value;
+
+    if (target && getTargets(aScript).indexOf(target) < 0) {
+      return false;
+    }
+
+    if (!query) {
+      return true;
+    }
+
+    return [
+      aScript.getName(),
+      aScript.getURL('IN_CHROME')
+    ].
+    some((text) => text.toLowerCase().indexOf(query) > -1);
+  }
+
+  function getSelectedScript() {
+    let index = getScriptDataList().currentIndex;
+
+    return (index > -1 && mRows[index]) || null;
+  }
+
+  /**
+   * Builds the rows of the scripts that pass the filter.
+   *
+   * @note The selected script is kept selected if it is shown.
+   */
+  function buildRows() {
+    let tree = getScriptDataList();
+    let treeChildren = tree.querySelector('treechildren');
+    let selectedScript = getSelectedScript();
+
+    mRows = mOrder.filter(testFilter);
+
+    while (treeChildren.firstChild) {
+      treeChildren.removeChild(treeChildren.firstChild);
+    }
+
+    mRows.forEach((script) => {
+      let treeRow = treeChildren.appendChild($E('treeitem')).
+
+      appendChild($E('treerow'));
+
+      let {label: status, properties} = getStatus(script);
+      let time = getLatestTime(script);
+
+      treeRow.appendChild($E('treecell', {
+        label: mOrder.indexOf(script) + 1
+      }));
+
+      treeRow.appendChild($E('treecell', {
+        value: !script.isDisabled()
+      }));
+
+      treeRow.appendChild($E('treecell', {
+        label: script.getURL('FILENAME')
+      }));
+
+      treeRow.appendChild($E('treecell', {
+        label: script.getMetaData('version')
+      }));
+
+      treeRow.appendChild($E('treecell', {
+        label: script.getMetaData('run-at')
+      }));
+
+      treeRow.appendChild($E('treecell', {
+        label: script.getURL('FILENAME').
+          replace(/^.+\.([a-z]+)$/i, '$1').toUpperCase()
+      }));
+
+      treeRow.appendChild($E('treecell', {
+        label: script.getURL('FOLDER')
+      }));
+
+      treeRow.appendChild($E('treecell', {
+        label: (time !== null) ? time.toFixed(2) : ''
+      }));
+
+      treeRow.appendChild($E('treecell', {
+        label: status,
+        properties
+      }));
+    });
+
+    let index = mRows.indexOf(selectedScript);
+
+    if (index < 0 && mRows.length) {
+      index = 0;
+    }
+
+    tree.treeBoxObject.view.selection.select(index);
+
+    if (index > -1) {
+      tree.treeBoxObject.ensureRowIsVisible(index);
+    }
+
+    updateInfo();
+  }
+
+  function updateInfo() {
+    let script = getSelectedScript();
 
     getScriptInfoCaption().label = F(kPanelUI.scriptInfoCaption, {
-      'SELECTED': index + 1,
-      'COUNT': aScripts.count
+      'SELECTED': script ? mRows.indexOf(script) + 1 : 0,
+      'COUNT': mRows.length
     });
 
-    getScriptInfoBox().value = aScripts.data(index).formatMetaData();
+    getScriptInfoBox().value = script ?
+      [script.formatMetaData()].concat(formatStatus(script)).join('\n\n') :
+      '';
+
+    updateButtons(script);
+  }
+
+  function updateButtons(aScript) {
+    let index = aScript ? mOrder.indexOf(aScript) : -1;
+    let canMove = (aOffset) =>
+      index > -1 && !isFiltered() && canSwap(index, index + aOffset);
+
+    $E(mButtons.edit, {
+      disabled: aScript ? null : true
+    });
+
+    $E(mButtons.reveal, {
+      disabled: aScript ? null : true
+    });
+
+    $E(mButtons.moveUp, {
+      disabled: canMove(-1) ? null : true
+    });
+
+    $E(mButtons.moveDown, {
+      disabled: canMove(1) ? null : true
+    });
+  }
+
+  /**
+   * Toggles the enabled state of a script by clicking on its checkbox.
+   */
+  function onClickListItem(aEvent) {
+    if (aEvent.button !== 0) {
+      return;
+    }
+
+    let tree = getScriptDataList();
+    let row = {}, column = {}, part = {};
+
+    tree.treeBoxObject.getCellAt(aEvent.clientX, aEvent.clientY,
+      row, column, part);
+
+    if (row.value < 0 || !column.value ||
+        column.value.id !== kPanelUI.enabledColumnID) {
+      return;
+    }
+
+    let script = mRows[row.value];
+    let enabled = script.isDisabled();
+
+    mToggleResults.set(script, aScripts.setEnabled(script, enabled));
+
+    buildRows();
+  }
+
+  /**
+   * Tests whether the scripts at two positions can be swapped in the load
+   * order.
+   *
+   * @note The jscripts and the overlays are ordered separately.
+   */
+  function canSwap(aIndex, aOtherIndex) {
+    let script = mOrder[aIndex], other = mOrder[aOtherIndex];
+
+    return !!script && !!other &&
+      aScripts.isOverlay(script) === aScripts.isOverlay(other);
+  }
+
+  /**
+   * Moves the selected script in the load order.
+   *
+   * @param aOffset {number} -1 for up, 1 for down.
+   *
+   * @note The order is saved to the loader and applied after restart.
+   */
+  function moveScript(aOffset) {
+    let script = getSelectedScript();
+
+    if (!script || isFiltered()) {
+      return;
+    }
+
+    let index = mOrder.indexOf(script);
+    let otherIndex = index + aOffset;
+
+    if (!canSwap(index, otherIndex)) {
+      return;
+    }
+
+    mOrder[index] = mOrder[otherIndex];
+    mOrder[otherIndex] = script;
+
+    aScripts.setOrder(mOrder);
+
+    $E(getOrderNote(), {
+      hidden: null
+    });
+
+    buildRows();
+  }
+
+  /**
+   * Opens the file of the selected script in the external editor.
+   *
+   * @see |kPref.editorPathPref|
+   */
+  function editScript() {
+    let script = getSelectedScript();
+
+    if (!script) {
+      return;
+    }
+
+    let editorPath = Prefs.get(kPref.editorPathPref, '');
+
+    if (!editorPath) {
+      log.warn(F(kStatusUI.noEditor, {'PREF': kPref.editorPathPref}));
+
+      return;
+    }
+
+    try {
+      let editor = Cc['@mozilla.org/file/local;1'].
+        createInstance(Ci.nsIFile);
+
+      editor.initWithPath(editorPath);
+
+      let process = Cc['@mozilla.org/process/util;1'].
+        createInstance(Ci.nsIProcess);
+
+      process.init(editor);
+
+      let args = [script.getFile().path];
+
+      // @note Use 'wide string' version for Unicode arguments.
+      process.runwAsync(args, args.length);
+    }
+    catch (ex) {
+      log.error(['Cannot open the editor: ' + editorPath, ex]);
+    }
+  }
+
+  /**
+   * Reveals the file of the selected script in the file manager.
+   */
+  function revealScript() {
+    let script = getSelectedScript();
+
+    if (!script) {
+      return;
+    }
+
+    let file = script.getFile();
+
+    try {
+      file.reveal();
+    }
+    catch (ex) {
+      // |reveal| is not implemented on some platforms, so open the folder
+      // instead.
+      try {
+        file.parent.launch();
+      }
+      catch (ex) {
+        log.error(['Cannot reveal the file: ' + file.path, ex]);
+      }
+    }
+  }
+
+  /**
+   * Gets the latest time to compile and run a script.
+   *
+   * @param aScript {UserScript}
+   * @return {number|null}
+   */
+  function getLatestTime(aScript) {
+    let profile = aScripts.profile;
+
+    if (!profile) {
+      return null;
+    }
+
+    let path = aScript.getURL('IN_CHROME');
+
+    for (let i = profile.runs.length - 1; i >= 0; i--) {
+      let entry = profile.runs[i].scripts.find(({script}) => script === path);
+
+      if (entry) {
+        return entry.time;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Gets the load status of a script.
+   *
+   * @param aScript {UserScript}
+   * @return {hash}
+   *   @key label {string}
+   *   @key properties {string} The tree cell properties for the style.
+   */
+  function getStatus(aScript) {
+    let label = kStatusUI.ok;
+    let properties = '';
+
+    if (aScript.isDisabled()) {
+      label = kStatusUI.disabled;
+      properties = 'blocked';
+    }
+    else if (aScript.getBlockReason()) {
+      label = kStatusUI.blocked;
+      properties = 'blocked';
+    }
+    else {
+      let count = aScripts.errors(aScript).length;
+
+      if (count) {
+        label = F(kStatusUI.failed, {'COUNT': count});
+        properties = 'failed';
+      }
+    }
+
+    if (mToggleResults.has(aScript)) {
+      label = F(mToggleResults.get(aScript) ?
+        kStatusUI.appliedLive : kStatusUI.restartNeeded, {
+        'STATUS': label
+      });
+    }
+
+    return {
+      label,
+      properties
+    };
+  }
+
+  /**
+   * Formats the failure information of a script.
+   *
+   * @param aScript {UserScript}
+   * @return {string[]}
+   */
+  function formatStatus(aScript) {
+    let info = [];
+
+    let reason = aScript.getBlockReason();
+
+    if (reason) {
+      info.push(F(kStatusUI.blockedInfo, {'REASON': reason}));
+    }
+
+    aScripts.errors(aScript).forEach((record) => {
+      let lines = [F(kStatusUI.errorInfo, {
+        'TYPE': record.type,
+        'TIME': (new Date(record.time)).toLocaleFormat(kStatusUI.timeFormat),
+        'DOCUMENT': record.document,
+        'MESSAGE': record.message
+      })];
+
+      if (record.fileName) {
+        lines.push(F(kStatusUI.errorLocation, {
+          'FILE': record.fileName,
+          'LINE': record.lineNumber
+        }));
+      }
+
+      if (record.stack) {
+        lines.push(record.stack.trim());
+      }
+
+      info.push(lines.join('\n'));
+    });
+
+    return info;
   }
 
   function open() {
@@ -293,8 +955,9 @@ function ScriptListPanel(aScripts) {
     let [x, y] = getCenteringPosition(panel);
     panel.moveTo(x, y);
 
+    buildRows();
+
     getScriptDataList().focus();
-    getScriptDataList().treeBoxObject.view.selection.select(0);
   }
 
   function close() {
@@ -306,39 +969,246 @@ function ScriptListPanel(aScripts) {
   };
 }
 
-function getCenteringPosition(aElement) {
-  let {outerWidth, outerHeight, screen} = window;
-  let {clientWidth: w, clientHeight: h} = aElement;
-  let x = 0, y = 0;
+/**
+ * Handler of a panel of the load timings
+ *
+ * @param aProfile {hash} The timings of the loader.
+ *   @see My userChrome.js::ScriptList::getData
+ * @return {hash}
+ *   @key open {function}
+ */
+function TimingPanel(aProfile) {
+  const {timingPanel: kPanelUI} = kUI;
+
+  /**
+   * The columns of the list.
+   *
+   * @key key {string} The property name of a row data.
+   * @key label {string}
+   * @key style {string}
+   * @key numeric {boolean} Whether the value is compared as a number.
+   */
+  const kColumns = [
+    {key: 'script', label: 'Script', style: 'min-width:15em;'},
+    {key: 'kind', label: 'Kind', style: 'min-width:5em;'},
+    {key: 'document', label: 'Document', style: 'min-width:15em;'},
+    {key: 'run', label: 'Run at', style: 'min-width:6em;', numeric: true},
+    {key: 'time', label: 'Time (ms)', style: 'min-width:6em;', numeric: true}
+  ];
+
+  let mSortKey = 'time';
+  let mSortDescending = true;
 
-  if (outerWidth > w) {
-    x = outerWidth - w;
+  let getPanel = () => $ID(kPanelUI.id);
+  let getTree = () => $ID(kPanelUI.treeID);
+  let getSummary = () => $ID(kPanelUI.summaryID);
+
+  makePanel();
+
+  function makePanel() {
+    let panel = trackNode($ID('mainPopupSet').appendChild($E('panel', {
+      id: kPanelUI.id,
+      noautohide: true,
+      backdrag: true,
+      style: 'min-width:40em;'
+    })));
+
+    panel.appendChild($E('hbox', {pack: 'center'})).
+
+    appendChild($E('label', {
+      value: kPanelUI.title,
+      class: 'header'
+    }));
+
+    panel.appendChild($E('label', {
+      id: kPanelUI.summaryID
+    }));
+
+    let tree = panel.appendChild($E('hbox', {flex: 1})).
+
+    appendChild($E('tree', {
+      id: kPanelUI.treeID,
+      flex: 1,
+      seltype: 'single',
+      hidecolumnpicker: true,
+      style: 'width:auto;',
+      rows: 20
+    }));
+
+    let treeCols = tree.appendChild($E('treecols'));
+
+    kColumns.forEach(({key, label, style}, i) => {
+      if (i > 0) {
+        treeCols.appendChild($E('splitter', {
+          class: 'tree-splitter'
+        }));
+      }
+
+      treeCols.appendChild($E('treecol', {
+        label,
+        flex: 1,
+        style,
+        'ucjs_scriptList_sortKey': key
+      }));
+    });
+
+    // Sort by clicking a column header.
+    addEvent(treeCols, 'click', onClickColumn, false);
+
+    tree.appendChild($E('treechildren'));
+
+    let buttonsBox = panel.appendChild($E('hbox'));
+
+    let exportButton = buttonsBox.appendChild($E('button', {
+      label: kPanelUI.exportButton,
+      tooltiptext: kPanelUI.exportTip
+    }));
+
+    addEvent(exportButton, 'command', exportJSON, false);
+
+    buttonsBox.appendChild($E('spacer', {flex: 1}));
+
+    let closeButton = buttonsBox.appendChild($E('button', {
+      label: kPanelUI.closeButton
+    }));
+
+    addEvent(closeButton, 'command', close, false);
+
+    let resizerBox = panel.appendChild($E('hbox'));
+
+    resizerBox.appendChild($E('spacer', {flex: 1}));
+    resizerBox.appendChild($E('resizer', {dir: 'bottomend'}));
+  }
+
+  function onClickColumn(aEvent) {
+    let key = aEvent.target.getAttribute('ucjs_scriptList_sortKey');
+
+    if (aEvent.button !== 0 || !key) {
+      return;
+    }
+
+    if (mSortKey === key) {
+      mSortDescending = !mSortDescending;
+    }
+    else {
+      mSortKey = key;
+      mSortDescending = false;
+    }
+
+    buildRows();
   }
-  else if (screen.availWidth > w) {
-    x = screen.availWidth - w;
+
+  /**
+   * Gets the rows of the timings.
+   *
+   * @return {hash[]}
+   *   @key script {string}
+   *   @key kind {string}
+   *   @key document {string}
+   *   @key run {number} The timestamp of the run.
+   *   @key time {number}
+   */
+  function getRows() {
+    let rows = [];
+
+    aProfile.runs.forEach((run) => {
+      let base = {
+        kind: run.kind,
+        document: run.document,
+        run: run.time
+      };
+
+      rows.push(Object.assign({
+        script: kPanelUI.totalRow,
+        time: run.totalTime
+      }, base));
+
+      run.scripts.forEach(({script, time}) => {
+        rows.push(Object.assign({script, time}, base));
+      });
+    });
+
+    return rows;
   }
 
-  if (outerHeight > h) {
-    y = outerHeight - h;
+  function buildRows() {
+    let tree = getTree();
+    let treeChildren = tree.querySelector('treechildren');
+
+    let column = kColumns.find(({key}) => key === mSortKey);
+
+    let rows = getRows().sort((a, b) => {
+      let [x, y] = [a[mSortKey], b[mSortKey]];
+      let order = column.numeric ? x - y : (x < y ? -1 : x > y ? 1 : 0);
+
+      return mSortDescending ? -order : order;
+    });
+
+    [...tree.querySelectorAll('treecol')].forEach((treecol) => {
+      let key = treecol.getAttribute('ucjs_scriptList_sortKey');
+
+      $E(treecol, {
+        sortActive: (key === mSortKey) ? true : null,
+        sortDirection: (key === mSortKey) ?
+          (mSortDescending ? 'descending' : 'ascending') : null
+      });
+    });
+
+    while (treeChildren.firstChild) {
+      treeChildren.removeChild(treeChildren.firstChild);
+    }
+
+    rows.forEach((row) => {
+      let treeRow = treeChildren.appendChild($E('treeitem')).
+
+      appendChild($E('treerow'));
+
+      kColumns.forEach(({key}) => {
+        let value = row[key];
+
+        if (key === 'run') {
+          value = (new Date(value)).toLocaleFormat(kPanelUI.timeFormat);
+        }
+        else if (key === 'time') {
+          value = value.toFixed(2);
+        }
+
+        treeRow.appendChild($E('treecell', {
+          label: value
+        }));
+      });
+    });
+
+    getSummary().value = F(kPanelUI.summary, {
+      'SCAN': aProfile.scanTime.toFixed(2),
+      'RUNS': aProfile.runs.length
+    });
   }
-  else if (screen.availHeight > h) {
-    y = screen.availHeight - h;
+
+  function exportJSON() {
+    Services.ClipboardHelper.copyString(JSON.stringify(aProfile, null, 2));
   }
 
-  return [x / 2, y / 2];
-}
+  function open() {
+    let panel = getPanel();
 
-/**
- * String formatter
- * @param aForm {string}
- * @param aAttribute {hash}
- */
-function F(aForm, aAttribute) {
-  for (let [name, value] in Iterator(aAttribute)) {
-    aForm = aForm.replace('%' + name + '%', String(value));
+    buildRows();
+
+    panel.openPopupAtScreen(0, 0, false);
+
+    let [x, y] = getCenteringPosition(panel);
+    panel.moveTo(x, y);
+
+    getTree().focus();
   }
 
-  return aForm;
+  function close() {
+    getPanel().hidePopup();
+  }
+
+  return {
+    open
+  };
 }
 
 /**
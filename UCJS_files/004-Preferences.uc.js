@@ -0,0 +1,1006 @@
+// ==UserScript==
+// @name Preferences.uc.js
+// @description Preferences window of the settings of user scripts.
+// @include main
+// ==/UserScript==
+
+// @require Util.uc.js
+// @require [optional] ScriptList.uc.js
+
+// @usage Creates a menuitem in 'tools' of the main menu.
+
+// @note The options are generated from the settings that the scripts declare
+// with |ucjsUtil::createSettings|.
+// @note The keys of the shortcuts that the scripts register with
+// |ucjsUtil::registerShortcut| can be rebound.
+// @note A single window is opened from any browser window. It edits the
+// settings of the browser window that opened it and closes with that window,
+// and the saved values apply to all windows through the preferences.
+
+
+(function(window, undefined) {
+
+
+"use strict";
+
+
+/**
+ * Imports
+ */
+const {
+  getModule,
+  createNode: $E,
+  createBuilder,
+  getScriptContext,
+  formatText: F,
+  getNodeById: $ID,
+  getSettingsList,
+  Shortcuts,
+  createLogger
+} = window.ucjsUtil;
+
+/**
+ * DOM builder of this script.
+ */
+const builder = createBuilder();
+
+/**
+ * Logger of this script.
+ */
+const log = createLogger('Preferences.uc.js');
+
+/**
+ * UI settings
+ */
+const kUI = {
+  menu: {
+    id: 'ucjs_preferences_menuitem',
+    label: 'userChrome.js Preferences...',
+    accesskey: 'p',
+    // The ID of the menu of ScriptList.uc.js to insert after it.
+    scriptListMenuID: 'ucjs_scriptList_menu'
+  },
+
+  window: {
+    // The type to find the opened window.
+    type: 'ucjs:Preferences',
+    title: '<userChrome.js> Preferences',
+    listBoxID: 'ucjs_preferences_listBox',
+    width: 640,
+    height: 560,
+    features: 'chrome,titlebar,resizable,centerscreen,dialog=no',
+    noSettings: '設定可能なスクリプトなし',
+    resetButton: 'Reset',
+    resetTip: '既定値に戻す',
+    resetAllButton: 'Reset all',
+    resetAllConfirm: 'すべての設定を既定値に戻しますか？',
+    importButton: 'Import...',
+    exportButton: 'Export...',
+    closeButton: '閉じる',
+    shortcutsCaption: 'Keyboard shortcuts',
+    shortcutRecorderTip: 'キーを押して割り当てる',
+    clearButton: 'Clear',
+    conflictWarning: '%LABELS% と重複'
+  },
+
+  listEditor: {
+    addButton: 'Add',
+    removeButton: 'Remove',
+    moveUpButton: '▲',
+    moveDownButton: '▼',
+    rows: 4
+  },
+
+  file: {
+    // The key of the shortcuts in a JSON file.
+    // @note Not a valid script name so as not to conflict with the scripts.
+    shortcutsKey: '#shortcuts',
+    importTitle: 'Import the preferences',
+    exportTitle: 'Export the preferences',
+    defaultName: 'ucjs-preferences.json',
+    importDone: 'Imported.',
+    importErrors: 'Some values are not imported:\n%ERRORS%',
+    invalidFile: 'Invalid file: %MESSAGE%'
+  }
+};
+
+function Preferences_init() {
+  let prefsWindow = PreferencesWindow();
+
+  createMenu(prefsWindow);
+}
+
+/**
+ * Creates a menuitem in the tools menu.
+ *
+ * @param aPrefsWindow {hash}
+ *   @see |PreferencesWindow|
+ */
+function createMenu(aPrefsWindow) {
+  const {menu: kMenuUI} = kUI;
+
+  let popup = $ID('menu_ToolsPopup');
+
+  // Next to the menu of ScriptList.uc.js if exists.
+  let scriptListMenu = $ID(kMenuUI.scriptListMenuID);
+  let referenceNode = scriptListMenu ? scriptListMenu.nextSibling : null;
+
+  builder.build({
+    tag: 'menuitem',
+    attributes: {
+      id: kMenuUI.id,
+      label: kMenuUI.label,
+      accesskey: kMenuUI.accesskey
+    },
+    events: {
+      command: aPrefsWindow.open
+    }
+  }, popup, referenceNode);
+}
+
+/**
+ * Handler of a window of the preferences
+ *
+ * @return {hash}
+ *   @key open {function}
+ *
+ * @note The window is a single instance in the application. It is focused
+ * if already opened from any browser window.
+ */
+function PreferencesWindow() {
+  const {window: kWindowUI} = kUI;
+
+  const kWindowURL = 'data:application/vnd.mozilla.xul+xml;charset=utf-8,' +
+    encodeURIComponent([
+      '<?xml version="1.0"?>',
+      '<?xml-stylesheet href="chrome://global/skin/" type="text/css"?>',
+      '<window',
+      ' xmlns="http://www.mozilla.org/keymaster/gatekeeper/there.is.only.xul"',
+      ' windowtype="%TYPE%" width="%WIDTH%" height="%HEIGHT%"/>'
+    ].join('').
+    replace('%TYPE%', kWindowUI.type).
+    replace('%WIDTH%', kWindowUI.width).
+    replace('%HEIGHT%', kWindowUI.height));
+
+  // The window opened from this browser window.
+  let mWindow = null;
+
+  // The builder of the nodes in |mWindow|.
+  // @note Torn down when |mWindow| closes.
+  let mBuilder = null;
+
+  // The editors of the settings in the window.
+  // @value {hash} @see |SettingEditor|
+  let mEditors = [];
+
+  // Close the window with this browser window or when this script is
+  // uninitialized for reloading.
+  window.addEventListener('unload', close, false);
+
+  let context = getScriptContext();
+
+  if (context) {
+    context.addUninitHook(close);
+  }
+
+  function open() {
+    // @note |mWindow| is not found by the type until it is loaded.
+    let openedWindow = (mWindow && !mWindow.closed) ?
+      mWindow : Services.wm.getMostRecentWindow(kWindowUI.type);
+
+    if (openedWindow) {
+      openedWindow.focus();
+
+      return;
+    }
+
+    mWindow = window.openDialog(kWindowURL, '', kWindowUI.features);
+
+    mWindow.addEventListener('load', function onLoad() {
+      mWindow.removeEventListener('load', onLoad, false);
+      mWindow.addEventListener('unload', onUnload, false);
+
+      makeWindow();
+      buildList();
+    }, false);
+  }
+
+  function onUnload() {
+    mWindow.removeEventListener('unload', onUnload, false);
+
+    mBuilder.teardown();
+    mBuilder = null;
+
+    mEditors = [];
+    mWindow = null;
+  }
+
+  function close() {
+    if (mWindow && !mWindow.closed) {
+      mWindow.close();
+    }
+  }
+
+  function makeWindow() {
+    let {document} = mWindow;
+
+    document.title = kWindowUI.title;
+
+    mBuilder = createBuilder({document});
+
+    let button = (aLabel, aCommand) => ({
+      tag: 'button',
+      attributes: {
+        label: aLabel
+      },
+      events: {
+        command: aCommand
+      }
+    });
+
+    [
+      /**
+       * List of the settings
+       */
+      {
+        tag: 'vbox',
+        attributes: {
+          id: kWindowUI.listBoxID,
+          flex: 1,
+          style: 'overflow:auto;'
+        }
+      },
+      /**
+       * Action buttons
+       */
+      {
+        tag: 'hbox',
+        children: [
+          button(kWindowUI.resetAllButton, resetAll),
+          button(kWindowUI.importButton, importJSON),
+          button(kWindowUI.exportButton, exportJSON),
+          {tag: 'spacer', attributes: {flex: 1}},
+          button(kWindowUI.closeButton, close)
+        ]
+      }
+    ].
+    forEach((aDescription) => {
+      mBuilder.build(aDescription, document.documentElement);
+    });
+  }
+
+  function getListBox() {
+    return mWindow.document.getElementById(kWindowUI.listBoxID);
+  }
+
+  /**
+   * Builds the editors of the settings of all scripts.
+   *
+   * @note Built whenever the window opens since the scripts can be reloaded
+   * or enabled after startup.
+   */
+  function buildList() {
+    let listBox = getListBox();
+
+    while (listBox.firstChild) {
+      listBox.removeChild(listBox.firstChild);
+    }
+
+    mEditors = [];
+
+    let settingsList = getSettingsList().
+      sort((a, b) => a.script.localeCompare(b.script));
+
+    let shortcutList = Shortcuts.getList();
+
+    if (!settingsList.length && !shortcutList.length) {
+      listBox.appendChild(mBuilder.create({
+        tag: 'label',
+        attributes: {
+          value: kWindowUI.noSettings
+        }
+      }));
+
+      return;
+    }
+
+    if (shortcutList.length) {
+      let groupBox = listBox.appendChild(mBuilder.create({
+        tag: 'groupbox',
+        children: [{
+          tag: 'caption',
+          attributes: {
+            label: kWindowUI.shortcutsCaption
+          }
+        }]
+      }));
+
+      shortcutList.forEach((shortcut) => {
+        let editor = ShortcutEditor(mBuilder, shortcut);
+
+        groupBox.appendChild(editor.node);
+        mEditors.push(editor);
+      });
+    }
+
+    settingsList.forEach((settings) => {
+      let groupBox = listBox.appendChild(mBuilder.create({
+        tag: 'groupbox',
+        children: [{
+          tag: 'caption',
+          attributes: {
+            label: settings.script
+          }
+        }]
+      }));
+
+      Object.keys(settings.schema).forEach((key) => {
+        let editor = SettingEditor(mBuilder, settings, key);
+
+        groupBox.appendChild(editor.node);
+        mEditors.push(editor);
+      });
+    });
+  }
+
+  function updateAll() {
+    mEditors.forEach((editor) => editor.update());
+  }
+
+  function resetAll() {
+    if (!Services.prompt.confirm(mWindow, null, kWindowUI.resetAllConfirm)) {
+      return;
+    }
+
+    getSettingsList().forEach((settings) => settings.resetAll());
+
+    Shortcuts.getList().forEach(({id}) => Shortcuts.resetBinding(id));
+
+    updateAll();
+  }
+
+  /**
+   * Imports the values of all scripts from a JSON file.
+   *
+   * @note The file has the values for each script and the keys of the
+   * shortcuts;
+   * {"TabEx": {"SUSPEND_DELAY": 500, ...}, ...,
+   *  "#shortcuts": {"restartApp": "Ctrl+Alt+[", ...}}
+   */
+  function importJSON() {
+    const {file: kFileUI} = kUI;
+
+    pickFile(kFileUI.importTitle, 'open', (aFile) => {
+      const {OS} = getModule('resource://gre/modules/osfile.jsm');
+
+      OS.File.read(aFile.path, {encoding: 'utf-8'}).then((aText) => {
+        let data = JSON.parse(aText);
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+          throw Error('Not a hash of the scripts');
+        }
+
+        let errors = [];
+
+        getSettingsList().forEach((settings) => {
+          let values = data[settings.script];
+
+          if (values && typeof values === 'object') {
+            errors = errors.concat(settings.setAll(values));
+          }
+        });
+
+        let keys = data[kFileUI.shortcutsKey];
+
+        if (keys && typeof keys === 'object') {
+          Shortcuts.getList().forEach(({id}) => {
+            if (!keys.hasOwnProperty(id)) {
+              return;
+            }
+
+            try {
+              Shortcuts.setBinding(id, keys[id]);
+            }
+            catch (ex) {
+              errors.push(ex.message);
+            }
+          });
+        }
+
+        updateAll();
+
+        alert(errors.length ?
+          F(kFileUI.importErrors, {'ERRORS': errors.join('\n')}) :
+          kFileUI.importDone);
+      }).
+      catch((ex) => {
+        log.error(['Not imported: ' + aFile.path, ex]);
+
+        alert(F(kFileUI.invalidFile, {'MESSAGE': ex.message}));
+      });
+    });
+  }
+
+  /**
+   * Exports the values of all scripts to a JSON file.
+   */
+  function exportJSON() {
+    const {file: kFileUI} = kUI;
+
+    let data = {};
+
+    getSettingsList().forEach((settings) => {
+      data[settings.script] = settings.getAll();
+    });
+
+    let keys = {};
+
+    Shortcuts.getList().forEach(({id, key}) => {
+      keys[id] = key;
+    });
+
+    data[kFileUI.shortcutsKey] = keys;
+
+    pickFile(kFileUI.exportTitle, 'save', (aFile) => {
+      const {OS} = getModule('resource://gre/modules/osfile.jsm');
+
+      let text = JSON.stringify(data, null, 2);
+
+      OS.File.writeAtomic(aFile.path, text, {encoding: 'utf-8'}).
+      catch((ex) => {
+        log.error(['Not exported: ' + aFile.path, ex]);
+      });
+    });
+  }
+
+  /**
+   * Picks a JSON file.
+   *
+   * @param aTitle {string}
+   * @param aMode {string} 'open' or 'save'.
+   * @param aCallback {function}
+   *   @param aFile {nsIFile}
+   */
+  function pickFile(aTitle, aMode, aCallback) {
+    const {file: kFileUI} = kUI;
+    const {nsIFilePicker} = Ci;
+
+    let filePicker =
+      Cc['@mozilla.org/filepicker;1'].createInstance(nsIFilePicker);
+
+    filePicker.init(mWindow, aTitle,
+      (aMode === 'save') ? nsIFilePicker.modeSave : nsIFilePicker.modeOpen);
+
+    filePicker.appendFilter('JSON', '*.json');
+    filePicker.appendFilters(nsIFilePicker.filterAll);
+
+    if (aMode === 'save') {
+      filePicker.defaultString = kFileUI.defaultName;
+      filePicker.defaultExtension = 'json';
+    }
+
+    filePicker.open({
+      done(aResult) {
+        if (aResult === nsIFilePicker.returnOK ||
+            aResult === nsIFilePicker.returnReplace) {
+          aCallback(filePicker.file);
+        }
+      }
+    });
+  }
+
+  function alert(aMessage) {
+    // @note The window may be closed while a file is imported.
+    Services.prompt.alert(mWindow, null, aMessage);
+  }
+
+  return {
+    open
+  };
+}
+
+/**
+ * Editor of a setting value
+ *
+ * @param aBuilder {hash}
+ *   The builder of the nodes in the preferences window.
+ *   @see |ucjsUtil::createBuilder|
+ * @param aSettings {hash}
+ *   @see |ucjsUtil::createSettings|
+ * @param aKey {string}
+ * @return {hash}
+ *   @key node {Element}
+ *   @key update {function} Updates the editor with the stored value.
+ *
+ * @note A value is saved as soon as it is changed and valid.
+ */
+function SettingEditor(aBuilder, aSettings, aKey) {
+  const {window: kWindowUI} = kUI;
+
+  let schema = aSettings.schema[aKey];
+  let choices = getChoices(schema);
+
+  let node = aBuilder.create({tag: 'vbox'});
+
+  let row = node.appendChild(aBuilder.create({
+    tag: 'hbox',
+    attributes: {align: 'center'}
+  }));
+
+  row.appendChild(aBuilder.create({
+    tag: 'label',
+    attributes: {
+      value: schema.description || aKey,
+      tooltiptext: aSettings.branch + aKey,
+      flex: 1
+    }
+  }));
+
+  let control = createControl();
+
+  row.appendChild(control.node);
+
+  let resetButton = row.appendChild(aBuilder.create({
+    tag: 'button',
+    attributes: {
+      label: kWindowUI.resetButton,
+      tooltiptext: kWindowUI.resetTip
+    },
+    events: {
+      command() {
+        aSettings.reset(aKey);
+        update();
+      }
+    }
+  }));
+
+  let errorLabel = node.appendChild(aBuilder.create({
+    tag: 'label',
+    attributes: {
+      style: 'color:red;',
+      hidden: true
+    }
+  }));
+
+  update();
+
+  function createControl() {
+    if (schema.type === 'list') {
+      return ListControl(aBuilder, choices, apply);
+    }
+
+    if (schema.type === 'boolean') {
+      let checkbox = aBuilder.create({
+        tag: 'checkbox',
+        events: {
+          command: () => apply(checkbox.checked)
+        }
+      });
+
+      return {
+        node: checkbox,
+        setValue(aValue) {
+          checkbox.checked = aValue;
+        }
+      };
+    }
+
+    if (choices) {
+      let menulist = aBuilder.create({
+        tag: 'menulist',
+        events: {
+          command: () => apply(choices[menulist.selectedIndex].value)
+        },
+        children: [{
+          tag: 'menupopup',
+          children: choices.map(({label}, i) => ({
+            tag: 'menuitem',
+            attributes: {
+              label,
+              value: i
+            }
+          }))
+        }]
+      });
+
+      return {
+        node: menulist,
+        setValue(aValue) {
+          menulist.selectedIndex =
+            choices.findIndex(({value}) => value === aValue);
+        }
+      };
+    }
+
+    let isNumber = schema.type === 'integer' || schema.type === 'number';
+
+    let textbox = aBuilder.create({
+      tag: 'textbox',
+      attributes: {
+        style: isNumber ? 'width:8em;' : 'width:16em;'
+      },
+      events: {
+        change: () => apply(textbox.value)
+      }
+    });
+
+    return {
+      node: textbox,
+      setValue(aValue) {
+        textbox.value = aValue;
+      }
+    };
+  }
+
+  /**
+   * Validates and saves a value.
+   */
+  function apply(aValue) {
+    let {value, error} = aSettings.validate(aKey, aValue);
+
+    if (error) {
+      showError(error);
+
+      return;
+    }
+
+    aSettings.set(aKey, value);
+
+    update();
+  }
+
+  function showError(aError) {
+    $E(errorLabel, {
+      value: aError,
+      hidden: null
+    });
+  }
+
+  function update() {
+    control.setValue(aSettings.get(aKey));
+
+    $E(errorLabel, {
+      hidden: true
+    });
+
+    $E(resetButton, {
+      disabled: aSettings.isDefault(aKey) ? true : null
+    });
+  }
+
+  return {
+    node,
+    update
+  };
+}
+
+/**
+ * Editor of the key of a shortcut
+ *
+ * @param aBuilder {hash}
+ *   The builder of the nodes in the preferences window.
+ *   @see |ucjsUtil::createBuilder|
+ * @param aShortcut {hash}
+ *   @see |ucjsUtil::Shortcuts.getList|
+ * @return {hash}
+ *   @key node {Element}
+ *   @key update {function} Updates the editor with the current key.
+ *
+ * @note The key is recorded by pressing it on the textbox, and saved as soon
+ * as it is pressed and valid.
+ */
+function ShortcutEditor(aBuilder, aShortcut) {
+  const {window: kWindowUI} = kUI;
+
+  let {id, script, label, defaultKey} = aShortcut;
+
+  let node = aBuilder.create({tag: 'vbox'});
+
+  let row = node.appendChild(aBuilder.create({
+    tag: 'hbox',
+    attributes: {align: 'center'}
+  }));
+
+  row.appendChild(aBuilder.create({
+    tag: 'label',
+    attributes: {
+      value: script ? script + ': ' + label : label,
+      tooltiptext: id,
+      flex: 1
+    }
+  }));
+
+  let recorder = row.appendChild(aBuilder.create({
+    tag: 'textbox',
+    attributes: {
+      readonly: true,
+      tooltiptext: kWindowUI.shortcutRecorderTip,
+      style: 'width:12em;',
+      [Shortcuts.recorderAttribute]: true
+    },
+    events: {
+      keydown: onKeyDown
+    }
+  }));
+
+  row.appendChild(aBuilder.create({
+    tag: 'button',
+    attributes: {
+      label: kWindowUI.clearButton
+    },
+    events: {
+      command: () => apply('')
+    }
+  }));
+
+  let resetButton = row.appendChild(aBuilder.create({
+    tag: 'button',
+    attributes: {
+      label: kWindowUI.resetButton,
+      tooltiptext: kWindowUI.resetTip
+    },
+    events: {
+      command() {
+        Shortcuts.resetBinding(id);
+        update();
+      }
+    }
+  }));
+
+  let messageLabel = node.appendChild(aBuilder.create({
+    tag: 'label',
+    attributes: {
+      hidden: true
+    }
+  }));
+
+  update();
+
+  function onKeyDown(aEvent) {
+    let key = Shortcuts.getEventKey(aEvent);
+
+    // Wait for a key with the modifiers.
+    if (!key) {
+      return;
+    }
+
+    // Keep the focus navigation.
+    if (key === 'Tab' || key === 'Shift+Tab') {
+      return;
+    }
+
+    aEvent.preventDefault();
+    aEvent.stopPropagation();
+
+    apply(key);
+  }
+
+  /**
+   * Validates and saves a key.
+   */
+  function apply(aKey) {
+    let {value, error} = Shortcuts.validateBinding(id, aKey);
+
+    if (error) {
+      recorder.value = value;
+      showMessage(error, true);
+
+      return;
+    }
+
+    Shortcuts.setBinding(id, value);
+
+    update();
+  }
+
+  function showMessage(aMessage, aIsError) {
+    $E(messageLabel, {
+      value: aMessage,
+      style: aIsError ? 'color:red;' : 'color:darkorange;',
+      hidden: null
+    });
+  }
+
+  function update() {
+    let key = Shortcuts.getBinding(id);
+
+    recorder.value = key;
+
+    $E(messageLabel, {
+      hidden: true
+    });
+
+    let conflicts = Shortcuts.getConflicts(id);
+
+    if (conflicts.length) {
+      showMessage(F(kWindowUI.conflictWarning, {
+        'LABELS': conflicts.map(({label}) => label).join(', ')
+      }));
+    }
+
+    $E(resetButton, {
+      disabled: (key === defaultKey) ? true : null
+    });
+  }
+
+  return {
+    node,
+    update
+  };
+}
+
+/**
+ * Editor of a list value
+ *
+ * @param aBuilder {hash}
+ *   The builder of the nodes in the preferences window.
+ *   @see |ucjsUtil::createBuilder|
+ * @param aChoices {hash[]|null}
+ *   @see |getChoices|
+ * @param aApply {function}
+ *   @param aValue {array}
+ *   @note The items are validated with the whole list in |aApply|.
+ * @return {hash}
+ *   @key node {Element}
+ *   @key setValue {function}
+ */
+function ListControl(aBuilder, aChoices, aApply) {
+  const {listEditor: kListUI} = kUI;
+
+  let mItems = [];
+
+  let node = aBuilder.create({tag: 'hbox'});
+
+  let listbox = node.appendChild(aBuilder.create({
+    tag: 'listbox',
+    attributes: {
+      rows: kListUI.rows,
+      style: 'width:16em;'
+    }
+  }));
+
+  let buttons = node.appendChild(aBuilder.create({tag: 'vbox'}));
+
+  // The input of a new item.
+  let input;
+
+  if (aChoices) {
+    input = buttons.appendChild(aBuilder.create({
+      tag: 'menulist',
+      children: [{
+        tag: 'menupopup',
+        children: aChoices.map(({label}, i) => ({
+          tag: 'menuitem',
+          attributes: {
+            label,
+            value: i
+          }
+        }))
+      }]
+    }));
+
+    input.selectedIndex = 0;
+  }
+  else {
+    input = buttons.appendChild(aBuilder.create({tag: 'textbox'}));
+  }
+
+  [
+    [kListUI.addButton, addItem],
+    [kListUI.removeButton, removeItem],
+    [kListUI.moveUpButton, () => moveItem(-1)],
+    [kListUI.moveDownButton, () => moveItem(1)]
+  ].
+  forEach(([label, command]) => {
+    buttons.appendChild(aBuilder.create({
+      tag: 'button',
+      attributes: {
+        label
+      },
+      events: {
+        command
+      }
+    }));
+  });
+
+  function addItem() {
+    let item = aChoices ?
+      aChoices[input.selectedIndex].value :
+      input.value;
+
+    if (!aChoices && !item) {
+      return;
+    }
+
+    aApply(mItems.concat(item));
+  }
+
+  function removeItem() {
+    let index = listbox.selectedIndex;
+
+    if (index < 0) {
+      return;
+    }
+
+    let items = mItems.slice();
+
+    items.splice(index, 1);
+    aApply(items);
+  }
+
+  function moveItem(aOffset) {
+    let index = listbox.selectedIndex;
+    let otherIndex = index + aOffset;
+
+    if (index < 0 || otherIndex < 0 || otherIndex >= mItems.length) {
+      return;
+    }
+
+    let items = mItems.slice();
+
+    [items[index], items[otherIndex]] = [items[otherIndex], items[index]];
+    aApply(items);
+
+    listbox.selectedIndex = otherIndex;
+  }
+
+  function setValue(aValue) {
+    mItems = aValue.slice();
+
+    while (listbox.firstChild) {
+      listbox.removeChild(listbox.firstChild);
+    }
+
+    mItems.forEach((item) => {
+      let choice = aChoices && aChoices.find(({value}) => value === item);
+
+      listbox.appendChild(aBuilder.create({
+        tag: 'listitem',
+        attributes: {
+          label: choice ? choice.label : item
+        }
+      }));
+    });
+  }
+
+  return {
+    node,
+    setValue
+  };
+}
+
+/**
+ * Gets the choices of a setting.
+ *
+ * @param aSchema {hash}
+ * @return {hash[]|null}
+ *   @key value {*}
+ *   @key label {string}
+ */
+function getChoices(aSchema) {
+  if (!aSchema.choices) {
+    return null;
+  }
+
+  return aSchema.choices.map((choice) => {
+    if (choice && typeof choice === 'object') {
+      return {
+        value: choice.value,
+        label: choice.label || String(choice.value)
+      };
+    }
+
+    return {
+      value: choice,
+      label: String(choice)
+    };
+  });
+}
+
+/**
+ * Entry point
+ */
+Preferences_init();
+
+
+})(this);
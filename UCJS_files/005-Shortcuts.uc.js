@@ -0,0 +1,304 @@
+// ==UserScript==
+// @name Shortcuts.uc.js
+// @description Cheat sheet of the keyboard shortcuts of user scripts.
+// @include main
+// ==/UserScript==
+
+// @require Util.uc.js
+// @require [optional] Preferences.uc.js
+
+// @usage Creates a menuitem in 'tools' of the main menu, and opens the cheat
+// sheet with the shortcut key (<Ctrl+Alt+F1> by default).
+
+// @note The shortcuts are registered with |ucjsUtil::registerShortcut|.
+// @note The keys can be rebound in the panel of Preferences.uc.js.
+
+
+(function(window, undefined) {
+
+
+"use strict";
+
+
+/**
+ * Imports
+ */
+const {
+  createNode: $E,
+  createBuilder,
+  getCenteringPosition,
+  formatText: F,
+  getNodeById: $ID,
+  registerShortcut,
+  Shortcuts
+} = window.ucjsUtil;
+
+/**
+ * DOM builder of this script.
+ */
+const builder = createBuilder();
+
+/**
+ * UI settings
+ */
+const kUI = {
+  menu: {
+    id: 'ucjs_shortcuts_menuitem',
+    label: 'userChrome.js Shortcuts...',
+    accesskey: 'k',
+    // The ID of the menu of Preferences.uc.js to insert after it.
+    preferencesMenuID: 'ucjs_preferences_menuitem'
+  },
+
+  panel: {
+    id: 'ucjs_shortcuts_panel',
+    title: '<userChrome.js> Keyboard shortcuts',
+    listBoxID: 'ucjs_shortcuts_listBox',
+    noShortcuts: 'ショートカットなし',
+    scriptColumn: 'Script',
+    labelColumn: 'Action',
+    keyColumn: 'Key',
+    noteColumn: 'Note',
+    noKey: '(なし)',
+    rebound: '変更済み（既定: %KEY%）',
+    conflict: '%LABELS% と重複',
+    closeButton: '閉じる'
+  },
+
+  shortcut: {
+    id: 'showShortcuts',
+    label: 'ショートカット一覧を表示',
+    key: 'Ctrl+Alt+F1'
+  }
+};
+
+function Shortcuts_init() {
+  let panel = CheatSheetPanel();
+
+  createMenu(panel);
+
+  registerShortcut({
+    id: kUI.shortcut.id,
+    script: 'Shortcuts',
+    label: kUI.shortcut.label,
+    key: kUI.shortcut.key,
+    command: panel.open
+  });
+}
+
+/**
+ * Creates a menuitem in the tools menu.
+ *
+ * @param aPanel {hash}
+ *   @see |CheatSheetPanel|
+ */
+function createMenu(aPanel) {
+  const {menu: kMenuUI} = kUI;
+
+  let popup = $ID('menu_ToolsPopup');
+
+  // Next to the menu of Preferences.uc.js if exists.
+  let preferencesMenu = $ID(kMenuUI.preferencesMenuID);
+  let referenceNode = preferencesMenu ? preferencesMenu.nextSibling : null;
+
+  builder.build({
+    tag: 'menuitem',
+    attributes: {
+      id: kMenuUI.id,
+      label: kMenuUI.label,
+      accesskey: kMenuUI.accesskey
+    },
+    events: {
+      command: aPanel.open
+    }
+  }, popup, referenceNode);
+}
+
+/**
+ * Handler of a panel of the cheat sheet
+ *
+ * @return {hash}
+ *   @key open {function}
+ */
+function CheatSheetPanel() {
+  const {panel: kPanelUI} = kUI;
+
+  let getPanel = () => $ID(kPanelUI.id);
+  let getListBox = () => $ID(kPanelUI.listBoxID);
+
+  makePanel();
+
+  function makePanel() {
+    builder.build({
+      tag: 'panel',
+      attributes: {
+        id: kPanelUI.id,
+        noautohide: true,
+        backdrag: true,
+        style: 'min-width:40em;'
+      },
+      children: [
+        /**
+         * Title of panel
+         */
+        {
+          tag: 'hbox',
+          attributes: {pack: 'center'},
+          children: [{
+            tag: 'label',
+            attributes: {
+              value: kPanelUI.title,
+              class: 'header'
+            }
+          }]
+        },
+        /**
+         * List of the shortcuts
+         */
+        {
+          tag: 'listbox',
+          attributes: {
+            id: kPanelUI.listBoxID,
+            flex: 1,
+            rows: 12
+          },
+          children: [
+            {
+              tag: 'listhead',
+              children: [
+                kPanelUI.scriptColumn,
+                kPanelUI.labelColumn,
+                kPanelUI.keyColumn,
+                kPanelUI.noteColumn
+              ].map((label) => ({
+                tag: 'listheader',
+                attributes: {label}
+              }))
+            },
+            {
+              tag: 'listcols',
+              children: [1, 2, 1, 2].map((flex) => ({
+                tag: 'listcol',
+                attributes: {flex}
+              }))
+            }
+          ]
+        },
+        /**
+         * Action buttons
+         */
+        {
+          tag: 'hbox',
+          children: [
+            {tag: 'spacer', attributes: {flex: 1}},
+            {
+              tag: 'button',
+              attributes: {label: kPanelUI.closeButton},
+              events: {command: close}
+            }
+          ]
+        },
+        /**
+         * Resizer
+         */
+        {
+          tag: 'hbox',
+          children: [
+            {tag: 'spacer', attributes: {flex: 1}},
+            {tag: 'resizer', attributes: {dir: 'bottomend'}}
+          ]
+        }
+      ]
+    }, $ID('mainPopupSet'));
+  }
+
+  /**
+   * Builds the list of the shortcuts of all scripts.
+   *
+   * @note Rebuilt whenever the panel opens since the keys can be rebound and
+   * the scripts can be reloaded after startup.
+   */
+  function buildList() {
+    let listBox = getListBox();
+
+    for (let item of [...listBox.getElementsByTagName('listitem')]) {
+      listBox.removeChild(item);
+    }
+
+    let shortcutList = Shortcuts.getList().sort((a, b) =>
+      a.script.localeCompare(b.script) || a.key.localeCompare(b.key));
+
+    if (!shortcutList.length) {
+      listBox.appendChild($E('listitem', {
+        label: kPanelUI.noShortcuts,
+        disabled: true
+      }));
+
+      return;
+    }
+
+    shortcutList.forEach(({script, label, key, defaultKey, conflicts}) => {
+      let notes = [];
+
+      if (key !== defaultKey) {
+        notes.push(F(kPanelUI.rebound, {
+          'KEY': defaultKey || kPanelUI.noKey
+        }));
+      }
+
+      if (conflicts.length) {
+        notes.push(F(kPanelUI.conflict, {
+          'LABELS': conflicts.map(({label}) => label).join(', ')
+        }));
+      }
+
+      listBox.appendChild(builder.create({
+        tag: 'listitem',
+        attributes: {
+          style: conflicts.length ? 'color:darkorange;' : null
+        },
+        children: [script, label, key || kPanelUI.noKey, notes.join(' / ')].
+          map((text) => ({
+            tag: 'listcell',
+            attributes: {
+              label: text,
+              tooltiptext: text
+            }
+          }))
+      }));
+    });
+  }
+
+  function open() {
+    let panel = getPanel();
+
+    if (panel.state === 'open') {
+      close();
+
+      return;
+    }
+
+    buildList();
+
+    panel.openPopupAtScreen(0, 0, false);
+
+    let [x, y] = getCenteringPosition(panel);
+    panel.moveTo(x, y);
+  }
+
+  function close() {
+    getPanel().hidePopup();
+  }
+
+  return {
+    open
+  };
+}
+
+/**
+ * Entry point
+ */
+Shortcuts_init();
+
+
+})(this);
@@ -0,0 +1,395 @@
+// ==UserScript==
+// @name CommandPalette.uc.js
+// @description Command palette to search and run the commands of user
+// scripts.
+// @include main
+// ==/UserScript==
+
+// @require Util.uc.js
+// @require [optional] Shortcuts.uc.js
+
+// @usage Opens the palette with the shortcut key (<Ctrl+Alt+P> by default)
+// or the menuitem in 'tools' of the main menu.
+
+// @note The commands are registered with |ucjsUtil::registerCommand|.
+// @note Type to filter the commands in a fuzzy way, <Up>/<Down> to select,
+// <Enter> to run and <Escape> to close.
+
+
+(function(window, undefined) {
+
+
+"use strict";
+
+
+/**
+ * Imports
+ */
+const {
+  createBuilder,
+  getCenteringPosition,
+  getNodeById: $ID,
+  registerShortcut,
+  Commands
+} = window.ucjsUtil;
+
+/**
+ * DOM builder of this script.
+ */
+const builder = createBuilder();
+
+/**
+ * UI settings
+ */
+const kUI = {
+  menu: {
+    id: 'ucjs_commandPalette_menuitem',
+    label: 'Command Palette...',
+    accesskey: 'm',
+    // The ID of the menu of Shortcuts.uc.js to insert after it.
+    shortcutsMenuID: 'ucjs_shortcuts_menuitem'
+  },
+
+  panel: {
+    id: 'ucjs_commandPalette_panel',
+    inputID: 'ucjs_commandPalette_input',
+    listBoxID: 'ucjs_commandPalette_listBox',
+    placeholder: 'コマンドを検索',
+    noMatches: '該当するコマンドなし',
+    // The number of the visible rows.
+    rows: 10
+  },
+
+  shortcut: {
+    id: 'openCommandPalette',
+    label: 'コマンドパレットを開く',
+    key: 'Ctrl+Alt+P'
+  }
+};
+
+function CommandPalette_init() {
+  let palette = PalettePanel();
+
+  createMenu(palette);
+
+  registerShortcut({
+    id: kUI.shortcut.id,
+    script: 'CommandPalette',
+    label: kUI.shortcut.label,
+    key: kUI.shortcut.key,
+    command: palette.open
+  });
+}
+
+/**
+ * Creates a menuitem in the tools menu.
+ *
+ * @param aPalette {hash}
+ *   @see |PalettePanel|
+ */
+function createMenu(aPalette) {
+  const {menu: kMenuUI} = kUI;
+
+  let popup = $ID('menu_ToolsPopup');
+
+  // Next to the menu of Shortcuts.uc.js if exists.
+  let shortcutsMenu = $ID(kMenuUI.shortcutsMenuID);
+  let referenceNode = shortcutsMenu ? shortcutsMenu.nextSibling : null;
+
+  builder.build({
+    tag: 'menuitem',
+    attributes: {
+      id: kMenuUI.id,
+      label: kMenuUI.label,
+      accesskey: kMenuUI.accesskey
+    },
+    events: {
+      command: () => aPalette.open()
+    }
+  }, popup, referenceNode);
+}
+
+/**
+ * Handler of a panel of the command palette
+ *
+ * @return {hash}
+ *   @key open {function}
+ */
+function PalettePanel() {
+  const {panel: kPanelUI} = kUI;
+
+  let getPanel = () => $ID(kPanelUI.id);
+  let getInput = () => $ID(kPanelUI.inputID);
+  let getListBox = () => $ID(kPanelUI.listBoxID);
+
+  // The context of the tab where the palette is opened.
+  // @see |ucjsUtil::Commands.getContext|
+  let mContext = null;
+
+  // The listed commands.
+  // @see |ucjsUtil::Commands.search|
+  let mResults = [];
+
+  makePanel();
+
+  function makePanel() {
+    builder.build({
+      tag: 'panel',
+      attributes: {
+        id: kPanelUI.id,
+        style: 'width:36em;'
+      },
+      events: {
+        popupshown: () => getInput().focus(),
+        popuphidden: onPopupHidden
+      },
+      children: [
+        {
+          tag: 'textbox',
+          attributes: {
+            id: kPanelUI.inputID,
+            placeholder: kPanelUI.placeholder
+          },
+          events: {
+            input: update,
+            keypress: onKeyPress
+          }
+        },
+        {
+          tag: 'richlistbox',
+          attributes: {
+            id: kPanelUI.listBoxID,
+            rows: kPanelUI.rows,
+            style: 'max-height:' + (kPanelUI.rows * 2.5) + 'em;'
+          },
+          events: {
+            click: onClick
+          }
+        }
+      ]
+    }, $ID('mainPopupSet'));
+  }
+
+  function open() {
+    let panel = getPanel();
+
+    if (panel.state === 'open') {
+      close();
+
+      return;
+    }
+
+    mContext = Commands.getContext();
+
+    getInput().value = '';
+    update();
+
+    panel.openPopupAtScreen(0, 0, false);
+
+    let [x, y] = getCenteringPosition(panel);
+    panel.moveTo(x, y);
+  }
+
+  function close() {
+    getPanel().hidePopup();
+  }
+
+  function onPopupHidden(aEvent) {
+    if (aEvent.target !== getPanel()) {
+      return;
+    }
+
+    mContext = null;
+    mResults = [];
+  }
+
+  /**
+   * Rebuilds the list with the query.
+   */
+  function update() {
+    let listBox = getListBox();
+
+    while (listBox.firstChild) {
+      listBox.removeChild(listBox.firstChild);
+    }
+
+    mResults = Commands.search(getInput().value, mContext);
+
+    if (!mResults.length) {
+      listBox.appendChild(builder.create({
+        tag: 'richlistitem',
+        attributes: {
+          disabled: true
+        },
+        children: [{
+          tag: 'label',
+          attributes: {
+            value: kPanelUI.noMatches
+          }
+        }]
+      }));
+
+      return;
+    }
+
+    mResults.forEach((result) => {
+      listBox.appendChild(createItem(result));
+    });
+
+    listBox.selectedIndex = 0;
+  }
+
+  function createItem({script, label, description, key, enabled, indices}) {
+    return builder.create({
+      tag: 'richlistitem',
+      attributes: {
+        align: 'center',
+        disabled: enabled ? null : true,
+        tooltiptext: description || null,
+        style: enabled ? null : 'opacity:0.5;'
+      },
+      children: [
+        {
+          tag: 'description',
+          attributes: {
+            flex: 1,
+            crop: 'end'
+          },
+          children: highlight(label, indices)
+        },
+        {
+          tag: 'label',
+          attributes: {
+            value: script,
+            style: 'color:gray;'
+          }
+        },
+        {
+          tag: 'label',
+          attributes: {
+            value: key,
+            style: 'font-family:monospace;'
+          }
+        }
+      ]
+    });
+  }
+
+  /**
+   * Emphasizes the matched characters.
+   *
+   * @param aText {string}
+   * @param aIndices {integer[]}
+   * @return {array} The descriptions of the child nodes.
+   *   @see |ucjsUtil::createBuilder|
+   */
+  function highlight(aText, aIndices) {
+    let matched = new Set(aIndices);
+    let children = [];
+    let text = '';
+
+    for (let i = 0; i < aText.length; i++) {
+      if (!matched.has(i)) {
+        text += aText[i];
+
+        continue;
+      }
+
+      if (text) {
+        children.push(text);
+        text = '';
+      }
+
+      children.push({
+        tag: 'html:b',
+        children: [aText[i]]
+      });
+    }
+
+    if (text) {
+      children.push(text);
+    }
+
+    return children;
+  }
+
+  function onKeyPress(aEvent) {
+    let listBox = getListBox();
+
+    switch (aEvent.keyCode) {
+      case aEvent.DOM_VK_DOWN:
+      case aEvent.DOM_VK_UP: {
+        let count = mResults.length;
+
+        if (count) {
+          let offset = (aEvent.keyCode === aEvent.DOM_VK_DOWN) ? 1 : -1;
+          let index = (listBox.selectedIndex + offset + count) % count;
+
+          listBox.selectedIndex = index;
+          listBox.ensureIndexIsVisible(index);
+        }
+
+        break;
+      }
+
+      case aEvent.DOM_VK_RETURN: {
+        runCommand(listBox.selectedIndex);
+
+        break;
+      }
+
+      default:
+        return;
+    }
+
+    aEvent.preventDefault();
+  }
+
+  function onClick(aEvent) {
+    if (aEvent.button !== 0) {
+      return;
+    }
+
+    let listBox = getListBox();
+    let item = aEvent.target;
+
+    while (item && item.localName !== 'richlistitem') {
+      item = item.parentNode;
+    }
+
+    if (item) {
+      runCommand(listBox.getIndexOfItem(item));
+    }
+  }
+
+  /**
+   * Runs a command in the context of the tab where the palette is opened.
+   *
+   * @param aIndex {integer}
+   */
+  function runCommand(aIndex) {
+    let result = mResults[aIndex];
+
+    if (!result || !result.enabled) {
+      return;
+    }
+
+    let context = mContext;
+
+    close();
+
+    Commands.run(result.id, context);
+  }
+
+  return {
+    open
+  };
+}
+
+/**
+ * Entry point
+ */
+CommandPalette_init();
+
+
+})(this);
@@ -0,0 +1,755 @@
+// ==UserScript==
+// @name MenuLayout.uc.js
+// @description Layout editor of the context menus.
+// @include main
+// ==/UserScript==
+
+// @require Util.uc.js, UI.uc.js
+
+// @usage Opens the editor with the menuitem in 'tools' of the main menu, or
+// the command 'editMenuLayout' of the command palette.
+
+// @note Lists the native items and the menu entries of user scripts in the
+// context menu of the content area and the URL bar.
+// @note Drag and drop an item to reorder it, or onto a submenu to move it
+// into the submenu. Uncheck an item to hide it.
+// @note The layout is saved in the preferences and applied each time the
+// menu opens.
+// @note A single editor window is opened from any browser window. It edits
+// the menus of the browser window that opened it and closes with that window,
+// and the saved layout applies to all windows through the preferences.
+// @see |ucjsUI::PopupMenuHandler::MenuLayout|
+
+
+(function(window, undefined) {
+
+
+"use strict";
+
+
+/**
+ * Imports
+ */
+const {
+  createBuilder,
+  getScriptContext,
+  getNodeById: $ID,
+  registerCommand
+} = window.ucjsUtil;
+
+const {
+  ContentArea: {
+    contextMenu: contentAreaContextMenu
+  },
+  URLBar: {
+    contextMenu: URLBarContextMenu
+  }
+} = window.ucjsUI;
+
+/**
+ * DOM builder of this script.
+ */
+const builder = createBuilder();
+
+/**
+ * The context menus that can be edited.
+ *
+ * @key label {string}
+ * @key handler {hash}
+ *   @see |ucjsUI::PopupMenuHandler|
+ */
+const kMenus = [
+  {
+    label: 'Content area',
+    handler: contentAreaContextMenu
+  },
+  {
+    label: 'URL bar',
+    handler: URLBarContextMenu
+  }
+];
+
+/**
+ * UI settings
+ */
+const kUI = {
+  menu: {
+    id: 'ucjs_menuLayout_menuitem',
+    label: 'Context Menu Layout...',
+    accesskey: 'y',
+    // The ID of the menu of CommandPalette.uc.js to insert after it.
+    commandPaletteMenuID: 'ucjs_commandPalette_menuitem'
+  },
+
+  window: {
+    // The type to find the opened window.
+    type: 'ucjs:MenuLayout',
+    title: '<userChrome.js> Context menu layout',
+    width: 480,
+    height: 640,
+    features: 'chrome,titlebar,resizable,centerscreen,dialog=no',
+    menuListID: 'ucjs_menuLayout_menuList',
+    listBoxID: 'ucjs_menuLayout_listBox',
+    menuListLabel: 'Menu:',
+    separator: '――――',
+    submenuPrefix: '▸ ',
+    newSubmenuButton: 'サブメニューを追加',
+    renameButton: '名前を変更',
+    removeSubmenuButton: 'サブメニューを解除',
+    resetButton: '既定に戻す',
+    saveButton: '保存',
+    closeButton: '閉じる',
+    submenuPrompt: 'サブメニューの名前',
+    newSubmenuLabel: 'More',
+    saved: '保存しました。次にメニューを開いたときに適用されます。'
+  },
+
+  command: {
+    id: 'editMenuLayout',
+    label: 'コンテキストメニューの配置を編集'
+  }
+};
+
+/**
+ * Key names for storing data.
+ */
+const kDataKey = {
+  // The position of an item in the list.
+  // @value {string} 'index' at the top level or 'index,index' in a submenu.
+  position: 'ucjs_menuLayout_position',
+  // The type of data being dragged.
+  dragType: 'application/x-ucjs-menulayout-position'
+};
+
+function MenuLayout_init() {
+  let editor = LayoutEditor();
+
+  createMenu(editor);
+
+  registerCommand({
+    id: kUI.command.id,
+    script: 'MenuLayout',
+    label: kUI.command.label,
+    command: editor.open
+  });
+}
+
+/**
+ * Creates a menuitem in the tools menu.
+ *
+ * @param aEditor {hash}
+ *   @see |LayoutEditor|
+ */
+function createMenu(aEditor) {
+  const {menu: kMenuUI} = kUI;
+
+  let popup = $ID('menu_ToolsPopup');
+
+  // Next to the menu of CommandPalette.uc.js if exists.
+  let commandPaletteMenu = $ID(kMenuUI.commandPaletteMenuID);
+  let referenceNode =
+    commandPaletteMenu ? commandPaletteMenu.nextSibling : null;
+
+  builder.build({
+    tag: 'menuitem',
+    attributes: {
+      id: kMenuUI.id,
+      label: kMenuUI.label,
+      accesskey: kMenuUI.accesskey
+    },
+    events: {
+      command: () => aEditor.open()
+    }
+  }, popup, referenceNode);
+}
+
+/**
+ * Handler of a window of the layout editor
+ *
+ * @return {hash}
+ *   @key open {function}
+ *
+ * @note The window is a single instance in the application. It is focused
+ * if already opened from any browser window.
+ */
+function LayoutEditor() {
+  const {window: kWindowUI} = kUI;
+
+  const kWindowURL = 'data:application/vnd.mozilla.xul+xml;charset=utf-8,' +
+    encodeURIComponent([
+      '<?xml version="1.0"?>',
+      '<?xml-stylesheet href="chrome://global/skin/" type="text/css"?>',
+      '<window',
+      ' xmlns="http://www.mozilla.org/keymaster/gatekeeper/there.is.only.xul"',
+      ' windowtype="%TYPE%" width="%WIDTH%" height="%HEIGHT%"/>'
+    ].join('').
+    replace('%TYPE%', kWindowUI.type).
+    replace('%WIDTH%', kWindowUI.width).
+    replace('%HEIGHT%', kWindowUI.height));
+
+  // The window opened from this browser window.
+  let mWindow = null;
+
+  let $WinID = (aId) => mWindow.document.getElementById(aId);
+  let getMenuList = () => $WinID(kWindowUI.menuListID);
+  let getListBox = () => $WinID(kWindowUI.listBoxID);
+
+  // The builder of the nodes in |mWindow|.
+  // @note Torn down when |mWindow| closes.
+  let mBuilder = null;
+
+  // The handler of the menu being edited.
+  let mHandler = null;
+
+  // The items and the submenus at the top level in order.
+  // @see |ucjsUI::PopupMenuHandler::MenuLayout::getItems|
+  let mItems = [];
+
+  // The keys of the hidden items.
+  let mHidden = new Set();
+
+  // Close the window with this browser window or when this script is
+  // uninitialized for reloading.
+  window.addEventListener('unload', close, false);
+
+  let context = getScriptContext();
+
+  if (context) {
+    context.addUninitHook(close);
+  }
+
+  function open() {
+    // @note |mWindow| is not found by the type until it is loaded.
+    let openedWindow = (mWindow && !mWindow.closed) ?
+      mWindow : Services.wm.getMostRecentWindow(kWindowUI.type);
+
+    if (openedWindow) {
+      openedWindow.focus();
+
+      return;
+    }
+
+    mWindow = window.openDialog(kWindowURL, '', kWindowUI.features);
+
+    mWindow.addEventListener('load', function onLoad() {
+      mWindow.removeEventListener('load', onLoad, false);
+      mWindow.addEventListener('unload', onUnload, false);
+
+      makeWindow();
+
+      getMenuList().selectedIndex = 0;
+      load(0);
+    }, false);
+  }
+
+  function onUnload() {
+    mWindow.removeEventListener('unload', onUnload, false);
+
+    mBuilder.teardown();
+    mBuilder = null;
+
+    mHandler = null;
+    mItems = [];
+    mWindow = null;
+  }
+
+  function close() {
+    if (mWindow && !mWindow.closed) {
+      mWindow.close();
+    }
+  }
+
+  function makeWindow() {
+    let {document} = mWindow;
+
+    document.title = kWindowUI.title;
+
+    mBuilder = createBuilder({document});
+
+    [
+      /**
+       * Selector of the menu
+       */
+      {
+        tag: 'hbox',
+        attributes: {align: 'center'},
+        children: [
+          {
+            tag: 'label',
+            attributes: {value: kWindowUI.menuListLabel}
+          },
+          {
+            tag: 'menulist',
+            attributes: {id: kWindowUI.menuListID},
+            events: {command: () => load(getMenuList().selectedIndex)},
+            children: [{
+              tag: 'menupopup',
+              children: kMenus.map(({label}) => ({
+                tag: 'menuitem',
+                attributes: {label}
+              }))
+            }]
+          }
+        ]
+      },
+      /**
+       * List of the items
+       */
+      {
+        tag: 'richlistbox',
+        attributes: {
+          id: kWindowUI.listBoxID,
+          flex: 1
+        },
+        events: {
+          command: onCheckboxCommand,
+          dragstart: onDragStart,
+          dragover: onDragOver,
+          drop: onDrop
+        }
+      },
+      /**
+       * Action buttons
+       */
+      {
+        tag: 'hbox',
+        children: [
+          {
+            tag: 'button',
+            attributes: {label: kWindowUI.newSubmenuButton},
+            events: {command: addSubmenu}
+          },
+          {
+            tag: 'button',
+            attributes: {label: kWindowUI.renameButton},
+            events: {command: renameSubmenu}
+          },
+          {
+            tag: 'button',
+            attributes: {label: kWindowUI.removeSubmenuButton},
+            events: {command: removeSubmenu}
+          }
+        ]
+      },
+      {
+        tag: 'hbox',
+        children: [
+          {
+            tag: 'button',
+            attributes: {label: kWindowUI.resetButton},
+            events: {command: reset}
+          },
+          {tag: 'spacer', attributes: {flex: 1}},
+          {
+            tag: 'button',
+            attributes: {label: kWindowUI.saveButton},
+            events: {command: save}
+          },
+          {
+            tag: 'button',
+            attributes: {label: kWindowUI.closeButton},
+            events: {command: close}
+          }
+        ]
+      }
+    ].
+    forEach((aDescription) => {
+      mBuilder.build(aDescription, document.documentElement);
+    });
+  }
+
+  /**
+   * Loads the saved layout of a menu.
+   *
+   * @param aIndex {integer} The index in |kMenus|.
+   */
+  function load(aIndex) {
+    mHandler = kMenus[aIndex].handler;
+
+    let layout = mHandler.getLayout();
+
+    mItems = mHandler.getLayoutItems();
+    mHidden = new Set(layout ? layout.hidden : []);
+
+    buildList();
+  }
+
+  function reset() {
+    mItems = mHandler.getLayoutItems({useDefault: true});
+    mHidden.clear();
+
+    buildList();
+  }
+
+  function save() {
+    let layout = {
+      items: mItems.map((item) => {
+        if (item.submenu) {
+          return {
+            submenu: item.submenu.label,
+            items: item.submenu.items.map(({key}) => key)
+          };
+        }
+
+        return item.key;
+      }),
+      hidden: [...mHidden]
+    };
+
+    mHandler.setLayout(isDefaultLayout(layout) ? null : layout);
+
+    Services.prompt.alert(mWindow, null, kWindowUI.saved);
+  }
+
+  function isDefaultLayout(aLayout) {
+    if (aLayout.hidden.length) {
+      return false;
+    }
+
+    let defaultKeys =
+      mHandler.getLayoutItems({useDefault: true}).map(({key}) => key);
+
+    return aLayout.items.length === defaultKeys.length &&
+      aLayout.items.every((item, i) => item === defaultKeys[i]);
+  }
+
+  /**
+   * Builds the list of the items.
+   *
+   * @param aSelectedPosition {integer[]} [optional]
+   *   The position of the item to be selected.
+   */
+  function buildList(aSelectedPosition) {
+    let listBox = getListBox();
+
+    while (listBox.firstChild) {
+      listBox.removeChild(listBox.firstChild);
+    }
+
+    mItems.forEach((item, i) => {
+      if (item.submenu) {
+        listBox.appendChild(createSubmenuRow(item.submenu, [i]));
+
+        item.submenu.items.forEach((subItem, j) => {
+          listBox.appendChild(createItemRow(subItem, [i, j]));
+        });
+      }
+      else {
+        listBox.appendChild(createItemRow(item, [i]));
+      }
+    });
+
+    if (aSelectedPosition) {
+      let selector =
+        '[' + kDataKey.position + '="' + aSelectedPosition.join(',') + '"]';
+      let row = listBox.querySelector(selector);
+
+      if (row) {
+        listBox.selectItem(row);
+        listBox.ensureElementIsVisible(row);
+      }
+    }
+  }
+
+  function createItemRow({key, label, type}, aPosition) {
+    let inSubmenu = aPosition.length > 1;
+
+    return mBuilder.create({
+      tag: 'richlistitem',
+      attributes: {
+        align: 'center',
+        draggable: true,
+        tooltiptext: key,
+        [kDataKey.position]: aPosition.join(','),
+        style: inSubmenu ? 'padding-left:2em;' : null
+      },
+      children: [
+        {
+          tag: 'checkbox',
+          attributes: {
+            checked: mHidden.has(key) ? null : true
+          }
+        },
+        {
+          tag: 'label',
+          attributes: {
+            value: (type === 'separator') ? kWindowUI.separator : label,
+            crop: 'end',
+            flex: 1,
+            style: (type === 'entry') ? 'font-style:italic;' : null
+          }
+        }
+      ]
+    });
+  }
+
+  function createSubmenuRow({label}, aPosition) {
+    return mBuilder.create({
+      tag: 'richlistitem',
+      attributes: {
+        align: 'center',
+        draggable: true,
+        [kDataKey.position]: aPosition.join(',')
+      },
+      children: [{
+        tag: 'label',
+        attributes: {
+          value: kWindowUI.submenuPrefix + label,
+          style: 'font-weight:bold;'
+        }
+      }]
+    });
+  }
+
+  /**
+   * Gets the position of a row.
+   *
+   * @param aNode {Node} A row or its descendant.
+   * @return {integer[]|null}
+   */
+  function getPosition(aNode) {
+    while (aNode && aNode.localName !== 'richlistitem') {
+      aNode = aNode.parentNode;
+    }
+
+    if (!aNode || !aNode.hasAttribute(kDataKey.position)) {
+      return null;
+    }
+
+    return aNode.getAttribute(kDataKey.position).split(',').map(Number);
+  }
+
+  /**
+   * Gets the item at a position.
+   *
+   * @param aPosition {integer[]}
+   * @return {hash}
+   */
+  function getItem([i, j]) {
+    return (j === undefined) ? mItems[i] : mItems[i].submenu.items[j];
+  }
+
+  function onCheckboxCommand(aEvent) {
+    let checkbox = aEvent.target;
+
+    if (checkbox.localName !== 'checkbox') {
+      return;
+    }
+
+    let {key} = getItem(getPosition(checkbox));
+
+    if (checkbox.checked) {
+      mHidden.delete(key);
+    }
+    else {
+      mHidden.add(key);
+    }
+  }
+
+  function onDragStart(aEvent) {
+    let position = getPosition(aEvent.target);
+
+    if (!position) {
+      return;
+    }
+
+    let dataTransfer = aEvent.dataTransfer;
+
+    dataTransfer.setData(kDataKey.dragType, position.join(','));
+    dataTransfer.effectAllowed = 'move';
+  }
+
+  function onDragOver(aEvent) {
+    let dataTransfer = aEvent.dataTransfer;
+
+    if (dataTransfer.types.contains(kDataKey.dragType)) {
+      dataTransfer.dropEffect = 'move';
+      aEvent.preventDefault();
+    }
+  }
+
+  function onDrop(aEvent) {
+    let data = aEvent.dataTransfer.getData(kDataKey.dragType);
+
+    if (!data) {
+      return;
+    }
+
+    aEvent.preventDefault();
+
+    moveItem(data.split(',').map(Number), getPosition(aEvent.target));
+  }
+
+  /**
+   * Moves an item.
+   *
+   * @param aSource {integer[]}
+   *   The position of the item to be moved.
+   * @param aTarget {integer[]|null}
+   *   The position of the item where the source is dropped.
+   *   - A submenu: Moves the source into the end of the submenu.
+   *   - An item: Moves the source before the item.
+   *   - null: Moves the source to the end of the list.
+   *   @note A submenu can't be nested in a submenu, so it is moved before the
+   *   submenu of the target.
+   */
+  function moveItem(aSource, aTarget) {
+    let source = getItem(aSource);
+    let target = aTarget && getItem(aTarget);
+
+    if (source === target) {
+      return;
+    }
+
+    // The list and the reference item to be inserted before it.
+    let list = mItems, refItem = null;
+
+    if (target) {
+      if (source.submenu) {
+        refItem = mItems[aTarget[0]];
+      }
+      else if (target.submenu) {
+        list = target.submenu.items;
+      }
+      else {
+        list = (aTarget.length > 1) ? mItems[aTarget[0]].submenu.items : mItems;
+        refItem = target;
+      }
+    }
+
+    if (source === refItem) {
+      return;
+    }
+
+    let sourceList = (aSource.length > 1) ?
+      mItems[aSource[0]].submenu.items : mItems;
+
+    sourceList.splice(sourceList.indexOf(source), 1);
+
+    let index = refItem ? list.indexOf(refItem) : list.length;
+
+    list.splice(index, 0, source);
+
+    buildList(getPositionOf(source));
+  }
+
+  function getPositionOf(aItem) {
+    for (let i = 0; i < mItems.length; i++) {
+      let item = mItems[i];
+
+      if (item === aItem) {
+        return [i];
+      }
+
+      if (item.submenu) {
+        let j = item.submenu.items.indexOf(aItem);
+
+        if (j > -1) {
+          return [i, j];
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Gets the selected submenu.
+   *
+   * @return {hash|null}
+   */
+  function getSelectedSubmenu() {
+    let row = getListBox().selectedItem;
+    let position = row && getPosition(row);
+
+    if (!position || position.length > 1) {
+      return null;
+    }
+
+    let item = getItem(position);
+
+    return item.submenu ? item : null;
+  }
+
+  function promptLabel(aDefaultLabel) {
+    let input = {value: aDefaultLabel};
+
+    if (!Services.prompt.prompt(mWindow, null, kWindowUI.submenuPrompt, input,
+        null, {})) {
+      return null;
+    }
+
+    return input.value.trim() || null;
+  }
+
+  /**
+   * Adds a submenu before the selected item at the top level.
+   */
+  function addSubmenu() {
+    let label = promptLabel(kWindowUI.newSubmenuLabel);
+
+    if (!label) {
+      return;
+    }
+
+    let row = getListBox().selectedItem;
+    let position = row && getPosition(row);
+    let index = position ? position[0] : mItems.length;
+
+    mItems.splice(index, 0, {
+      submenu: {
+        label,
+        items: []
+      }
+    });
+
+    buildList([index]);
+  }
+
+  function renameSubmenu() {
+    let item = getSelectedSubmenu();
+
+    if (!item) {
+      return;
+    }
+
+    let label = promptLabel(item.submenu.label);
+
+    if (!label) {
+      return;
+    }
+
+    item.submenu.label = label;
+
+    buildList(getPositionOf(item));
+  }
+
+  /**
+   * Removes the selected submenu and puts its items at the top level.
+   */
+  function removeSubmenu() {
+    let item = getSelectedSubmenu();
+
+    if (!item) {
+      return;
+    }
+
+    let index = mItems.indexOf(item);
+
+    mItems.splice(index, 1, ...item.submenu.items);
+
+    buildList([index]);
+  }
+
+  return {
+    open
+  };
+}
+
+/**
+ * Entry point
+ */
+MenuLayout_init();
+
+
+})(this);
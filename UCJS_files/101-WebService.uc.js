@@ -27,6 +27,9 @@ const {
   getModule,
   getFirstNodeByXPath: $X1,
   openTab,
+  promiseOpenTab,
+  URLUtil,
+  Template,
   // Log to console for debug.
   logMessage: log
 } = window.ucjsUtil;
@@ -42,7 +45,7 @@ const {
  * @key URL {string}
  *   A URL string of a web service.
  *   @note Pass the data with alias.
- *   @see |AliasFixup|
+ *   @see |ucjsUtil::Template|
  * @key form {hash} [optional for only 'open' type]
  *   @key form {XPath of <form>}
  *   @key input {XPath of <input>}
@@ -92,69 +95,6 @@ const kPresets = [
   }
 ];
 
-/**
- * Handler of fixing up an alias with the data.
- *
- * @return {hash}
- *   @key create {function}
- *
- * [aliases]
- * %RAW% : The data itself.
- * %ENC% : With URI encoded.
- * %SCHEMELESS%, %sl% : Without the URL scheme.
- * %PARAMLESS%, %pl% : Without the URL parameter.
- *
- * @note Aliases can be combined by '|';
- * e.g. %SCHEMELESS|ENC% : A data that is trimmed the scheme and then URI
- * encoded (the multiple aliases is applied in the order of settings).
- */
-const AliasFixup = (function() {
-  const kAliasSplitter = '|';
-  const kAliasPattern = RegExp('%([a-z_' + kAliasSplitter + ']+)%', 'ig');
-
-  function create(aText, aData) {
-    let dataArray = !Array.isArray(aData) ? [aData] : aData.slice();
-
-    return aText.replace(kAliasPattern, (match, alias) => {
-      if (!dataArray.length) {
-        return match;
-      }
-
-      let data = dataArray.shift() + '';
-
-      alias.split(kAliasSplitter).forEach((modifier) => {
-        data = fixupModifier(data, modifier);
-      });
-
-      return data;
-    });
-  }
-
-  function fixupModifier(aData, aModifier) {
-    switch (aModifier) {
-      case 'SCHEMELESS':
-      case 'sl':
-        return aData.replace(/^https?:\/\//, '');
-
-      case 'PARAMLESS':
-      case 'pl':
-        return aData.replace(/[?#].*$/, '');
-
-      case 'ENC':
-        return encodeURIComponent(aData);
-
-      case 'RAW':
-        return aData;
-    }
-
-    return '';
-  }
-
-  return {
-    create
-  };
-})();
-
 /**
  * XMLHttpRequest handler.
  */
@@ -171,7 +111,7 @@ const RequestHandler = (function() {
     update(aURL) {
       // @note No error checks due to supposing that |URL| of an item of
       // |kPreset| is valid.
-      let host = (/^https?:\/\/([^\/]+)/.exec(aURL))[1];
+      let host = URLUtil.getHost(aURL);
 
       let lastRequestTime = this.mRequestTimeList[host] || 0;
       let requestTime = Date.now();
@@ -215,6 +155,12 @@ const RequestHandler = (function() {
  *     Options for a new tab.
  *     @see |ucjsUtil::openTab|
  *     e.g. |tabOption: {inBackground: true}| opens tab in background.
+ *     @note The options of |ucjsUtil::promiseTabReady| are also available
+ *     when the preset has a form.
+ * @return {Promise}
+ *   onResolve: {Element|null}
+ *     The opened tab, or null if failed.
+ *   @note The form of the preset is filled in after the document is parsed.
  *
  * @usage window.ucjsWebService.open(aParams);
  */
@@ -222,19 +168,29 @@ function open(aParams) {
   let result = getResult(aParams, 'open');
 
   if (!result) {
-    return;
+    return Promise.resolve(null);
   }
 
-  let tab = openTab(result.URL, result.tabOption);
-
-  // TODO: Observe the document loaded to manage a form.
-  // WORKAROUND:
-  // 1.Uses an easy delay for a selected tab.
-  // 2.The URL is just only opened for a background tab.
-  // XXX: I'm unwilling to handle an observer for this.
-  if (tab.selected && result.form) {
-    setTimeout(inputAndSubmit, 500, result.form, result.data);
+  if (!result.form) {
+    return Promise.resolve(openTab(result.URL, result.tabOption));
   }
+
+  // Fill in the form after the document is parsed, also in a background tab.
+  let option = Object.assign({}, result.tabOption, {
+    readyState: 'DOMContentLoaded'
+  });
+
+  return promiseOpenTab(result.URL, option).then((aTab) => {
+    inputAndSubmit(result.form, result.data,
+      aTab.linkedBrowser.contentDocument);
+
+    return aTab;
+  }).
+  catch((aError) => {
+    log('open: ' + aError.message);
+
+    return null;
+  });
 }
 
 /**
@@ -327,15 +283,15 @@ function evaluate(aParams, aPreset) {
   }
 
   if (result.data) {
-    result.URL = AliasFixup.create(result.URL, result.data);
+    result.URL = Template.expand(result.URL, result.data);
   }
 
   return result;
 }
 
-function inputAndSubmit(aForm, aData) {
-  let form = $X1(aForm.form),
-      input = $X1(aForm.input);
+function inputAndSubmit(aForm, aData, aDocument) {
+  let form = $X1(aForm.form, aDocument),
+      input = $X1(aForm.input, aDocument);
 
   if (form && input) {
     input.value = aData;
@@ -45,6 +45,7 @@ const {
   getSelectionAtCursor,
   resolveURL,
   openTab,
+  createSettings,
   // Log to console for debug.
   logMessage: log
 } = window.ucjsUtil;
@@ -55,10 +56,48 @@ const {
   },
   StatusField: {
     setOverLink,
-    showMessage: updateStatusText
+    showMessage,
+    MessagePriority
   }
 } = window.ucjsUI;
 
+/**
+ * Preferences
+ *
+ * @note The values can be changed in the preferences 'ucjs.MouseGesture.*'.
+ * @see |ucjsUtil::createSettings|
+ */
+const kPref = createSettings('MouseGesture', {
+  // The minimum distance of movement for the gesture is detected.
+  tolerance: {
+    type: 'integer',
+    default: 10,
+    min: 1,
+    description: 'Minimum distance of a gesture movement (pixels)'
+  },
+
+  // The margin of cancelling a gesture.
+  //
+  // @note Including the width of a scrollbar.
+  // @note 16 pixels is the scrollbar width of my Fx.
+  margin: {
+    type: 'integer',
+    default: 16,
+    min: 0,
+    description: 'Margin of the content area to cancel a gesture (pixels)'
+  },
+
+  // Max length of the chain of a gesture.
+  //
+  // @note The chain consists of directions and wheel rotations.
+  maxChainLength: {
+    type: 'integer',
+    default: 10,
+    min: 1,
+    description: 'Max length of the chain of a gesture'
+  }
+}).values;
+
 /**
  * Gesture signs for |kGestureSet|.
  */
@@ -849,15 +888,6 @@ function MouseEventManager() {
  * TODO: Show some clear sign to the user that a quickshot has fired.
  */
 function GestureManager() {
-  /**
-   * Max length of the chain of a gesture.
-   *
-   * @value {integer}
-   *
-   * @note The chain consists of directions and wheel rotations.
-   */
-  const kMaxChainLength = 10;
-
   let mTracer = GestureTracer();
   let mKey, mChain;
   let mDragType, mDragData;
@@ -1012,7 +1042,7 @@ function GestureManager() {
       if (!length || mChain[length - 1] !== gesture) {
         mChain.push(gesture);
 
-        if (length + 1 > kMaxChainLength) {
+        if (length + 1 > kPref.maxChainLength) {
           mError = 'Too long';
         }
 
@@ -1184,6 +1214,19 @@ function GestureManager() {
     updateStatusText('');
   }
 
+  /**
+   * Shows the status text over the link status while a gesture.
+   *
+   * @param aText {string}
+   *   @note An empty text clears the status text.
+   */
+  function updateStatusText(aText) {
+    showMessage(aText, {
+      source: 'MouseGesture',
+      priority: MessagePriority.HIGH
+    });
+  }
+
   function makeStatusText() {
     const kFormat = ['Gesture: %GESTURE%', ' (%NAME%)', ' [%ERROR%!]'];
 
@@ -1219,11 +1262,6 @@ function GestureManager() {
  *   @key update {function}
  */
 function GestureTracer() {
-  // The minimum distance of movement for the gesture is detected.
-  //
-  // @value {integer} [pixels > 0]
-  const kTolerance = 10;
-
   let mLastX, mLastY;
 
   // Initialize the state.
@@ -1245,7 +1283,9 @@ function GestureTracer() {
 
     let toward = {x: 0, y: 0};
 
-    if (kTolerance < dx || kTolerance < dy) {
+    let tolerance = kPref.tolerance;
+
+    if (tolerance < dx || tolerance < dy) {
       if (dy < dx) {
         toward.x = (x < mLastX) ? -1 : 1;
       }
@@ -1271,12 +1311,7 @@ function GestureTracer() {
  * Helper functions.
  */
 function inGestureArea(aEvent) {
-  // The margin of cancelling a gesture.
-  //
-  // @value {integer} [pixels > 0]
-  // @note Including the width of a scrollbar.
-  // @note 16 pixels is the scrollbar width of my Fx.
-  const kMargin = 16;
+  let margin = kPref.margin;
 
   // Get the coordinates of the event relative to the content area.
   // @note |aEvent.clientX/Y| are not reliable here. Because they return the
@@ -1290,8 +1325,8 @@ function inGestureArea(aEvent) {
   x -= left;
   y -= top;
 
-  return kMargin < x && x < (width - kMargin) &&
-         kMargin < y && y < (height - kMargin);
+  return margin < x && x < (width - margin) &&
+         margin < y && y < (height - margin);
 }
 
 function inEditable(aEvent) {
@@ -29,6 +29,7 @@ const {
   addEvent,
   unescapeURLForUI,
   resolveURL,
+  createSettings,
   // Log to console for debug.
   logMessage: log
 } = window.ucjsUtil;
@@ -39,33 +40,45 @@ function $E(aTagOrNode, aAttribute) {
 
 /**
  * Preference
+ *
+ * @note The values can be changed in the preferences 'ucjs.TooltipEx.*'.
+ * @see |ucjsUtil::createSettings|
  */
-const kPref = {
+const kPref = createSettings('TooltipEx', {
   /**
    * Max number of characters in a line.
    *
-   * @value {integer} [>0]
-   *
    * @note 'max-width' of a text container is set to this value by 'em'.
    */
-  maxWidth: 40,
+  maxWidth: {
+    type: 'integer',
+    default: 40,
+    min: 1,
+    description: 'Max number of characters in a line'
+  },
 
   /**
    * Number of lines in the visible portion of a long text being cropped.
    *
-   * @value {integer} [>0]
-   *
    * @note Applied to a long URL with 'javascript:' or 'data:' scheme.
    */
-  maxNumWrapLinesWhenCropped: 2,
+  maxNumWrapLinesWhenCropped: {
+    type: 'integer',
+    default: 2,
+    min: 1,
+    description: 'Number of lines of a cropped long text'
+  },
 
   /**
    * Max number of wrap lines of a long text in a sub tooltip.
-   *
-   * @value {integer} [>0]
    */
-  maxNumWrapLinesOfSubTooltip: 20
-};
+  maxNumWrapLinesOfSubTooltip: {
+    type: 'integer',
+    default: 20,
+    min: 1,
+    description: 'Max number of lines in a sub tooltip'
+  }
+}).values;
 
 /**
  * Attribute names for the informations of an element.
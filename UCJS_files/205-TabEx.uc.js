@@ -36,7 +36,9 @@ const {
   addEvent,
   openTab,
   removeTab,
-  promisePlacesDBResult,
+  PlacesQuery,
+  createSettings,
+  registerCommand,
   // Log to console for debug.
   logMessage: log
 } = window.ucjsUtil;
@@ -130,67 +132,138 @@ const kPosType = {
 
 /**
  * Preference
+ *
+ * @note The values can be changed in the preferences 'ucjs.TabEx.*'.
+ * @see |ucjsUtil::createSettings|
  */
-const kPref = {
-  // Where a new tab is opened to.
-  //
-  // @value {kPosType}
-  // @note The count of positioning starts from the first *unpinned* tab.
-  // @note |OPENPOS_LINKED| works when the tab is opened by a link or |addTab|
-  // with |relatedToCurrent| option, otherwise |OPENPOS_UNLINKED| works.
-  OPENPOS_LINKED:    kPosType.NEXT_INCREMENT_DESCENDANT,
-  OPENPOS_UNLINKED:  kPosType.LAST_END,
-
-  // @note |DEFAULT| opens a tab at the last position.
-  OPENPOS_DUPLICATE: kPosType.NEXT_ADJACENT,
-  // @note |DEFAULT| reopens a tab at the same position where it closed.
-  OPENPOS_UNDOCLOSE: kPosType.DEFAULT,
-
-  // Which tab is selected after the *selected* tab is closed.
-  //
-  // @value {kPosType[]}
-  // @note The Firefox default selection works if no matches (may be the same
-  // as |PREV_ADJACENT|).
-  SELECTPOS_TABCLOSE: [
-    kPosType.NEXT_ADJACENT_EXTENDED_DESCENDANT,
-    kPosType.PREV_ADJACENT_ANCESTOR,
-    kPosType.ANYWHERE_OPENER,
-    kPosType.ANYWHERE_PREV_SELECTED,
-    kPosType.FIRST_END
-  ],
-  // For closing of a selected pinned tab.
-  SELECTPOS_PINNEDTABCLOSE: [
-    kPosType.PREV_ADJACENT
-  ],
-
-  // Delayed-stops the loading of a tab that is opened in background.
-  //
-  // @value {boolean}
-  //   true: Stops the loading of the tab after |SUSPEND_DELAY| passes.
-  //   false: The same as the native behavior for a background tab.
-  SUSPEND_LOADING: true,
-
-  // The delay time until the loading is suspended.
-  //
-  // @value {integer} [millisecond]
-  //   0: Try to stop loading immediately.
-  //   @note It may take time because our processing works after the native
-  //   process for a background tab.
-  SUSPEND_DELAY: 0,
-
-  // Auto-reloads the suspended tab in the next adjacent of a selected tab.
-  //
-  // @value {boolean}
-  SUSPEND_NEXTTAB_RELOAD: false,
-
-  // The delay time until it considers that "a user has read it" after the tab
-  // is selected and loaded completely.
-  //
-  // @value {integer} [millisecond]
-  // @note The marking is cancelled when the other tab is selected in a short
-  // time (e.g. while flipping tabs with a shortcut key or mouse wheeling).
-  SELECTED_DELAY: 1000
-};
+const kPref = createSettings('TabEx', (function() {
+  let posChoices = (aNames) =>
+    aNames.map((name) => ({value: kPosType[name], label: name}));
+
+  const kOpenPosChoices = posChoices([
+    'DEFAULT', 'FIRST_END', 'LAST_END', 'PREV_ADJACENT', 'NEXT_ADJACENT',
+    'NEXT_INCREMENT_DESCENDANT'
+  ]);
+
+  const kSelectPosChoices = posChoices([
+    'FIRST_END', 'LAST_END', 'PREV_ADJACENT', 'NEXT_ADJACENT',
+    'PREV_ADJACENT_ANCESTOR', 'NEXT_ADJACENT_EXTENDED_DESCENDANT',
+    'ANYWHERE_OPENER', 'ANYWHERE_PREV_SELECTED', 'ANYWHERE_OLDEST_UNREAD'
+  ]);
+
+  return {
+    // Where a new tab is opened to.
+    //
+    // @value {kPosType}
+    // @note The count of positioning starts from the first *unpinned* tab.
+    // @note |OPENPOS_LINKED| works when the tab is opened by a link or
+    // |addTab| with |relatedToCurrent| option, otherwise |OPENPOS_UNLINKED|
+    // works.
+    OPENPOS_LINKED: {
+      type: 'integer',
+      default: kPosType.NEXT_INCREMENT_DESCENDANT,
+      choices: kOpenPosChoices,
+      description: 'Position of a tab opened from a link'
+    },
+    OPENPOS_UNLINKED: {
+      type: 'integer',
+      default: kPosType.LAST_END,
+      choices: kOpenPosChoices,
+      description: 'Position of a tab opened not from a link'
+    },
+
+    // @note |DEFAULT| opens a tab at the last position.
+    OPENPOS_DUPLICATE: {
+      type: 'integer',
+      default: kPosType.NEXT_ADJACENT,
+      choices: kOpenPosChoices,
+      description: 'Position of a duplicated tab'
+    },
+    // @note |DEFAULT| reopens a tab at the same position where it closed.
+    OPENPOS_UNDOCLOSE: {
+      type: 'integer',
+      default: kPosType.DEFAULT,
+      choices: kOpenPosChoices,
+      description: 'Position of a reopened closed tab'
+    },
+
+    // Which tab is selected after the *selected* tab is closed.
+    //
+    // @value {kPosType[]}
+    // @note The Firefox default selection works if no matches (may be the
+    // same as |PREV_ADJACENT|).
+    SELECTPOS_TABCLOSE: {
+      type: 'list',
+      itemType: 'integer',
+      default: [
+        kPosType.NEXT_ADJACENT_EXTENDED_DESCENDANT,
+        kPosType.PREV_ADJACENT_ANCESTOR,
+        kPosType.ANYWHERE_OPENER,
+        kPosType.ANYWHERE_PREV_SELECTED,
+        kPosType.FIRST_END
+      ],
+      choices: kSelectPosChoices,
+      description: 'Tabs to select after the selected tab is closed'
+    },
+    // For closing of a selected pinned tab.
+    SELECTPOS_PINNEDTABCLOSE: {
+      type: 'list',
+      itemType: 'integer',
+      default: [
+        kPosType.PREV_ADJACENT
+      ],
+      choices: kSelectPosChoices,
+      description: 'Tabs to select after the selected pinned tab is closed'
+    },
+
+    // Delayed-stops the loading of a tab that is opened in background.
+    //
+    // @value {boolean}
+    //   true: Stops the loading of the tab after |SUSPEND_DELAY| passes.
+    //   false: The same as the native behavior for a background tab.
+    SUSPEND_LOADING: {
+      type: 'boolean',
+      default: true,
+      description: 'Suspend the loading of a background tab'
+    },
+
+    // The delay time until the loading is suspended.
+    //
+    // @value {integer} [millisecond]
+    //   0: Try to stop loading immediately.
+    //   @note It may take time because our processing works after the native
+    //   process for a background tab.
+    SUSPEND_DELAY: {
+      type: 'integer',
+      default: 0,
+      min: 0,
+      description: 'Delay until the loading is suspended (ms)'
+    },
+
+    // Auto-reloads the suspended tab in the next adjacent of a selected tab.
+    //
+    // @value {boolean}
+    SUSPEND_NEXTTAB_RELOAD: {
+      type: 'boolean',
+      default: false,
+      description: 'Reload the suspended next tab of a selected tab'
+    },
+
+    // The delay time until it considers that "a user has read it" after the
+    // tab is selected and loaded completely.
+    //
+    // @value {integer} [millisecond]
+    // @note The marking is cancelled when the other tab is selected in a
+    // short time (e.g. while flipping tabs with a shortcut key or mouse
+    // wheeling).
+    SELECTED_DELAY: {
+      type: 'integer',
+      default: 1000,
+      min: 0,
+      description: 'Delay until a selected tab is marked as read (ms)'
+    }
+  };
+})()).values;
 
 /**
  * Makes a unique value with the current time.
@@ -636,26 +709,8 @@ const Referrer = {
       return Promise.resolve(null);
     }
 
-    // @see https://wiki.mozilla.org/Places:Design_Overview#Models
-    let sql = [
-      "SELECT p1.url",
-      "FROM moz_places p1",
-      "JOIN moz_historyvisits h1 ON h1.place_id = p1.id",
-      "JOIN moz_historyvisits h2 ON h2.from_visit = h1.id",
-      "JOIN moz_places p2 ON p2.id = h2.place_id",
-      "WHERE p2.url = :url",
-      "ORDER BY h1.visit_date DESC",
-      "LIMIT 1"
-    ].join(' ');
-
-    return promisePlacesDBResult({
-      sql,
-      params: {'url': aURL},
-      columns: ['url']
-    }).
     // Resolved with the URL, or null if no data.
-    // @note We ordered a single row.
-    then((aRows) => aRows ? aRows[0].url : null);
+    return PlacesQuery.getSourceURL(aURL);
   }
 };
 
@@ -1933,6 +1988,45 @@ function TabEx_init() {
   SessionStore.init();
   Startup.init();
   MovingTabObserver.init();
+
+  registerCommands();
+}
+
+/**
+ * Publishes the actions to the command palette.
+ */
+function registerCommands() {
+  [
+    {
+      id: 'closeReadTabs',
+      label: 'Close the read tabs',
+      description: 'Closes the tabs that have been read (excluding pinned)',
+      command: closeReadTabs
+    },
+    {
+      id: 'selectOldestUnreadTab',
+      label: 'Select the oldest unread tab',
+      isEnabled: () => !!getOldestUnreadTab(),
+      command: () => selectOldestUnreadTab()
+    },
+    {
+      id: 'selectOpenerTab',
+      label: 'Select the opener tab',
+      isEnabled: ({tab}) => !!getOpenerTab(tab),
+      command: ({tab}) => selectOpenerTab(tab)
+    },
+    {
+      id: 'selectPrevSelectedTab',
+      label: 'Select the previously selected tab',
+      isEnabled: ({tab}) => !!getPrevSelectedTab(tab),
+      command: ({tab}) => selectPrevSelectedTab(tab)
+    }
+  ].
+  forEach((aCommand) => {
+    aCommand.script = 'TabEx';
+
+    registerCommand(aCommand);
+  });
 }
 
 TabEx_init();
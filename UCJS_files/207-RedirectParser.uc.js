@@ -23,7 +23,6 @@ const {
   Prefs: {
     get: getPref
   },
-  getNodeById: $ID,
   unescapeURLCharacters: unescURLChars,
   unescapeURLForUI: unescURLforUI,
   // Log to console for debug.
@@ -37,6 +36,9 @@ function $E(aTag, aAttribute) {
 const {
   ContentArea: {
     contextMenu: contentAreaContextMenu
+  },
+  StatusField: {
+    registerRedirectors
   }
 } = window.ucjsUI;
 
@@ -76,6 +78,10 @@ const kPref = {
  *   @key replacement {string}
  *   @key description {string}
  * @key disabled {boolean} [optional]
+ *
+ * @note The presets with |link| are also used for the link hint in the status
+ * field.
+ * @see |ucjsUI::StatusField::registerRedirectors|
  */
 const kPreset = [
   {
@@ -101,6 +107,36 @@ const kPreset = [
         description: 'ページ URL'
       }
     ]
+  },
+  {
+    name: 'Google 検索結果',
+    link: /^https?:\/\/(?:www\.)?google\.[^\/]+\/url\?(?:.*&)?(?:url|q)=(https?[^&]+).*$/,
+    items: [
+      {
+        replacement: '$1',
+        description: 'リンク先 URL'
+      }
+    ]
+  },
+  {
+    name: 'YouTube リダイレクト',
+    link: /^https?:\/\/(?:www\.)?youtube\.com\/redirect\?(?:.*&)?q=([^&]+).*$/,
+    items: [
+      {
+        replacement: '$1',
+        description: 'リダイレクト先 URL'
+      }
+    ]
+  },
+  {
+    name: 'Facebook リダイレクト',
+    link: /^https?:\/\/l\.facebook\.com\/l\.php\?(?:.*&)?u=([^&]+).*$/,
+    items: [
+      {
+        replacement: '$1',
+        description: 'リダイレクト先 URL'
+      }
+    ]
   }
   //,
 ];
@@ -140,18 +176,29 @@ const kUI = {
 };
 
 function RedirectParser_init() {
-  contentAreaContextMenu.register({
-    events: [
-      ['popupshowing', onPopupShowing, false],
-      ['popuphiding', onPopupHiding, false]
-    ],
-
-    onCreate: createMenu
+  contentAreaContextMenu.registerEntry({
+    id: 'RedirectParser',
+    script: 'RedirectParser',
+    label: kUI.menu.label,
+    condition: 'link',
+    group: 'link',
+    build: createMenu
   });
+
+  registerRedirectors(kPreset);
 }
 
-function createMenu(aContextMenu) {
-  let refItem = $ID('context-sep-copylink');
+function createMenu(aContext) {
+  let items = buildParsedURLs({
+    sourceURL: {
+      link: aContext.linkURL,
+      image: aContext.mediaURL
+    }
+  });
+
+  if (!items) {
+    return null;
+  }
 
   let ui = kUI.menu;
   let menu = $E('menu', {
@@ -160,36 +207,9 @@ function createMenu(aContextMenu) {
     accesskey: ui.accesskey
   });
 
-  menu.appendChild($E('menupopup'));
-  aContextMenu.insertBefore(menu, refItem);
-}
-
-function onPopupShowing(aEvent) {
-  let contextMenu = aEvent.currentTarget;
-
-  if (aEvent.target === contextMenu) {
-    // @see chrome://browser/content/nsContextMenu.js
-    const {showItem, linkURL, mediaURL} = window.gContextMenu;
-
-    showItem($ID(kUI.menu.id), buildParsedURLs({
-      sourceURL: {
-        link: linkURL,
-        image: mediaURL
-      }
-    }));
-  }
-}
-
-function onPopupHiding(aEvent) {
-  let contextMenu = aEvent.currentTarget;
-
-  if (aEvent.target === contextMenu) {
-    let menu = $ID(kUI.menu.id);
+  menu.appendChild($E('menupopup')).appendChild(items);
 
-    while (menu.itemCount) {
-      menu.removeItemAt(0);
-    }
-  }
+  return menu;
 }
 
 function buildParsedURLs(aParam) {
@@ -197,7 +217,7 @@ function buildParsedURLs(aParam) {
 
   if (!sourceURL.link ||
       !/^https?:/i.test(sourceURL.link)) {
-    return false;
+    return null;
   }
 
   let parseList =
@@ -205,12 +225,10 @@ function buildParsedURLs(aParam) {
     getParseListByScan(sourceURL);
 
   if (parseList) {
-    makeMenuItems(parseList);
-
-    return true;
+    return makeMenuItems(parseList);
   }
 
-  return false;
+  return null;
 }
 
 function makeMenuItems(aParseList) {
@@ -309,7 +327,7 @@ function makeMenuItems(aParseList) {
     }));
   });
 
-  $ID(kUI.menu.id).menupopup.appendChild(fragment);
+  return fragment;
 }
 
 function testGeneralScheme(aURL) {
@@ -19,7 +19,7 @@
  * Imports
  */
 const {
-  getNodeById: $ID,
+  Template,
   // Log to console for debug.
   logMessage: log
 } = window.ucjsUtil;
@@ -41,15 +41,7 @@ const kUI = {
   menu: {
     warnParameter: '注意：パラメータ付 URL',
     openAll: 'すべて開く'
-  },
-
-  startSeparator: {
-    id: 'ucjs_PageRelated_startSeparator'
-  },
-
-  endSeparator: {
-    id: 'ucjs_PageRelated_endSeparator'
-  },
+  }
 };
 
 /**
@@ -64,7 +56,7 @@ const kUI = {
  *   @key URL {string}
  *     A URL string of a related page.
  *     @note Pass the current page information with alias.
- *     @see |AliasFixup|
+ *     @see |ucjsUtil::Template|
  *   @key URL {function} [optional for the custom formatting]
  *     @param aPageInfo {hash}
  *       @key URL {string}
@@ -145,123 +137,18 @@ const kPreset = [
   }
 ];
 
-/**
- * Handler of fixing up an alias with the page information.
- *
- * @return {hash}
- *   @key create {function}
- *
- * [aliases]
- * %URL%, %u% : A page URL.
- * %TITLE%, %t% : A page title.
- *
- * The modifiers can be combined by '|';
- * SCHEMELESS, sl : Without the URL scheme.
- * PARAMLESS, pl : Without the URL parameter.
- * ENCODE, en : With URI encoded.
- *
- * e.g.
- * %URL|ENCODE%, %u|en% : A page URL with URI encoded.
- * %URL|SCHEMELESS|ENCODE%, %u|sl|en% : A page URL, which is trimmed the scheme
- * and then URI encoded (the multiple modifiers is applied in the order of
- * settings).
- */
-const AliasFixup = (function() {
-  const kAliasSplitter = '|';
-  const kAliasPattern = RegExp('%([a-z_' + kAliasSplitter + ']+)%', 'ig');
-
-  function create(aText, aPageInfo) {
-    return aText.replace(kAliasPattern, (match, alias) => {
-      let keys = alias.split(kAliasSplitter);
-      let data = fixupTarget(keys.shift(), aPageInfo);
-
-      keys.forEach((modifier) => {
-        data = fixupModifier(data, modifier);
-      });
-
-      return data;
-    });
-  }
-
-  function fixupTarget(aTarget, aPageInfo) {
-    switch (aTarget) {
-      case 'URL':
-      case 'u':
-        return aPageInfo.URL;
-
-      case 'TITLE':
-      case 't':
-        return aPageInfo.title;
-    }
-
-    return '';
-  }
-
-  function fixupModifier(aText, aModifier) {
-    switch (aModifier) {
-      case 'SCHEMELESS':
-      case 'sl':
-        return aText.replace(/^https?:\/\//, '');
-
-      case 'PARAMLESS':
-      case 'pl':
-        return aText.replace(/[?#].*$/, '');
-
-      case 'ENCODE':
-      case 'en':
-        return encodeURIComponent(aText);
-    }
-
-    return '';
-  }
-
-  return {
-    create
-  };
-})();
-
 function PageRelated_init() {
-  URLBarContextMenu.register({
-    events: [
-      ['popupshowing', onPopupShowing, false]
-    ],
-
-    onCreate: createMenu
+  URLBarContextMenu.registerEntry({
+    id: 'PageRelated',
+    script: 'PageRelated',
+    label: 'Page related links',
+    // Allow only HTTP page.
+    condition: (aContext) => /^https?:/.test(aContext.pageURL),
+    group: 'page',
+    build: getAvailableMenus
   });
 }
 
-function createMenu(aContextMenu) {
-  setSeparators(aContextMenu);
-}
-
-function onPopupShowing(aEvent) {
-  let contextMenu = aEvent.currentTarget;
-
-  if (aEvent.target !== contextMenu) {
-    return;
-  }
-
-  let [sSep, eSep] = getSeparators();
-
-  // Remove existing menus.
-  for (let menu; (menu = sSep.nextSibling) !== eSep; /**/) {
-    contextMenu.removeChild(menu);
-  }
-
-  // Allow only HTTP page.
-  if (!/^https?$/.test(gBrowser.currentURI.scheme)) {
-    return;
-  }
-
-  let fragment = window.document.createDocumentFragment();
-
-  getAvailableMenus().forEach((menu) => {
-    fragment.appendChild(menu);
-  });
-
-  contextMenu.insertBefore(fragment, eSep);
-}
-
 function getAvailableMenus() {
   let menus = [];
 
@@ -302,7 +189,10 @@ function getAvailableMenus() {
         URL = data.URL;
       }
 
-      URL = AliasFixup.create(URL, pageInfo);
+      URL = Template.expand(URL, {
+        url: pageInfo.URL,
+        title: pageInfo.title
+      });
 
       popup.appendChild($E('menuitem', {
         label: data.name,
@@ -328,25 +218,6 @@ function getAvailableMenus() {
   return menus;
 }
 
-function setSeparators(aContextMenu) {
-  [
-    kUI.startSeparator,
-    kUI.endSeparator
-  ].
-  forEach((aSeparatorName) => {
-    aContextMenu.appendChild($E('menuseparator', {
-      id: aSeparatorName.id
-    }));
-  });
-}
-
-function getSeparators() {
-  return [
-    $ID(kUI.startSeparator.id),
-    $ID(kUI.endSeparator.id)
-  ];
-}
-
 /**
  * Callback function for |ucjsUtil.createNode|.
  */
@@ -298,14 +298,6 @@ const kUI = {
       openFTP:         'Open FTP in %1',
       noActions:       'No actions'
     }
-  },
-
-  startSeparator: {
-    id: 'ucjs_AppLauncher_startSeparator'
-  },
-
-  endSeparator: {
-    id: 'ucjs_AppLauncher_endSeparator'
   }
 };
 
@@ -411,17 +403,21 @@ function initAppList() {
 }
 
 function initMenu(aAppList) {
+  contentAreaContextMenu.registerEntry({
+    id: 'AppLauncher',
+    script: 'AppLauncher',
+    label: kUI.mainMenu.label,
+    group: 'tools',
+    build: () => makeMainMenu(aAppList)
+  });
+
   contentAreaContextMenu.register({
     events: [
       ['popupshowing', onPopupShowing, false],
       ['command', (aEvent) => {
         onCommand(aEvent, aAppList);
       }, false]
-    ],
-
-    onCreate: (aContextMenu) => {
-      makeMainMenu(aContextMenu, aAppList);
-    }
+    ]
   });
 }
 
@@ -449,7 +445,7 @@ function onCommand(aEvent, aAppList) {
   doAction(aAppList[appIndex], element.getAttribute(kDataKey.action));
 }
 
-function makeMainMenu(aContextMenu, aAppList) {
+function makeMainMenu(aAppList) {
   let menu = $E('menu', {
     id: kUI.mainMenu.id,
     label: kUI.mainMenu.label,
@@ -463,9 +459,7 @@ function makeMainMenu(aContextMenu, aAppList) {
 
   menu.appendChild(popup);
 
-  addSeparator(aContextMenu, kUI.startSeparator.id);
-  aContextMenu.appendChild(menu);
-  addSeparator(aContextMenu, kUI.endSeparator.id);
+  return menu;
 }
 
 function makeAppMenu(aPopup, aAppList) {
@@ -574,10 +568,8 @@ function makeMenuItemLabel({app, action, inAppMenu}) {
   return label;
 }
 
-function addSeparator(aPopup, aID) {
-  return aPopup.appendChild($E('menuseparator', {
-    id: aID
-  }));
+function addSeparator(aPopup) {
+  return aPopup.appendChild($E('menuseparator'));
 }
 
 function doBrowse(aPopup) {
@@ -1127,7 +1119,7 @@ function warn(aTitle, aMessage) {
   }
 
   let caller = Components.stack.caller;
-  let output = log(['Error: ' + aTitle, aMessage.join('\n')], caller);
+  let output = log.error(['Error: ' + aTitle, aMessage.join('\n')], caller);
 
   if (output.length > kMaxOutputLength) {
     output = output.substr(0, kMaxOutputLength);
@@ -1143,13 +1135,10 @@ function getModule(aResourceURL) {
   return window.ucjsUtil.getModule(aResourceURL);
 }
 
-function log(aMessage, aCaller) {
-  if (!aCaller) {
-    aCaller = Components.stack.caller;
-  }
-
-  return window.ucjsUtil.logMessage(aMessage, aCaller);
-}
+/**
+ * Logger of this script.
+ */
+const log = window.ucjsUtil.createLogger('AppLauncher.uc.js');
 
 /**
  * Export
@@ -23,7 +23,7 @@ const {
   getModule,
   getNodeById: $ID,
   addEvent,
-  promisePlacesDBResult,
+  PlacesQuery,
   // Log to console for debug.
   logMessage: log
 } = window.ucjsUtil;
@@ -128,14 +128,6 @@ const kUI = {
 
   tooltip: {
     id: 'ucjs_ListEx_tooltip'
-  },
-
-  startSeparator: {
-    id: 'ucjs_ListEx_startSeparator'
-  },
-
-  endSeparator: {
-    id: 'ucjs_ListEx_endSeparator'
   }
 };
 
@@ -156,34 +148,35 @@ const kDataKey = {
  */
 const MainMenu = (function() {
   function init() {
+    contentAreaContextMenu.registerEntry({
+      id: 'ListEx',
+      script: 'ListEx',
+      label: 'History/Opened/Closed lists',
+      condition: (aContext) =>
+        !aContext.link && !aContext.editable && !aContext.selection,
+      group: 'list',
+      build: createMenu
+    });
+
     contentAreaContextMenu.register({
       events: [
         ['popupshowing', onPopupShowing, false],
-        ['popuphiding', onPopupHiding, false],
         ['command', onCommand, false]
-      ],
-
-      onCreate: createMenu
+      ]
     });
 
     Tooltip.init();
   }
 
-  function createMenu(aContextMenu) {
-    let refItem = aContextMenu.firstChild;
-
-    function addSeparator(aSeparatorName) {
-      aContextMenu.insertBefore($E('menuseparator', {
-        id: aSeparatorName.id
-      }), refItem);
-    }
+  function createMenu() {
+    let fragment = window.document.createDocumentFragment();
 
     function addMenu(aMenuName) {
-      let menu = aContextMenu.insertBefore($E('menu', {
+      let menu = fragment.appendChild($E('menu', {
         id: aMenuName.id,
         label: aMenuName.label,
         accesskey: aMenuName.accesskey
-      }), refItem);
+      }));
 
       menu.appendChild($E('menupopup'));
     }
@@ -211,15 +204,13 @@ const MainMenu = (function() {
       ]
     };
 
-    addSeparator(kUI.startSeparator);
-
     for (let [menu, items] in Iterator(menuItems)) {
       if (items.some((item) => !!kPref.maxNumListItems[item])) {
         addMenu(kUI[menu]);
       }
     }
 
-    addSeparator(kUI.endSeparator);
+    return fragment;
   }
 
   function onPopupShowing(aEvent) {
@@ -227,62 +218,25 @@ const MainMenu = (function() {
     let contextMenu = aEvent.currentTarget;
 
     if (menupopup === contextMenu) {
-      // @see chrome://browser/content/nsContextMenu.js
-      const {gContextMenu} = window;
-
-      let hidden =
-        gContextMenu.onLink ||
-        gContextMenu.onTextInput ||
-        gContextMenu.isTextSelected;
-
-      [
-        kUI.historyMenu,
-        kUI.openedMenu,
-        kUI.closedMenu
-      ].
-      forEach((aMenuName) => {
-        gContextMenu.showItem(aMenuName.id, !hidden);
-      });
+      return;
     }
-    else {
-      let menu = menupopup.parentElement;
-
-      [
-        [kUI.historyMenu, HistoryList],
-        [kUI.openedMenu, OpenedList],
-        [kUI.closedMenu, ClosedList]
-      ].
-      some(([menuName, menuHandler]) => {
-        if (menu.id === menuName.id && !menu.itemCount) {
-          menuHandler.build(menupopup);
-
-          return true;
-        }
 
-        return false;
-      });
-    }
-  }
+    let menu = menupopup.parentElement;
 
-  function onPopupHiding(aEvent) {
-    let contextMenu = aEvent.currentTarget;
+    [
+      [kUI.historyMenu, HistoryList],
+      [kUI.openedMenu, OpenedList],
+      [kUI.closedMenu, ClosedList]
+    ].
+    some(([menuName, menuHandler]) => {
+      if (menu.id === menuName.id && !menu.itemCount) {
+        menuHandler.build(menupopup);
 
-    if (aEvent.target === contextMenu) {
-      [
-        kUI.historyMenu,
-        kUI.openedMenu,
-        kUI.closedMenu
-      ].
-      forEach((aMenuName) => {
-        let menu = $ID(aMenuName.id);
-
-        if (menu) {
-          while (menu.itemCount) {
-            menu.removeItemAt(0);
-          }
-        }
-      });
-    }
+        return true;
+      }
+
+      return false;
+    });
   }
 
   function onCommand(aEvent) {
@@ -365,53 +319,17 @@ const HistoryList = (function() {
    */
   const PlacesDB = (function() {
     function promiseRecentHistory() {
-      // Query history entries in thier visited date order from newest.
-      let sql = [
-        "SELECT p.title, p.url, h.visit_date time, f.url icon",
-        "FROM moz_places p",
-        "JOIN moz_historyvisits h ON p.id = h.place_id",
-        "LEFT JOIN moz_favicons f ON p.favicon_id = f.id",
-        "WHERE p.hidden = 0",
-        "GROUP BY p.id",
-        "ORDER BY h.visit_date DESC",
-        "LIMIT :limit"
-      ].join(' ');
-
       let maxNumItems = kPref.maxNumListItems.recentHistory;
 
-      // -1: All results will be returned.
-      let limit = (maxNumItems > 0) ? maxNumItems : -1;
-
-      return promisePlacesDBResult({
-        sql,
-        params: {'limit': limit},
-        columns: ['title', 'url', 'time', 'icon']
+      return PlacesQuery.getRecentHistory({
+        // -1: All results will be returned.
+        limit: (maxNumItems > 0) ? maxNumItems : -1
       });
     }
 
     function promiseTimeAndIcon(aURL) {
-      // Don't query schemes which are excluded from history in Places DB.
-      if (!/^(?:https?|ftp|file):/.test(aURL)) {
-        // Resolved with an empty hash.
-        return Promise.resolve({});
-      }
-
       // Query a newest item with the URL.
-      let sql = [
-        "SELECT h.visit_date time, f.url icon",
-        "FROM moz_places p",
-        "JOIN moz_historyvisits h ON p.id = h.place_id",
-        "LEFT JOIN moz_favicons f ON p.favicon_id = f.id",
-        "WHERE p.url = :url",
-        "ORDER BY h.visit_date DESC",
-        "LIMIT 1"
-      ].join(' ');
-
-      return promisePlacesDBResult({
-        sql,
-        params: {'url': aURL},
-        columns: ['time', 'icon']
-      }).
+      return PlacesQuery.getVisits(aURL, {limit: 1}).
       // Resolved with the hash including time and icon, or empty hash if no
       // data.
       // @note We ordered a single row.
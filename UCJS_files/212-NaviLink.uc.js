@@ -29,10 +29,12 @@ const ucjsNaviLink = (function(window, undefined) {
  */
 const {
   getModule,
-  getNodeById: $ID,
   getNodesBySelector: $S,
   getFirstNodeByXPath: $X1,
   openURL,
+  loadPage,
+  registerCommand,
+  URLUtil,
   unescapeURLCharacters: unescURLChars,
   // Log to console for debug.
   logMessage: log
@@ -245,14 +247,6 @@ const kUI = {
     label: 'Page Info'
   },
 
-  startSeparator: {
-    id: 'ucjs_NaviLink_startSeparator'
-  },
-
-  endSeparator: {
-    id: 'ucjs_NaviLink_endSeparator'
-  },
-
   items: {
     // Items of |SiblingNavi|.
     preset: '[%name%] %title%',
@@ -284,20 +278,30 @@ const kDataKey = {
  */
 const MenuUI = (function() {
   function init() {
+    URLBarContextMenu.registerEntry({
+      id: 'NaviLink',
+      script: 'NaviLink',
+      label: 'Navigation links',
+      group: 'navigation',
+      build: createMenu
+    });
+
     URLBarContextMenu.register({
       events: [
         ['click', onClick, false],
-        ['command', onCommand, false],
-        ['popupshowing', onPopupShowing, false],
-        ['popuphiding', onPopupHiding, false]
-      ],
-
-      onCreate: createMenu
+        ['command', onCommand, false]
+      ]
     });
   }
 
-  function createMenu(aContextMenu) {
-    setSeparators(aContextMenu);
+  function createMenu() {
+    return [
+      makeUpperNavi(),
+      makeSiblingNavi('prev'),
+      makeSiblingNavi('next'),
+      makeNaviLink(),
+      makePageInfo()
+    ];
   }
 
   function onClick(aEvent) {
@@ -387,71 +391,38 @@ const MenuUI = (function() {
     }
   }
 
-  function onPopupShowing(aEvent) {
-    let contextMenu = aEvent.currentTarget;
-
-    if (aEvent.target !== contextMenu) {
-      return;
-    }
-
-    Promise.all([
-      promiseUpperNavi(),
-      promiseSiblingNavi('prev'),
-      promiseSiblingNavi('next'),
-      promiseNaviLink(),
-      promisePageInfo()
-    ]).
-    catch(Cu.reportError);
-  }
-
-  function onPopupHiding(aEvent) {
-    let contextMenu = aEvent.currentTarget;
-
-    if (aEvent.target !== contextMenu) {
-      return;
-    }
-
-    let [sSep, eSep] = getSeparators();
-
-    // Remove existing items.
-    for (let item; (item = sSep.nextSibling) !== eSep; /**/) {
-      contextMenu.removeChild(item);
-    }
-  }
-
   /**
-   * Create a promise object for building menu items asynchronously.
+   * Makes a menu item with a builder.
+   *
+   * @param aPlaceholder {Element}
+   *   The item that is put instead when nothing is built.
+   * @param aBuilder {function}
+   * @return {Element}
    */
-  function createPromiseBuild(aPlaceholder, aBuilder) {
-    let contextMenu = URLBarContextMenu.get();
-    let [, eSep] = getSeparators();
-
-    contextMenu.insertBefore(aPlaceholder, eSep);
-
-    return new Promise(() => {
-      if (contextMenu.state !== 'showing' && contextMenu.state !== 'open') {
-        return;
-      }
+  function makeItem(aPlaceholder, aBuilder) {
+    let item = null;
 
-      let item = aBuilder();
+    try {
+      item = aBuilder();
+    }
+    catch (ex) {
+      Cu.reportError(ex);
+    }
 
-      if (item) {
-        contextMenu.replaceChild(item, aPlaceholder);
-      }
-    });
+    return item || aPlaceholder;
   }
 
   /**
    * UpperNavi builder.
    */
-  function promiseUpperNavi() {
+  function makeUpperNavi() {
     let placeholder = $E('menu', {
       id: kUI.upper.id,
       label: kUI.upper.label,
       disabled: true
     });
 
-    return createPromiseBuild(placeholder, buildUpperNavi);
+    return makeItem(placeholder, buildUpperNavi);
   }
 
   function buildUpperNavi() {
@@ -484,13 +455,13 @@ const MenuUI = (function() {
   /**
    * SiblingNavi builder.
    */
-  function promiseSiblingNavi(aDirection) {
+  function makeSiblingNavi(aDirection) {
     let placeholder = $E('menuitem', {
       id: kUI[aDirection].id,
       hidden: true
     });
 
-    return createPromiseBuild(placeholder, () => buildSiblingNavi(aDirection));
+    return makeItem(placeholder, () => buildSiblingNavi(aDirection));
   }
 
   function buildSiblingNavi(aDirection) {
@@ -553,14 +524,14 @@ const MenuUI = (function() {
   /**
    * NaviLink builder.
    */
-  function promiseNaviLink() {
+  function makeNaviLink() {
     let placeholder = $E('menu', {
       id: kUI.naviLink.id,
       label: kUI.naviLink.label,
       disabled: true
     });
 
-    return createPromiseBuild(placeholder, buildNaviLink);
+    return makeItem(placeholder, buildNaviLink);
   }
 
   function buildNaviLink() {
@@ -647,14 +618,14 @@ const MenuUI = (function() {
   /**
    * PageInfo builder.
    */
-  function promisePageInfo() {
+  function makePageInfo() {
     let placeholder = $E('menu', {
       id: kUI.pageInfo.id,
       label: kUI.pageInfo.label,
       disabled: true
     });
 
-    return createPromiseBuild(placeholder, buildPageInfo);
+    return makeItem(placeholder, buildPageInfo);
   }
 
   function buildPageInfo() {
@@ -900,28 +871,6 @@ const MenuUI = (function() {
     return aScore.toFixed(3);
   }
 
-  /**
-   * Get/Set the menu separators.
-   */
-  function setSeparators(aContextMenu) {
-    [
-      kUI.startSeparator,
-      kUI.endSeparator
-    ].
-    forEach((aSeparatorName) => {
-      aContextMenu.appendChild($E('menuseparator', {
-        id: aSeparatorName.id
-      }));
-    });
-  }
-
-  function getSeparators() {
-    return [
-      $ID(kUI.startSeparator.id),
-      $ID(kUI.endSeparator.id)
-    ];
-  }
-
   /**
    * Expose
    */
@@ -2418,22 +2367,26 @@ const URIUtil = (function() {
   }
 
   function createURI(aURI, aOption = {}) {
-    // @note Returns a valid |nsIURI| object since we always pass a valid
-    // |aURI| for now.
-    let URI = makeNSIURI(aURI);
+    // Reform our custom URI object.
+    // TODO: Test by some reliable method.
+    if (!(aURI instanceof Ci.nsIURI) && aURI.spec) {
+      aURI = aURI.spec;
+    }
 
-    let {scheme, prePath, path, spec} = URI;
-    let noHashSpec = trimHash(spec);
-    let host = getHost(URI);
-    let baseDomain = getBaseDomain(prePath, host);
+    // @note Returns a valid object since we always pass a valid |aURI| for
+    // now.
+    let {scheme, prePath, path, spec} = URLUtil.parse(aURI);
+    let noHashSpec = URLUtil.trimHash(spec);
+    let host = URLUtil.getHost(aURI);
+    let baseDomain = URLUtil.getBaseDomain(aURI);
 
     if (aOption.search === false) {
-      path = trimSearch(path);
-      spec = trimSearch(spec);
+      path = URLUtil.trimSearch(path);
+      spec = URLUtil.trimSearch(spec);
     }
     else if (aOption.hash === false) {
-      path = trimHash(path);
-      spec = trimHash(spec);
+      path = URLUtil.trimHash(path);
+      spec = URLUtil.trimHash(spec);
     }
 
     return {
@@ -2444,7 +2397,7 @@ const URIUtil = (function() {
       path,
       spec,
       hasPath: hasPath.bind(null, path),
-      isSamePage: isSamePage.bind(null, noHashSpec),
+      isSamePage: URLUtil.isSamePage.bind(null, noHashSpec),
       isSameBaseDomain: isSameBaseDomain.bind(null, baseDomain)
     };
   }
@@ -2456,111 +2409,12 @@ const URIUtil = (function() {
     return aPath !== '/';
   }
 
-  function isSamePage(aNoHashSpec, aTargetURL) {
-    if (!aTargetURL) {
-      return false;
-    }
-
-    return trimHash(aTargetURL) === aNoHashSpec;
-  }
-
   function isSameBaseDomain(aBaseDomain, aTargetURL) {
     if (!aTargetURL) {
       return false;
     }
 
-    return getBaseDomain(aTargetURL) === aBaseDomain;
-  }
-
-  /**
-   * Helper functions.
-   */
-  function trimSearch(aURL) {
-    return aURL.replace(/[?#].*$/, '');
-  }
-
-  function trimHash(aURL) {
-    return aURL.replace(/#.*$/, '');
-  }
-
-  function makeNSIURI(aURL) {
-    if (aURL instanceof Ci.nsIURI) {
-      return aURL;
-    }
-
-    // Reform our custom URI object.
-    // TODO: Test by some reliable method.
-    if (aURL.spec) {
-      aURL = aURL.spec;
-    }
-
-    try {
-      // @see chrome://global/content/contentAreaUtils.js::makeURI
-      return window.makeURI(aURL);
-    }
-    catch (ex) {}
-
-    return null;
-  }
-
-  function getHost(aURI) {
-    if (!aURI || /^file:/.test(aURI.prePath)) {
-      return '';
-    }
-
-    try {
-      return aURI.host;
-    }
-    catch (ex) {}
-
-    return aURI.prePath.
-      match(/^(?:[a-z]+:\/\/)?(?:[^\/]+@)?\[?(.+?)\]?(?::\d+)?$/)[1];
-  }
-
-  function getBaseDomain(aURL, aHost) {
-    if (!aURL || /^file:/.test(aURL)) {
-      return '';
-    }
-
-    if (!aHost) {
-      aHost = getHost(makeNSIURI(aURL));
-
-      if (!aHost) {
-        return '';
-      }
-    }
-
-    /**
-     * WORKAROUND: |nsIEffectiveTLDService::getBaseDomain| returns a wrong
-     * value for some hosts.
-     *
-     * For http://gitbookio.github.io/javascript/
-     * Expected;
-     *   base domain = github.io
-     *   public suffix = io
-     * Actual;
-     *   base domain = gitbookio.github.io
-     *   public suffix = github.io
-     */
-    const kBadBaseDomains = [
-      'github.io'
-    ];
-
-    for (let item of kBadBaseDomains) {
-      if (aHost.endsWith(item)) {
-        return item;
-      }
-    }
-
-    try {
-      // @note |getBaseDomain| returns a value in ACE format for IDN.
-      return Cc['@mozilla.org/network/idn-service;1'].
-        getService(Ci.nsIIDNService).
-        convertACEtoUTF8(Services.eTLD.getBaseDomainFromHost(aHost));
-    }
-    catch (ex) {}
-
-    return aHost;
+    return URLUtil.getBaseDomain(aTargetURL) === aBaseDomain;
   }
 
   /**
@@ -2653,6 +2507,29 @@ function warn(aMessage) {
  */
 function NaviLink_init() {
   MenuUI.init();
+
+  registerCommands();
+}
+
+/**
+ * Publishes the navigations to the command palette.
+ */
+function registerCommands() {
+  [
+    ['loadPrevPage', 'Load the previous page', SiblingNavi.getPrev],
+    ['loadNextPage', 'Load the next page', SiblingNavi.getNext],
+    ['loadParentPage', 'Load the parent page', UpperNavi.getParent],
+    ['loadTopPage', 'Load the top page', UpperNavi.getTop]
+  ].
+  forEach(([id, label, getURL]) => {
+    registerCommand({
+      id,
+      script: 'NaviLink',
+      label,
+      isEnabled: () => !!getURL(),
+      command: () => loadPage(getURL())
+    });
+  });
 }
 
 NaviLink_init();
@@ -31,6 +31,7 @@ const {
   getFirstNodeBySelector: $S1,
   addEvent,
   setContentStyleSheet,
+  URLUtil,
   // Log to console for debug.
   logMessage: log
 } = window.ucjsUtil;
@@ -633,25 +634,20 @@ const URLFilter = (function() {
   /**
    * Get a URL being converted its TLD with a string 'tld'.
    *
-   * TODO: Fix a wrong detection of the TLD for a specific host.
-   * @note |getPublicSuffix| returns a wrong value for '*.github.io'.
-   * But for now, there is no 'github.io' in URL filters and no workaround for
-   * fixing it.
-   * @see NaviLink.uc.js::getBaseDomain
+   * @note The public suffix is in ACE (punycode) for IDN, so the host is
+   * also converted.
    */
   function getTLDURL(aURL) {
-    try {
-      // @see chrome://global/content/contentAreaUtils.js::makeURI
-      let uri = window.makeURI(aURL);
-      let tld = Services.eTLD.getPublicSuffix(uri);
-
-      uri.host = uri.host.slice(0, -tld.length) + 'tld';
+    let URL = URLUtil.parse(aURL);
+    let tld = URLUtil.getPublicSuffix(aURL);
 
-      return uri.spec;
+    if (!URL || !tld) {
+      return aURL;
     }
-    catch (ex) {}
 
-    return aURL;
+    let host = URL.asciiHost.slice(0, -tld.length) + 'tld';
+
+    return URL.asciiSpec.replace(URL.asciiHost, host);
   }
 
   return {
@@ -28,6 +28,7 @@ const {
   getNodeById: $ID,
   getNodesByXPath: $X,
   setChromeStyleSheet: setCSS,
+  createSettings,
   // Log to console for debug.
   logMessage: log
 } = window.ucjsUtil;
@@ -48,41 +49,59 @@ const kUI = {
 
 /**
  * Preferences
+ *
+ * @note The values can be changed in the preferences
+ * 'ucjs.FindAgainScroller.*', and applied live.
+ * @see |ucjsUtil::createSettings|
  */
-const kPref = {
+const Settings = createSettings('FindAgainScroller', {
   /**
    * Skip a found text that a user can not see.
-   *
-   * @value {boolean}
    */
-  skipInvisible: true,
+  skipInvisible: {
+    type: 'boolean',
+    default: true,
+    description: 'Skip a found text that is invisible'
+  },
 
   /**
    * Center a found text horizontally.
-   *
-   * @value {boolean}
    */
-  horizontalCentered: true,
+  horizontalCentered: {
+    type: 'boolean',
+    default: true,
+    description: 'Center a found text horizontally'
+  },
 
   /**
    * Scroll smoothly to a found text.
-   *
-   * @value {boolean}
    */
-  smoothScroll: true,
+  smoothScroll: {
+    type: 'boolean',
+    default: true,
+    description: 'Scroll smoothly to a found text'
+  },
 
   /**
    * Highlight a found text.
-   *
-   * @value {boolean}
    */
-  foundHighlight: true
-};
+  foundHighlight: {
+    type: 'boolean',
+    default: true,
+    description: 'Highlight a found text'
+  }
+});
+
+const kPref = Settings.values;
 
 /**
  * Wrapper of the finder of the current tab.
  *
  * @see resource://gre/modules/Finder.jsm
+ *
+ * @note The current match of the pattern find of multiple terms or a regular
+ * expression is given by |ucjsUI::FindBar.getFoundRange| instead of the
+ * native finder in the pattern mode.
  */
 const TextFinder = {
   get finder() {
@@ -90,6 +109,10 @@ const TextFinder = {
   },
 
   get isResultFound() {
+    if (FindBar.isPatternMode()) {
+      return !!FindBar.getFoundRange();
+    }
+
     let {foundEditable, currentWindow} = this.finder._fastFind;
 
     return !!(foundEditable || currentWindow);
@@ -118,6 +141,10 @@ const TextFinder = {
   },
 
   get selectionRange() {
+    if (FindBar.isPatternMode()) {
+      return FindBar.getFoundRange();
+    }
+
     let selectionController = this.selectionController;
 
     if (selectionController) {
@@ -167,10 +194,27 @@ const FindAgainCommand = (function() {
   let mScrollObserver = ScrollObserver();
 
   // Optional functions.
-  let mSkipInvisible = kPref.skipInvisible && SkipInvisible();
-  let mHCentered = kPref.horizontalCentered && HorizontalCentered();
-  let mSmoothScroll = kPref.smoothScroll && SmoothScroll();
-  let mFoundHighlight = kPref.foundHighlight && FoundHighlight();
+  let mSkipInvisible, mHCentered, mSmoothScroll, mFoundHighlight;
+
+  updateOptions();
+
+  // Apply the change of the settings.
+  Settings.addListener(updateOptions);
+
+  function updateOptions() {
+    if (mSmoothScroll) {
+      mSmoothScroll.cancel();
+    }
+
+    if (mFoundHighlight) {
+      mFoundHighlight.cancel();
+    }
+
+    mSkipInvisible = kPref.skipInvisible && SkipInvisible();
+    mHCentered = kPref.horizontalCentered && HorizontalCentered();
+    mSmoothScroll = kPref.smoothScroll && SmoothScroll();
+    mFoundHighlight = kPref.foundHighlight && FoundHighlight();
+  }
 
   function init() {
     // Customize the native function.
@@ -23,17 +23,16 @@
 const {
   getNodeById: $ID,
   addEvent,
-  setChromeStyleSheet: setCSS
+  setChromeStyleSheet: setCSS,
+  createLogger
 } = window.ucjsUtil;
 
 function $E(aTag, aAttribute) {
   return window.ucjsUtil.createNode(aTag, aAttribute, handleAttribute);
 }
 
-// for debug
-function log(aMsg) {
-  return window.ucjsUtil.logMessage('AllTabs.uc.js', aMsg);
-}
+// Log to console for debug.
+const log = createLogger('AllTabs.uc.js');
 
 const {
   Menuitem: {
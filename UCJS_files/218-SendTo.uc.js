@@ -20,8 +20,8 @@
  * Imports
  */
 const {
-  getNodeById: $ID,
   getSelectionAtCursor,
+  Template,
   // Log to console for debug.
   logMessage: log
 } = window.ucjsUtil;
@@ -60,14 +60,6 @@ const kUI = {
      * %URL%: The URL that is opened actually.
      */
     tooltip: '%DATA%\n\n%URL%'
-  },
-
-  startSeparator: {
-    id: 'ucjs_SendTo_startSeparator'
-  },
-
-  endSeparator: {
-    id: 'ucjs_SendTo_endSeparator'
   }
 };
 
@@ -88,7 +80,7 @@ const kUI = {
  * @key URL {string}
  *   A URL string of a web service with data.
  *   @note Specify alias for the passed data.
- *   @see |AliasFixup|
+ *   @see |ucjsUtil::Template|
  * @key URL {function} [optional for custom formatting]
  *   @param aData {string}
  *   @return {string}
@@ -184,100 +176,16 @@ const kPreset = [
   }
 ];
 
-/**
- * Handler of fixing up an alias with the data.
- *
- * @return {hash}
- *   @key create {function}
- *
- * [aliases]
- * %RAW% : The data itself.
- * %ENC% : With URI encoded.
- * %SCHEMELESS%, %sl% : Without the URL scheme.
- * %PARAMLESS%, %pl% : Without the URL parameter.
- *
- * @note Aliases can be combined by '|';
- * e.g. %SCHEMELESS|ENC% : A data, which is trimmed the scheme and then URI
- * encoded (the multiple aliases is applied in the order of settings).
- */
-const AliasFixup = (function() {
-  const kAliasSplitter = '|';
-  const kAliasPattern = RegExp('%([a-z_' + kAliasSplitter + ']+)%', 'ig');
-
-  function create(aText, aData) {
-    return aText.replace(kAliasPattern, (match, alias) => {
-      let data = aData;
-
-      alias.split(kAliasSplitter).forEach((modifier) => {
-        data = fixupModifier(data, modifier);
-      });
-
-      return data;
-    });
-  }
-
-  function fixupModifier(aData, aModifier) {
-    switch (aModifier) {
-      case 'SCHEMELESS':
-      case 'sl':
-        return aData.replace(/^https?:\/\//, '');
-
-      case 'PARAMLESS':
-      case 'pl':
-        return aData.replace(/[?#].*$/, '');
-
-      case 'ENC':
-        return encodeURIComponent(aData);
-
-      case 'RAW':
-        return aData;
-    }
-
-    return '';
-  }
-
-  return {
-    create
-  };
-})();
-
 function SendTo_init() {
-  contentAreaContextMenu.register({
-    events: [
-      ['popupshowing', onPopupShowing, false]
-    ],
-
-    onCreate: createMenu
+  contentAreaContextMenu.registerEntry({
+    id: 'SendTo',
+    script: 'SendTo',
+    label: 'Send to web services',
+    group: 'send',
+    build: getAvailableItems
   });
 }
 
-function createMenu(aContextMenu) {
-  setSeparators(aContextMenu, aContextMenu.firstChild);
-}
-
-function onPopupShowing(aEvent) {
-  let contextMenu = aEvent.currentTarget;
-
-  if (aEvent.target !== contextMenu) {
-    return;
-  }
-
-  let [sSep, eSep] = getSeparators();
-
-  // Remove existing items.
-  for (let item; (item = sSep.nextSibling) !== eSep; /**/) {
-    contextMenu.removeChild(item);
-  }
-
-  let fragment = window.document.createDocumentFragment();
-
-  getAvailableItems().forEach((item) => {
-    fragment.appendChild(item);
-  });
-
-  contextMenu.insertBefore(fragment, eSep);
-}
-
 function getAvailableItems() {
   let items = [];
 
@@ -333,7 +241,7 @@ function makeItem(aType, aData, aService) {
     URL = aService.URL;
   }
 
-  URL = AliasFixup.create(URL, aData);
+  URL = Template.expand(URL, aData);
 
   let label = aService.label.
     replace('%TYPE%', kUI.item.types[aType]);
@@ -383,25 +291,6 @@ function testExtension(aExtensions, aURL) {
   return targets.some((item) => aExtensions.indexOf(item) > -1);
 }
 
-function setSeparators(aContextMenu, aReferenceNode = null) {
-  [
-    kUI.startSeparator,
-    kUI.endSeparator
-  ].
-  forEach((aSeparatorName) => {
-    aContextMenu.insertBefore($E('menuseparator', {
-      id: aSeparatorName.id
-    }), aReferenceNode);
-  });
-}
-
-function getSeparators() {
-  return [
-    $ID(kUI.startSeparator.id),
-    $ID(kUI.endSeparator.id)
-  ];
-}
-
 /**
  * Callback function for |ucjsUtil.createNode|.
  */
@@ -27,7 +27,8 @@ const {
   },
   createNode: $E,
   getNodeById: $ID,
-  promisePlacesDBResult,
+  PlacesQuery,
+  URLUtil,
   // Log to console for debug.
   logMessage: log
 } = window.ucjsUtil;
@@ -255,17 +256,7 @@ function getSearchEngineKeywordData() {
 }
 
 function getBookmarkKeywordData() {
-  let sql = [
-    'SELECT b.title, k.keyword, p.url',
-    'FROM moz_bookmarks b',
-    'JOIN moz_keywords k ON k.id = b.keyword_id',
-    'JOIN moz_places p ON p.id = b.fk'
-  ].join(' ');
-
-  return promisePlacesDBResult({
-    sql,
-    columns: ['title', 'keyword', 'url']
-  }).
+  return PlacesQuery.getBookmarkKeywords().
   then((aRows) => {
     if (!aRows || !aRows.length) {
       return [];
@@ -286,7 +277,9 @@ function getBookmarkKeywordData() {
 }
 
 function getPrePath(aURL) {
-  return aURL.replace(/^(\w+:[/]*[^/]+).*$/, '$1');
+  let URL = URLUtil.parse(aURL);
+
+  return URL ? URL.prePath : aURL;
 }
 
 /**
@@ -23,6 +23,7 @@ const {
   createNode: $E,
   getNodeById: $ID,
   addEvent,
+  registerCommand,
   // Log to console for debug.
   logMessage: log
 } = window.ucjsUtil;
@@ -122,6 +123,43 @@ const WindowUtil = (function() {
 
 function MoveTabToWindow_init() {
   buildMenu();
+
+  registerCommand({
+    id: 'moveTabToNewWindow',
+    script: 'MoveTabToWindow',
+    label: 'Move the tab to a new window',
+    isEnabled: ({tab}) => canMoveTab(tab) && gBrowser.visibleTabs.length > 1,
+    command: ({tab}) => moveTabToWindow(tab)
+  });
+
+  registerCommand({
+    id: 'moveTabToOtherWindow',
+    script: 'MoveTabToWindow',
+    label: 'Move the tab to the last active window',
+    isEnabled: ({tab}) => canMoveTab(tab) && !!getLastOtherWindow(),
+    command: ({tab}) => moveTabToWindow(tab, getLastOtherWindow())
+  });
+}
+
+function canMoveTab(aTab) {
+  return !WindowUtil.isPrivate(window) && !aTab.pinned;
+}
+
+/**
+ * Gets the frontmost browser window except this window.
+ *
+ * @note The private windows are excluded.
+ */
+function getLastOtherWindow() {
+  let {getBrowserWindows, isPrivate} = WindowUtil;
+
+  for (let win in getBrowserWindows()) {
+    if (win !== window && !isPrivate(win)) {
+      return win;
+    }
+  }
+
+  return null;
 }
 
 function buildMenu() {
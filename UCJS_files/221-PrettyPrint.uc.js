@@ -24,6 +24,7 @@ const {
   createNode: $E,
   getNodeById: $ID,
   addEvent,
+  registerCommand,
   // Log to console for debug.
   logMessage: log
 } = window.ucjsUtil;
@@ -118,6 +119,14 @@ const Menu = (function() {
 
       onCreate: createMenu
     });
+
+    registerCommand({
+      id: 'prettifyPage',
+      script: 'PrettyPrint',
+      label: 'Prettify the code of the page in Scratchpad',
+      isEnabled: ({document}) => canPrettify(document),
+      command: ({document}) => prettify(document)
+    });
   }
 
   function createMenu(aContextMenu) {
@@ -132,11 +141,9 @@ const Menu = (function() {
     let contextMenu = aEvent.currentTarget;
 
     if (aEvent.target === contextMenu) {
-      let contentDocument = gBrowser.contentDocument;
       let shouldShow =
         !$ID(kUI.viewSource.id).hidden &&
-        getTextType(contentDocument) &&
-        getTextContainer(contentDocument);
+        canPrettify(gBrowser.contentDocument);
 
       // @see chrome://browser/content/nsContextMenu.js::showItem
       window.gContextMenu.showItem(kUI.prettifyPage.id, shouldShow);
@@ -145,19 +152,26 @@ const Menu = (function() {
 
   function onCommand(aEvent) {
     if (aEvent.target.id === kUI.prettifyPage.id) {
-      let contentDocument = gBrowser.contentDocument;
-      let state = {
-        filename: contentDocument.documentURI,
-        type: getTextType(contentDocument),
-        text: getTextContent(contentDocument),
-        editorOptions: kEditorOptions,
-        prettifierOptions: kPrettifierOptions
-      };
-
-      Scratchpad.prettify(state);
+      prettify(gBrowser.contentDocument);
     }
   }
 
+  function canPrettify(aDocument) {
+    return !!(getTextType(aDocument) && getTextContainer(aDocument));
+  }
+
+  function prettify(aDocument) {
+    let state = {
+      filename: aDocument.documentURI,
+      type: getTextType(aDocument),
+      text: getTextContent(aDocument),
+      editorOptions: kEditorOptions,
+      prettifierOptions: kPrettifierOptions
+    };
+
+    Scratchpad.prettify(state);
+  }
+
   /**
    * Export
    */
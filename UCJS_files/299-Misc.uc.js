@@ -28,6 +28,7 @@ const {
   getNodeById: $ID,
   getNodeByAnonid: $ANONID,
   addEvent,
+  registerShortcut,
   setChromeStyleSheet: setChromeCSS,
   // Log to console for debug.
   logMessage: log
@@ -482,33 +483,36 @@ function setGlobalAgentCSS(aCSS) {
     setPref(kPrefTabFocus, defaultTabFocus);
   }, false);
 
-  let command = `
-    (function(state) {
-      state = ucjsUtil.Prefs.get("${kPrefTabFocus}") !== 1 ? 1 : 7;
-      ucjsUtil.Prefs.set("${kPrefTabFocus}", state);
-      ucjsUI.StatusField.showMessage("TAB focus: " + (state === 1 ?
-      "text fields only" : "text fields, form elements, and links"));
-    })();
-  `;
-
-  command = command.trim().replace(/\s+/g, ' ');
-
-  $ID('mainKeyset').appendChild($E('key', {
-    id: 'ucjs_key_toggleTabFocus',
-    key: 'F',
-    modifiers: 'shift,control,alt',
-    oncommand: command
-  }));
+  registerShortcut({
+    id: 'toggleTabFocus',
+    script: 'Misc',
+    label: 'Toggle the focus behavior of the Tab key',
+    key: 'Ctrl+Alt+Shift+F',
+    command() {
+      let state = getPref(kPrefTabFocus) !== 1 ? 1 : 7;
+
+      setPref(kPrefTabFocus, state);
+
+      window.ucjsUI.StatusField.showMessage('TAB focus: ' + (state === 1 ?
+        'text fields only' : 'text fields, form elements, and links'), {
+        source: 'Misc',
+        duration: 3000
+      });
+    }
+  });
 
   /**
    * Gives focus on the content area.
    */
-  $ID('mainKeyset').appendChild($E('key', {
-    id: 'ucjs_key_focusInContentArea',
-    key: 'f',
-    modifiers: 'control,alt',
-    oncommand: 'gBrowser.contentDocument.documentElement.focus();'
-  }));
+  registerShortcut({
+    id: 'focusInContentArea',
+    script: 'Misc',
+    label: 'Focus on the content area',
+    key: 'Ctrl+Alt+F',
+    command() {
+      gBrowser.contentDocument.documentElement.focus();
+    }
+  });
 
 })();
 
@@ -29,6 +29,7 @@ const {
   getFirstNodeBySelector: $S1,
   addEvent,
   setChromeStyleSheet: setCSS,
+  isLogOutput,
   // Log to console for debug.
   logMessage: log
 } = window.ucjsUtil;
@@ -46,12 +47,21 @@ const {
  * @param condition {string}
  *   XPath condition for filtering.
  *   @note applied to items of listview |div.message|.
+ * @param test {function} [instead of |condition|]
+ *   A function to test whether an item is filtered.
+ *   @param aMessageNode {Element} An item of listview |div.message|.
+ *   @return {boolean}
  */
 const kItemList = [
   {
     category: 'Content',
     description: 'Log messages on the content window',
     condition: '[.//a[starts-with(@href, "http") and not(contains(@class, "learn-more-link"))]]'
+  },
+  {
+    category: 'UCJS',
+    description: 'Log messages of the user scripts',
+    test: testUCJSLog
   }
 ];
 
@@ -200,19 +210,23 @@ function onCommand(aEvent) {
     return;
   }
 
-  let {category, condition} = kItemList[+id.replace(kUI.button.id, '')];
-  let filterKey = kDataKey.filteredBy + category;
+  let item = kItemList[+id.replace(kUI.button.id, '')];
+  let filterKey = kDataKey.filteredBy + item.category;
   let doFilter = !button.checked;
 
-  FilteredCategory[category] = doFilter;
+  FilteredCategory[item.category] = doFilter;
 
-  let xpath = './/*[contains(@class, "message")]' + condition;
+  let xpath = './/*[contains(@class, "message")]' + (item.condition || '');
   let nodes = $X(xpath, $ID('output-container'));
 
   if (nodes) {
     for (let i = 0, l = nodes.snapshotLength; i < l; i++) {
       let node = nodes.snapshotItem(i);
 
+      if (item.test && !item.test(node)) {
+        continue;
+      }
+
       if (doFilter) {
         node.classList.add(filterKey);
       }
@@ -236,14 +250,14 @@ function onMessageAdded(aEvent, aNewMessages) {
     return;
   }
 
-  kItemList.forEach(({category, condition}) => {
+  kItemList.forEach(({category, condition, test}) => {
     if (FilteredCategory[category]) {
       for (let message of aNewMessages) {
         let node = message.node;
 
         /* logOnMessageAdded(node, 'message added'); */
 
-        if ($X1('.' + condition, node)) {
+        if (test ? test(node) : $X1('.' + condition, node)) {
           let filterKey = kDataKey.filteredBy + category;
 
           node.classList.add(filterKey);
@@ -253,6 +267,15 @@ function onMessageAdded(aEvent, aNewMessages) {
   });
 }
 
+/**
+ * Tests whether a message is logged by the user scripts.
+ *
+ * @see |ucjsUtil::isLogOutput|
+ */
+function testUCJSLog(aMessageNode) {
+  return isLogOutput(aMessageNode.textContent);
+}
+
 function logOnMessageAdded(aMessageNode, aOutput) {
   // Put a mark to our logging string to prevent a recursive output.
   // TODO: Ensure a unique id.
@@ -6,9 +6,46 @@
 // @note A new property is exposed in the global scope
 // (window[kSystem.loaderName]).
 
-// TODO: Observe the chrome window that does not open alone (e.g. bookmark
-// edit panel, devtools panel). We are observing only the opening of the
-// sidebar of the browser window for now.
+// @note The jscripts run in order of the dependencies that are declared by
+// '@require' in the comment lines following the meta data block;
+// '// @require Util.uc.js, UI.uc.js'
+// '// @require [optional] TabEx.uc.js'
+// A script whose hard requirement is missing, circular or failed to run is
+// skipped.
+
+// @note The meta data keys;
+// @name, @description, @version, @author, @homepageURL
+// @include, @exclude: The target chrome URLs.
+//   @see |kPref.urlAliases|, |Util::testURL|
+// @run-at: When the jscript runs in a document.
+//   'document-start': As soon as the loader is ready (default).
+//   'window-load': After the load event of the window.
+//   'delayed-idle': A while after the load event for heavy scripts.
+//   @see |kSystem.delayedIdleTime|
+// @noframes: The jscript does not run in a sub-document (e.g. sidebar).
+// @sandbox: The jscript runs in its own sandbox instead of the window.
+//   @see |ScriptList::createSandbox|
+
+// @note A jscript with '@sandbox' declares no global variable in the window.
+// It exports the values by setting the properties of |exports| in its
+// sandbox, and the other scripts import them by the script name;
+// 'exports.foo = foo;'
+// 'let {foo} = window.ucjsScriptLoader.importModule("Foo.uc.js");'
+// @see |ScriptList::importModule|
+
+// @note A running script can register the cleanup for the hot reload through
+// the context of itself;
+// 'let context = window.ucjsScriptLoader.getScriptContext();'
+// 'context.addUninitHook(function() {...});'
+// @see |ScriptContext|
+// @see |ScriptList::getScriptContext|
+
+// @note The scripts run in every chrome document;
+// 1.The window where this loader is injected.
+// 2.The sub-document in the window (e.g. sidebar, devtools toolbox, bookmark
+// edit panel) that is observed by 'chrome-document-global-created'.
+// 3.The window where this loader is not injected, that is observed by the
+// window mediator of the browser window and this loader is injected.
 
 // @see http://userchromejs.mozdev.org/
 // @see https://github.com/alice0775/userChrome.js/blob/master/userChrome.js
@@ -38,9 +75,27 @@ const kPref = {
   jscriptExts: ['.uc.js'],
   overlayExts: ['.uc.xul', '.xul'],
 
+  // Named aliases of chrome URLs.
+  //
+  // @note An alias can be used instead of a URL in @include/@exclude and
+  // |blockXULs|. The name is case-insensitive, and the value is a URL pattern
+  // or a list of them.
+  // @note 'main' for the browser window is built-in.
+  urlAliases: {
+    pageinfo: 'chrome://browser/content/pageinfo/pageInfo.xul',
+    console: [
+      'chrome://global/content/console.xul',
+      'chrome://browser/content/devtools/webconsole.xul'
+    ],
+    sidebar: [
+      'chrome://browser/content/bookmarks/bookmarksPanel.xul',
+      'chrome://browser/content/history/history-panel.xul'
+    ]
+  },
+
   // URL list of chrome XUL files which is blocked to load scripts.
   //
-  // @note Wildcard '*' is available.
+  // @note The patterns of |Util::testURL| are available.
   blockXULs: [
     'chrome://global/content/commonDialog.xul',
     'chrome://browser/content/preferences/*',
@@ -69,9 +124,62 @@ const kSystem = {
   //
   // @note This loader checks the cache when the startup browser window opens,
   // and usually the cached script runs on sub-windows thereafter.
-  checkCacheAtRun: false
+  checkCacheAtRun: false,
+
+  // Interval in milliseconds to check the modification of the running
+  // jscripts. A modified script is reloaded in every open window without
+  // restart. Set 0 to disable.
+  //
+  // @note A reloaded script is uninitialized by its context first.
+  // @note The scripts that hard-require a reloaded script are also reloaded.
+  // @note A script that declares a global variable (e.g. |const ucjsUtil|)
+  // cannot be reloaded since the redeclaration fails, so it needs restart.
+  // @note The changes of the meta data are not applied until restart.
+  watchInterval: 0,
+
+  // Preference name of the list of the disabled scripts.
+  //
+  // @note The value is a JSON array of the paths under the chrome folder
+  // (e.g. '["UCJS_files/201-MouseGesture.uc.js"]').
+  // @note Toggled by |scriptList.setEnabled| (e.g. in ScriptList.uc.js).
+  disabledScriptsPref: 'ucjs.loader.disabledScripts',
+
+  // Preference name of the user-defined order of the scripts.
+  //
+  // @note The value is a JSON array of the paths under the chrome folder.
+  // The listed scripts run in the listed order instead of the scanned order,
+  // and the unlisted ones follow them.
+  // @note The dependencies of '@require' take precedence over this order.
+  // @note Saved by |scriptList.setOrder| (e.g. in ScriptList.uc.js), and
+  // applied after restart.
+  scriptOrderPref: 'ucjs.loader.scriptOrder',
+
+  // Number of the latest runs of the jscripts in a document to keep the
+  // timings in memory.
+  //
+  // @see |ScriptList::getData|
+  profileHistorySize: 10,
+
+  // Number of the latest failure records of the jscripts to keep in memory.
+  //
+  // @note The records accumulate on every run including the reloads.
+  // @see |ScriptList::getData|
+  errorHistorySize: 50,
+
+  // Delay time in milliseconds after the load event of a window to run the
+  // jscripts of '@run-at delayed-idle'.
+  delayedIdleTime: 1000
 };
 
+/**
+ * URL of this loader file.
+ *
+ * @note Used to inject this loader into the window where it is not injected.
+ * @note The file name of a subscript is chained with its loader (e.g.
+ * 'chrome://... -> file:///.../userChrome.js'), so take the last one.
+ */
+const kLoaderURL = Components.stack.filename.split(' -> ').pop();
+
 /**
  * Common utilities.
  */
@@ -91,13 +199,17 @@ function ucjsScriptLoader_init() {
   let scriptLoader = ScriptLoader();
 
   if (scriptLoader.init()) {
+    // Exposes new property in |window|.
+    let loader = window[kSystem.loaderName] = {
+      getScriptContext: scriptLoader.getScriptContext,
+      importModule: scriptLoader.importModule,
+      updateScript: scriptLoader.updateScript
+    };
+
     let scriptList = scriptLoader.getScriptList();
 
     if (scriptList) {
-      // Exposes new property in |window|.
-      window[kSystem.loaderName] = {
-        scriptList
-      };
+      loader.scriptList = scriptList;
     }
 
     window.addEventListener('unload', function onUnload() {
@@ -117,6 +229,9 @@ function ucjsScriptLoader_init() {
  *   @key init {function}
  *   @key uninit {function}
  *   @key getScriptList {function}
+ *   @key getScriptContext {function}
+ *   @key importModule {function}
+ *   @key updateScript {function}
  */
 function ScriptLoader() {
   let mScriptList;
@@ -148,53 +263,131 @@ function ScriptLoader() {
     mScriptList.init();
     mScriptList.run(document);
 
+    watchSubDocuments();
+
     if (inBrowserWindow()) {
-      watchSidebar();
+      watchWindows();
     }
 
     return true;
   }
 
-  function watchSidebar() {
-    const {document} = window;
+  /**
+   * Runs the scripts in the chrome sub-documents of this window.
+   */
+  function watchSubDocuments() {
+    const {addObserver, removeObserver, getRootWindow} = Util;
+
+    const kTopic = 'chrome-document-global-created';
+
+    let observer = {
+      observe(aSubject) {
+        let win = aSubject;
+
+        // Observe only the sub-documents in this window.
+        if (win === window || getRootWindow(win) !== window) {
+          return;
+        }
+
+        win.addEventListener('load', onLoad, false);
+      }
+    };
+
+    addObserver(observer, kTopic);
 
-    document.addEventListener('load', initSidebar, true);
     window.addEventListener('unload', function onUnload() {
-      document.removeEventListener('load', initSidebar, true);
+      removeObserver(observer, kTopic);
       window.removeEventListener('unload', onUnload, false);
     }, false);
 
-    function initSidebar(aEvent) {
-      let target = aEvent.originalTarget;
-
-      if (!(target instanceof XULDocument)) {
-        // WORKAROUND: Comment out too noisy logs.
-        /*
-        Log.list('Not init sidebar', {
-          'Loaded node': target.nodeName
-        });
-        */
+    function onLoad(aEvent) {
+      let target = aEvent.target;
 
+      // Wait for the actual document after the initial blank document in the
+      // same inner window.
+      if (!(target instanceof window.Document) ||
+          target.location.href === 'about:blank') {
         return;
       }
 
+      target.defaultView.removeEventListener('load', onLoad, false);
+
       if (isBlockURL(target)) {
-        Log.list('Not init sidebar', {
+        Log.list('Not init sub-document', {
           'Blocked URL': target.location.href
         });
 
         return;
       }
 
-      Log.list('Init sidebar', {
+      Log.list('Init sub-document', {
         'URL': target.location.href,
-        'Title': document.getElementById('sidebar-title').value
+        'Title': target.title
       });
 
       mScriptList.run(target);
     }
   }
 
+  /**
+   * Injects this loader into the window where it is not injected.
+   *
+   * @note Observed in the browser window, and only the top browser window
+   * handles a new window to avoid duplication.
+   */
+  function watchWindows() {
+    const {addWindowListener, removeWindowListener, getDOMWindow,
+           getTopBrowserWindow, loadJscript} = Util;
+
+    // Marks a window that is already handled.
+    const kInjectedKey = kSystem.loaderName + '_injected';
+
+    let listener = {
+      onOpenWindow(aXULWindow) {
+        let win = getDOMWindow(aXULWindow);
+
+        win.addEventListener('load', function onLoad() {
+          win.removeEventListener('load', onLoad, false);
+
+          // Wait for the injection of the userChromeJS extension.
+          setTimeout(inject, 0, win);
+        }, false);
+      },
+
+      onCloseWindow() {},
+      onWindowTitleChange() {}
+    };
+
+    addWindowListener(listener);
+
+    window.addEventListener('unload', function onUnload() {
+      removeWindowListener(listener);
+      window.removeEventListener('unload', onUnload, false);
+    }, false);
+
+    function inject(aWindow) {
+      if (getTopBrowserWindow() !== window || aWindow.closed ||
+          aWindow[kSystem.loaderName] || aWindow[kInjectedKey] ||
+          isBlockURL(aWindow.document)) {
+        return;
+      }
+
+      aWindow[kInjectedKey] = true;
+
+      Log.list('Inject loader', {
+        'URL': aWindow.location.href,
+        'Title': aWindow.document.title
+      });
+
+      try {
+        loadJscript(kLoaderURL, aWindow);
+      }
+      catch (ex) {
+        window.Components.utils.reportError(ex);
+      }
+    }
+  }
+
   function getScriptList() {
     if (inBrowserWindow()) {
       return mScriptList.get();
@@ -203,6 +396,20 @@ function ScriptLoader() {
     return null;
   }
 
+  function getScriptContext(aCaller) {
+    return mScriptList ? mScriptList.getScriptContext(aCaller) : null;
+  }
+
+  function importModule(aName, aDocument) {
+    return mScriptList ? mScriptList.importModule(aName, aDocument) : null;
+  }
+
+  function updateScript(aScript) {
+    if (mScriptList) {
+      mScriptList.updateScript(aScript);
+    }
+  }
+
   function inBrowserWindow() {
     const {getBrowserURL} = Util;
 
@@ -224,7 +431,10 @@ function ScriptLoader() {
   return {
     init,
     uninit,
-    getScriptList
+    getScriptList,
+    getScriptContext,
+    importModule,
+    updateScript
   };
 }
 
@@ -236,11 +446,40 @@ function ScriptLoader() {
  *   @key uninit {function}
  *   @key get {function}
  *   @key run {function}
+ *   @key getScriptContext {function}
+ *   @key importModule {function}
+ *   @key updateScript {function}
  */
 function ScriptList() {
-  let mJscripts, mOverlays;
+  let mJscripts, mOverlays, mErrors, mProfile;
+
+  // The jscripts that have run in the documents of this window.
+  // @see |runJscripts|
+  let mRunEntries = [];
+
+  // The documents of this window where the scripts run.
+  let mDocuments = new Set();
+
+  // The context of the jscript that is running now.
+  let mRunningContext = null;
+
+  // The exports of the sandboxed jscripts.
+  // @key {Document} The document where the scripts run.
+  // @value {Map} The exports object by the script name.
+  let mModules = new Map();
+
+  let mWatchTimer = null;
 
   function uninit() {
+    if (mWatchTimer) {
+      clearInterval(mWatchTimer);
+      mWatchTimer = null;
+    }
+
+    mRunEntries = null;
+    mDocuments = null;
+    mModules = null;
+
     let uninitData = (aData) => {
       aData.forEach((item) => item.uninit());
     };
@@ -254,6 +493,14 @@ function ScriptList() {
       uninitData(mOverlays);
       mOverlays = null;
     }
+
+    if (mErrors) {
+      mErrors = null;
+    }
+
+    if (mProfile) {
+      mProfile = null;
+    }
   }
 
   function init() {
@@ -273,12 +520,48 @@ function ScriptList() {
     else {
       scanData();
     }
+
+    if (kSystem.watchInterval > 0) {
+      mWatchTimer = setInterval(checkModified, kSystem.watchInterval);
+    }
   }
 
+  /**
+   * Gets the script data.
+   *
+   * @return {hash}
+   *   @key jscripts {UserScript[]}
+   *   @key overlays {UserScript[]}
+   *   @key errors {hash[]}
+   *     The failure records of the jscripts in all windows.
+   *     @see |ErrorRecord|
+   *   @key profile {hash}
+   *     The timings of the loader in milliseconds.
+   *     @key scanTime {number}
+   *       The time to scan the scripts at startup.
+   *     @key runs {hash[]}
+   *       The latest runs of the jscripts in a document of any window.
+   *       @see |profileHistorySize| in |kSystem|
+   *       @key document {string} The URL of the document.
+   *       @key kind {string} 'browser' or 'window' or 'sidebar' or 'frame'.
+   *       @key time {number} The timestamp of the run.
+   *       @key totalTime {number}
+   *       @key scripts {hash[]}
+   *         @key script {string} The path under the chrome folder.
+   *         @key time {number} The time to compile and run the script.
+   *   @key setEnabled {function}
+   *     @see |setScriptEnabled|
+   *   @key setOrder {function}
+   *     @see |setScriptOrder|
+   */
   function getData() {
     return {
       jscripts: mJscripts,
-      overlays: mOverlays
+      overlays: mOverlays,
+      errors: mErrors,
+      profile: mProfile,
+      setEnabled: setScriptEnabled,
+      setOrder: setScriptOrder
     };
   }
 
@@ -286,14 +569,25 @@ function ScriptList() {
     // @note Reference copy.
     mJscripts = aData.jscripts;
     mOverlays = aData.overlays;
+    mErrors = aData.errors;
+    mProfile = aData.profile;
   }
 
   function scanData() {
     const log = Log.counter('Scan');
     const {getChromeDirectory, getEntryList, getNextEntry} = Util;
 
+    let startTime = window.performance.now();
+
     mJscripts = [];
     mOverlays = [];
+    mErrors = [];
+    mProfile = {
+      scanTime: 0,
+      runs: []
+    };
+
+    let disabledList = getDisabledList();
 
     let chrome = getChromeDirectory();
 
@@ -330,6 +624,13 @@ function ScriptList() {
       }
     });
 
+    applyScriptOrder(mJscripts);
+    applyScriptOrder(mOverlays);
+
+    sortJscripts();
+
+    mProfile.scanTime = window.performance.now() - startTime;
+
     function scanDirectory(aDirectory, aDeeper) {
       let list = getEntryList(aDirectory), entry;
       let ext, script;
@@ -349,6 +650,10 @@ function ScriptList() {
           if (ext) {
             script = UserScript(entry);
 
+            if (disabledList.indexOf(script.getURL('IN_CHROME')) > -1) {
+              script.setDisabled(true);
+            }
+
             if (ext === 'js') {
               mJscripts.push(script);
             }
@@ -381,183 +686,1270 @@ function ScriptList() {
     }
   }
 
-  function runData(aDocument) {
-    // TODO: I want to ensure that scripts run at the end of this loader.
-    setTimeout((doc) => {
-      setTimeout(runJscripts, 0, doc);
-      setTimeout(runOverlays, 0, doc);
-    }, 0, aDocument);
+  /**
+   * Sorts the scripts in the user-defined order.
+   *
+   * @param aScripts {UserScript[]}
+   *   Sorted in place.
+   *
+   * @see |kSystem.scriptOrderPref|
+   */
+  function applyScriptOrder(aScripts) {
+    let orderList = getOrderList();
+
+    if (!orderList.length) {
+      return;
+    }
+
+    let getIndex = (aScript) => {
+      let index = orderList.indexOf(aScript.getURL('IN_CHROME'));
+
+      return index > -1 ? index : orderList.length;
+    };
+
+    // Keep the scanned order among the unlisted scripts.
+    let scannedIndex = new Map(aScripts.map((script, i) => [script, i]));
+
+    aScripts.sort((a, b) =>
+      (getIndex(a) - getIndex(b)) ||
+      (scannedIndex.get(a) - scannedIndex.get(b)));
   }
 
-  function runJscripts(aDocument) {
-    const log = Log.counter('Run JS');
-    const {loadJscript} = Util;
+  /**
+   * Sorts the jscripts in order of their dependencies.
+   *
+   * @note The scanned order is kept among the independent scripts.
+   * @note A script is blocked to run if its hard requirement is missing or
+   * circular or blocked or disabled.
+   */
+  function sortJscripts() {
+    const {log} = Util;
 
-    let URL = aDocument.location.href;
+    let jscriptNames = new Set(mJscripts.map((script) => script.getName()));
+    let overlayNames = new Set(mOverlays.map((script) => script.getName()));
+
+    let report = [];
+
+    // Collect the requirements among the jscripts and block the scripts whose
+    // hard requirement is not found.
+    let requiresMap = new Map();
 
     mJscripts.forEach((script) => {
-      if (script.testTarget(URL)) {
-        log(script.getURL('IN_CHROME'));
+      let name = script.getName();
+      let requires = [];
 
-        loadJscript(script.getURL('RUN'), aDocument);
-      }
+      script.getRequires().forEach((require) => {
+        if (require.name === name) {
+          return;
+        }
+
+        if (jscriptNames.has(require.name)) {
+          requires.push(require);
+        }
+        else if (!require.optional && !overlayNames.has(require.name)) {
+          script.block('Missing requirement: ' + require.name);
+          report.push(name + ' requires missing ' + require.name);
+        }
+      });
+
+      requiresMap.set(script, requires);
     });
-  }
 
-  function runOverlays(aDocument) {
-    const log = Log.counter('Run XUL');
-    const {loadOverlay} = Util;
+    let pending = mJscripts.slice();
+    let sorted = [];
+    let sortedNames = new Set();
 
-    const XUL = '<?xul-overlay href="%URL%"?>';
-    const DATA = [
-      'data:application/vnd.mozilla.xul+xml;charset=utf-8,',
-      '<?xml version="1.0"?>',
-      '%XULS%',
-      '<overlay id="%ID%"',
-      ' xmlns="http://www.mozilla.org/keymaster/gatekeeper/there.is.only.xul"',
-      ' xmlns:html="http://www.w3.org/1999/xhtml">',
-      '</overlay>'
-    ].join('').replace('%ID%', kSystem.overlayContainerID);
+    let isReady = (aScript, aIgnoreOptional) =>
+      requiresMap.get(aScript).every(({name, optional}) =>
+        (aIgnoreOptional && optional) || sortedNames.has(name));
 
-    let URL = aDocument.location.href;
-    let xuls = '';
+    while (pending.length) {
+      // Give priority to the optional requirements, and then ignore them to
+      // break a circular reference through the optional ones.
+      let index = pending.findIndex((script) => isReady(script, false));
 
-    mOverlays.forEach((script) => {
-      if (script.testTarget(URL)) {
-        log(script.getURL('IN_CHROME'));
+      if (index < 0) {
+        index = pending.findIndex((script) => isReady(script, true));
+      }
 
-        xuls += XUL.replace('%URL%', script.getURL('RUN'));
+      if (index < 0) {
+        break;
       }
-    });
 
-    if (xuls) {
-      loadOverlay(DATA.replace('%XULS%', xuls), aDocument);
+      let [script] = pending.splice(index, 1);
+
+      sorted.push(script);
+      sortedNames.add(script.getName());
     }
-  }
 
-  /**
-   * Exports
-   */
-  return {
-    init,
-    uninit,
-    get: getData,
-    run: runData
-  };
-}
+    // The remaining scripts have the circular hard requirements.
+    if (pending.length) {
+      let names = pending.map((script) => script.getName());
 
-/**
- * UserScript constructor.
- *
- * @return {hash}
- *   @key uninit {function}
- *   @key getMetaData {function}
- *   @key formatMetaData {function}
- *   @key testTarget {function}
- *   @key getURL {function}
- *
- * @note This creates multiple instances so some functions are cached outside
- * for performance.
- * TODO: I prefer this module pattern to the prototype one. But the prototypal
- * may be better for a constructor.
- */
-function UserScript(aFile) {
-  let mFile = aFile;
-  let mMetaData = UserScript_scanMetaData(aFile);
+      pending.forEach((script) => {
+        script.block('Circular requirement: ' + names.join(', '));
+      });
 
-  function uninit() {
-    if (mFile) {
-      mFile = null;
-    }
+      report.push('Circular requirement among ' + names.join(', '));
 
-    if (mMetaData) {
-      mMetaData = null;
+      sorted = sorted.concat(pending);
     }
-  }
-
-  return {
-    uninit,
-    getMetaData: UserScript_getMetaData.bind(null, mMetaData),
-    formatMetaData: UserScript_formatMetaData.bind(null, mMetaData),
-    testTarget: UserScript_testTarget.bind(null, mMetaData),
-    getURL: UserScript_getURL.bind(null, mFile)
-  };
-}
-
-function UserScript_scanMetaData(aFile) {
-  const {readFile} = Util;
 
-  // The meta data block.
-  const kMetaDataBlockRE =
-    /^\s*\/\/\s*==UserScript==\s*\n(?:.*\n)*?\s*\/\/\s*==\/UserScript==\s*\n/m;
+    // Block the scripts whose hard requirement is blocked or disabled.
+    // @note The value is 'blocked' or 'disabled'.
+    let blockedNames = new Map();
 
-  // Each meta data.
-  // @note Must specify the global flag 'g'.
-  const kMetaDataRe =
-    /^\s*\/\/\s*@([\w-]+)\s+(.+?)\s*$/gm;
+    sorted.forEach((script) => {
+      if (!script.getBlockReason()) {
+        let blocked = requiresMap.get(script).find(({name, optional}) =>
+          !optional && blockedNames.has(name));
 
-  /**
-   * Supported mata data;
-   * {string}: Only the first line is retrieved.
-   * {array}: All lines are retrieved.
-   */
-  let data = {
-    'name': '',
-    'description': '',
-    'include': [],
-    'exclude': []
-  };
+        if (blocked) {
+          let state = blockedNames.get(blocked.name);
 
-  let meta = (readFile(aFile).match(kMetaDataBlockRE) || [''])[0];
-  let matches, key, value;
+          script.block(
+            (state === 'disabled' ? 'Disabled' : 'Blocked') +
+            ' requirement: ' + blocked.name);
 
-  while ((matches = kMetaDataRe.exec(meta))) {
-    [, key, value] = matches;
+          // A disabled requirement is not a problem.
+          if (state !== 'disabled') {
+            report.push(script.getName() + ' requires blocked ' +
+              blocked.name);
+          }
+        }
+      }
 
-    if (key in data) {
-      if (data[key] === '') {
-        data[key] = value;
+      if (script.getBlockReason()) {
+        blockedNames.set(script.getName(), 'blocked');
       }
-      else if (Array.isArray(data[key])) {
-        data[key].push(value);
+      else if (script.isDisabled()) {
+        blockedNames.set(script.getName(), 'disabled');
       }
+    });
+
+    mJscripts = sorted;
+
+    if (report.length) {
+      log(['Dependency problems:'].concat(report));
     }
   }
 
-  return data;
-}
+  function runData(aDocument) {
+    mDocuments.add(aDocument);
 
-function UserScript_getMetaData(aMetaData, aKey) {
-  return aKey ? aMetaData[aKey] : aMetaData;
-}
+    let phases = getRunAtPhases();
 
-function UserScript_formatMetaData(aMetaData) {
-  const kForm = '@%key%: %value%';
-  const kNoMetaData = '[No meta data]';
+    // The state shared among the phases in this document.
+    let state = {
+      failedNames: new Set(),
+      profile: createProfile(aDocument)
+    };
 
-  let list = [];
+    // TODO: I want to ensure that scripts run at the end of this loader.
+    setTimeout((doc) => {
+      setTimeout(runJscripts, 0, doc, phases['document-start'], state);
+      setTimeout(runOverlays, 0, doc);
 
-  for (let [key, value] in Iterator(aMetaData)) {
-    if (!Array.isArray(value)) {
-      value = [value];
-    }
+      onWindowLoad(doc, () => {
+        runJscripts(doc, phases['window-load'], state);
 
-    list = list.concat(value.map((value) =>
-      kForm.replace('%key%', key).replace('%value%', value)
-    ));
+        setTimeout(runJscripts, kSystem.delayedIdleTime,
+          doc, phases['delayed-idle'], state);
+      });
+    }, 0, aDocument);
   }
 
-  return list.length ? list.join('\n') : kNoMetaData;
-};
+  /**
+   * Groups the jscripts by '@run-at'.
+   *
+   * @return {hash}
+   *   @key document-start {UserScript[]}
+   *   @key window-load {UserScript[]}
+   *   @key delayed-idle {UserScript[]}
+   *
+   * @note A script is put off to the latest phase of its hard requirements so
+   * that it runs after them.
+   */
+  function getRunAtPhases() {
+    const kPhases = ['document-start', 'window-load', 'delayed-idle'];
 
-function UserScript_testTarget(aMetaData, aURL) {
-  const {getBrowserURL, testURL} = Util;
+    let phases = {};
 
-  let browserURL = getBrowserURL();
+    kPhases.forEach((phase) => phases[phase] = []);
 
-  let test = (str) => testURL(str.replace(/^main$/i, browserURL), aURL);
+    // @note A requirement precedes its dependents in |mJscripts|.
+    let indexes = new Map();
 
-  let exclude = aMetaData.exclude;
+    mJscripts.forEach((script) => {
+      let index = Math.max(0, kPhases.indexOf(script.getMetaData('run-at')));
+
+      script.getRequires().forEach(({name, optional}) => {
+        if (!optional && indexes.has(name)) {
+          index = Math.max(index, indexes.get(name));
+        }
+      });
+
+      indexes.set(script.getName(), index);
+      phases[kPhases[index]].push(script);
+    });
+
+    return phases;
+  }
+
+  /**
+   * Calls a function after the load event of the window of a document.
+   */
+  function onWindowLoad(aDocument, aCallback) {
+    let win = aDocument.defaultView;
+
+    if (!win) {
+      return;
+    }
+
+    if (aDocument.readyState === 'complete') {
+      setTimeout(aCallback, 0);
+
+      return;
+    }
+
+    win.addEventListener('load', function onLoad() {
+      win.removeEventListener('load', onLoad, false);
+      aCallback();
+    }, false);
+  }
+
+  /**
+   * Creates the profile of the jscripts that run in a document.
+   *
+   * @see |getData|
+   */
+  function createProfile(aDocument) {
+    let profile = {
+      document: aDocument.location.href,
+      kind: getDocumentKind(aDocument),
+      time: Date.now(),
+      totalTime: 0,
+      scripts: []
+    };
+
+    let runs = mProfile.runs;
+
+    runs.push(profile);
+
+    if (runs.length > kSystem.profileHistorySize) {
+      runs.splice(0, runs.length - kSystem.profileHistorySize);
+    }
+
+    return profile;
+  }
+
+  function addError(aRecord) {
+    mErrors.push(aRecord);
+
+    if (mErrors.length > kSystem.errorHistorySize) {
+      mErrors.splice(0, mErrors.length - kSystem.errorHistorySize);
+    }
+  }
+
+  /**
+   * Runs the jscripts in a document.
+   *
+   * @param aDocument {Document}
+   * @param aScripts {UserScript[]} [optional]
+   *   The scripts to run in order. Defaults to all the jscripts.
+   * @param aState {hash} [optional]
+   *   The state shared with the former runs in the same document.
+   *   @key failedNames {Set}
+   *     Names of the scripts that are blocked or failed in the document.
+   *   @key profile {hash} [optional]
+   *     The profile to record the timings.
+   *     @see |createProfile|
+   */
+  function runJscripts(aDocument, aScripts = mJscripts, aState = {}) {
+    const log = Log.counter('Run JS');
+    const {loadJscript} = Util;
+
+    // The document may be closed while waiting to run.
+    if (!aDocument.defaultView) {
+      return;
+    }
+
+    let URL = aDocument.location.href;
+
+    let {
+      failedNames = new Set(),
+      profile
+    } = aState;
+
+    let isSubDocument = aDocument.defaultView !== window;
+
+    let startTime = window.performance.now();
+
+    aScripts.forEach((script) => {
+      if (!script.testTarget(URL)) {
+        return;
+      }
+
+      if (isSubDocument && script.getMetaData('noframes')) {
+        return;
+      }
+
+      let name = script.getName();
+
+      if (script.isDisabled()) {
+        failedNames.add(name);
+
+        Log.list('Disabled JS', {
+          'Script': script.getURL('IN_CHROME')
+        });
+
+        return;
+      }
+
+      let reason = script.getBlockReason();
+
+      if (!reason) {
+        let failed = script.getRequires().find(({name, optional}) =>
+          !optional && failedNames.has(name));
+
+        if (failed) {
+          reason = 'Failed requirement: ' + failed.name;
+        }
+      }
+
+      if (reason) {
+        failedNames.add(name);
+
+        addError(ErrorRecord(script, aDocument, {
+          skipReason: reason
+        }));
+
+        Util.log(['Skip: ' + script.getURL('IN_CHROME'), reason]);
+
+        return;
+      }
+
+      log(script.getURL('IN_CHROME'));
+
+      let context = ScriptContext();
+
+      // @note The URL is kept to find the context by the file name of a
+      // caller.
+      // @see |getScriptContext|
+      let URL = script.getURL('RUN');
+
+      mRunEntries.push({
+        script,
+        document: aDocument,
+        context,
+        URL,
+        modifiedTime: script.getModifiedTime()
+      });
+
+      mRunningContext = context;
+
+      let scriptStartTime = window.performance.now();
+
+      // Isolate a failure of each script so that the following scripts can
+      // run.
+      try {
+        if (script.getMetaData('sandbox')) {
+          let sandbox = createSandbox(script, aDocument, context);
+
+          loadJscript(URL, sandbox);
+
+          registerModule(aDocument, name, sandbox.exports, context);
+        }
+        else {
+          loadJscript(URL, aDocument.defaultView);
+        }
+      }
+      catch (ex) {
+        failedNames.add(name);
+
+        addError(ErrorRecord(script, aDocument, {
+          error: ex
+        }));
+
+        window.Components.utils.reportError(ex);
+      }
+      finally {
+        mRunningContext = null;
+      }
+
+      if (profile) {
+        profile.scripts.push({
+          script: script.getURL('IN_CHROME'),
+          time: window.performance.now() - scriptStartTime
+        });
+      }
+    });
+
+    if (profile) {
+      profile.totalTime += window.performance.now() - startTime;
+    }
+  }
+
+  /**
+   * Gets the kind of a document where the scripts run.
+   *
+   * @return {string}
+   *   'browser': The browser window.
+   *   'window': The other window (e.g. Page Info).
+   *   'sidebar': The sidebar in the browser window.
+   *   'frame': The other sub-document (e.g. devtools toolbox).
+   */
+  function getDocumentKind(aDocument) {
+    const {getBrowserURL} = Util;
+
+    let view = aDocument.defaultView;
+
+    if (view !== window) {
+      let frame = view.frameElement;
+
+      return (frame && frame.id === 'sidebar') ? 'sidebar' : 'frame';
+    }
+
+    if (aDocument.location.href === getBrowserURL()) {
+      return 'browser';
+    }
+
+    return 'window';
+  }
+
+  /**
+   * Gets the context of a jscript.
+   *
+   * @param aCaller {hash} [optional]
+   *   @key fileNames {string[]}
+   *     The file names of the call stack from the innermost frame.
+   *   @key document {Document}
+   *     The document where the caller runs.
+   * @return {ScriptContext|null}
+   *   The context of the innermost jscript in |aCaller.fileNames| that has
+   *   run in |aCaller.document|, or else the context of the running jscript.
+   *
+   * @note The context is found by the caller at any time, e.g. in an event
+   * handler after the jscript ran.
+   */
+  function getScriptContext(aCaller) {
+    if (aCaller && mRunEntries) {
+      let {fileNames, document} = aCaller;
+
+      for (let fileName of fileNames) {
+        // The name of a subscript is chained with the names of its loaders.
+        let URL = fileName.split(' -> ').pop();
+
+        let entry = mRunEntries.find((entry) =>
+          entry.document === document && entry.URL === URL);
+
+        if (entry) {
+          return entry.context;
+        }
+      }
+    }
+
+    return mRunningContext;
+  }
+
+  /**
+   * Creates a sandbox for a jscript.
+   *
+   * @param aScript {UserScript}
+   * @param aDocument {Document}
+   * @param aContext {ScriptContext}
+   * @return {Sandbox}
+   *
+   * @note The sandbox has the principal of the chrome window and its
+   * prototype is the window, so the script accesses the window as usual but
+   * its global declarations stay in the sandbox.
+   * @note The sandbox has the special properties;
+   *   exports: The object to export the values of the script.
+   *   importModule: A function to import the exports of the other sandboxed
+   *   script in the same document by the script name.
+   */
+  function createSandbox(aScript, aDocument, aContext) {
+    const {utils: Cu} = window.Components;
+
+    let view = aDocument.defaultView;
+
+    let sandbox = Cu.Sandbox(view, {
+      sandboxName: aScript.getURL('IN_CHROME'),
+      sandboxPrototype: view,
+      wantXrays: false
+    });
+
+    Cu.createObjectIn(sandbox, {defineAs: 'exports'});
+
+    sandbox.importModule = (aName) => importModule(aName, aDocument);
+
+    // Cut off the references from the outside when the script is unloaded.
+    aContext.addUninitHook(() => Cu.nukeSandbox(sandbox));
+
+    return sandbox;
+  }
+
+  function registerModule(aDocument, aName, aExports, aContext) {
+    if (!mModules.has(aDocument)) {
+      mModules.set(aDocument, new Map());
+    }
+
+    let modules = mModules.get(aDocument);
+
+    modules.set(aName, aExports);
+
+    aContext.addUninitHook(() => {
+      if (modules.get(aName) === aExports) {
+        modules.delete(aName);
+      }
+    });
+  }
+
+  /**
+   * Imports the exports of a sandboxed jscript.
+   *
+   * @param aName {string} The script name (e.g. 'Foo.uc.js').
+   * @param aDocument {Document} [optional]
+   *   The document where the script runs. Defaults to the document of this
+   *   window.
+   * @return {hash|null}
+   *   The exports object, or null if the script has not run.
+   *
+   * @note Declare '@require' of the script to ensure that it runs before.
+   */
+  function importModule(aName, aDocument = window.document) {
+    let modules = mModules.get(aDocument);
+
+    return (modules && modules.get(aName)) || null;
+  }
+
+  /**
+   * Reloads the modified jscripts in the documents of this window.
+   *
+   * @note Called by the polling timer.
+   */
+  function checkModified() {
+    // Forget the closed documents.
+    mRunEntries = mRunEntries.filter(({document}) => !!document.defaultView);
+
+    let modified = new Set();
+
+    mRunEntries.forEach((entry) => {
+      let time = entry.script.getModifiedTime();
+
+      if (time !== entry.modifiedTime) {
+        modified.add(entry.script);
+
+        // Check a next modification after this one.
+        entry.modifiedTime = time;
+      }
+    });
+
+    if (!modified.size) {
+      return;
+    }
+
+    let targets = new Set();
+
+    modified.forEach((script) => {
+      if (script.isReloadable()) {
+        targets.add(script);
+      }
+      else {
+        Util.log(['Restart needed to reload: ' + script.getURL('IN_CHROME'),
+          'The script declares a global variable.']);
+      }
+    });
+
+    // Add the scripts that hard-require the target ones.
+    // @note The dependent follows its requirements in |mJscripts|.
+    mJscripts.forEach((script) => {
+      if (targets.has(script)) {
+        return;
+      }
+
+      let requiresTarget = script.getRequires().some(({name, optional}) =>
+        !optional && [...targets].some((target) => target.getName() === name));
+
+      if (requiresTarget) {
+        if (script.isReloadable()) {
+          targets.add(script);
+        }
+        else {
+          Util.log(['Restart needed to reload: ' + script.getURL('IN_CHROME'),
+            'The requirement is reloaded.']);
+        }
+      }
+    });
+
+    if (!targets.size) {
+      return;
+    }
+
+    let documents = new Set(mRunEntries.map(({document}) => document));
+
+    documents.forEach((document) => reloadJscripts(document, targets));
+  }
+
+  /**
+   * Reloads the jscripts in a document.
+   *
+   * @param aDocument {Document}
+   * @param aTargets {Set} The scripts to reload.
+   */
+  function reloadJscripts(aDocument, aTargets) {
+    let entries = mRunEntries.filter(({document, script}) =>
+      document === aDocument && aTargets.has(script));
+
+    if (!entries.length) {
+      return;
+    }
+
+    // Uninitialize the dependents first.
+    entries.slice().reverse().forEach(({script, context}) => {
+      Log.list('Uninit JS', {
+        'Script': script.getURL('IN_CHROME'),
+        'URL': aDocument.location.href
+      });
+
+      context.uninit();
+    });
+
+    mRunEntries = mRunEntries.filter((entry) => entries.indexOf(entry) < 0);
+
+    runJscripts(aDocument, entries.map(({script}) => script));
+  }
+
+  /**
+   * Enables or disables a script persistently.
+   *
+   * @param aScript {UserScript}
+   * @param aEnabled {boolean}
+   * @return {boolean}
+   *   true if the change is applied live in all windows, false if restart is
+   *   needed.
+   *
+   * @note A change is applied live only to the jscript that no enabled
+   * jscript hard-requires. And also a disabled jscript must be reloadable to
+   * be uninitialized.
+   * @see |UserScript_isReloadable|
+   */
+  function setScriptEnabled(aScript, aEnabled) {
+    const {getWindows} = Util;
+
+    if (aScript.isDisabled() === !aEnabled) {
+      return true;
+    }
+
+    aScript.setDisabled(!aEnabled);
+
+    let path = aScript.getURL('IN_CHROME');
+    let disabledList = getDisabledList().filter((item) => item !== path);
+
+    if (!aEnabled) {
+      disabledList.push(path);
+    }
+
+    setDisabledList(disabledList);
+
+    if (mJscripts.indexOf(aScript) < 0) {
+      // An overlay cannot be applied or removed live.
+      return false;
+    }
+
+    let name = aScript.getName();
+
+    let hasDependents = mJscripts.some((script) =>
+      !script.isDisabled() &&
+      script.getRequires().some((require) =>
+        !require.optional && require.name === name));
+
+    let live;
+
+    if (aScript.getBlockReason()) {
+      // A blocked script does not run anyway.
+      live = !aEnabled;
+    }
+    else {
+      live = !hasDependents && (aEnabled || aScript.isReloadable());
+    }
+
+    if (live) {
+      getWindows().forEach((win) => {
+        let loader = win[kSystem.loaderName];
+
+        if (loader && loader.updateScript) {
+          loader.updateScript(aScript);
+        }
+      });
+    }
+
+    return live;
+  }
+
+  /**
+   * Applies the enabled state of a script to the documents of this window.
+   *
+   * @param aScript {UserScript}
+   *
+   * @note Called from |setScriptEnabled| for each window.
+   */
+  function updateScript(aScript) {
+    // Forget the closed documents.
+    [...mDocuments].forEach((document) => {
+      if (!document.defaultView) {
+        mDocuments.delete(document);
+      }
+    });
+
+    mRunEntries = mRunEntries.filter(({document}) => !!document.defaultView);
+
+    if (aScript.isDisabled()) {
+      let entries =
+        mRunEntries.filter(({script}) => script === aScript);
+
+      entries.forEach(({context}) => context.uninit());
+
+      mRunEntries = mRunEntries.filter((entry) => entries.indexOf(entry) < 0);
+    }
+    else {
+      mDocuments.forEach((document) => {
+        let hasRun = mRunEntries.some((entry) =>
+          entry.script === aScript && entry.document === document);
+
+        if (!hasRun) {
+          runJscripts(document, [aScript]);
+        }
+      });
+    }
+  }
+
+  /**
+   * Saves the user-defined order of the scripts.
+   *
+   * @param aScripts {UserScript[]}
+   * @return {boolean}
+   *   Always false since the order is applied after restart.
+   *
+   * @see |kSystem.scriptOrderPref|
+   */
+  function setScriptOrder(aScripts) {
+    const {setCharPref} = Util;
+
+    let list = aScripts.map((script) => script.getURL('IN_CHROME'));
+
+    setCharPref(kSystem.scriptOrderPref, JSON.stringify(list));
+
+    return false;
+  }
+
+  /**
+   * Gets the user-defined order of the scripts from the preference.
+   *
+   * @return {string[]} The paths under the chrome folder.
+   */
+  function getOrderList() {
+    const {getCharPref} = Util;
+
+    try {
+      let list = JSON.parse(getCharPref(kSystem.scriptOrderPref, '[]'));
+
+      if (Array.isArray(list)) {
+        return list.filter((item) => typeof item === 'string');
+      }
+    }
+    catch (ex) {}
+
+    return [];
+  }
+
+  /**
+   * Gets the list of the disabled scripts from the preference.
+   *
+   * @return {string[]} The paths under the chrome folder.
+   */
+  function getDisabledList() {
+    const {getCharPref} = Util;
+
+    try {
+      let list = JSON.parse(getCharPref(kSystem.disabledScriptsPref, '[]'));
+
+      if (Array.isArray(list)) {
+        return list.filter((item) => typeof item === 'string');
+      }
+    }
+    catch (ex) {}
+
+    return [];
+  }
+
+  function setDisabledList(aList) {
+    const {setCharPref} = Util;
+
+    setCharPref(kSystem.disabledScriptsPref, JSON.stringify(aList));
+  }
+
+  /**
+   * Creates a failure record of a script.
+   *
+   * @param aScript {UserScript}
+   * @param aDocument {Document}
+   *   The document where the script runs.
+   * @param aParam {hash}
+   *   @key error {Error} [optional]
+   *     The error thrown in running the script.
+   *   @key skipReason {string} [optional]
+   *     The reason why the script is skipped.
+   * @return {hash}
+   *   @key script {string} The path under the chrome folder.
+   *   @key document {string} The URL of the document.
+   *   @key type {string} 'error' or 'skip'.
+   *   @key message {string}
+   *   @key fileName {string}
+   *   @key lineNumber {number}
+   *   @key stack {string}
+   *   @key time {number} The timestamp in milliseconds.
+   */
+  function ErrorRecord(aScript, aDocument, aParam) {
+    let {
+      error,
+      skipReason
+    } = aParam;
+
+    let record = {
+      script: aScript.getURL('IN_CHROME'),
+      document: aDocument.location.href,
+      type: error ? 'error' : 'skip',
+      message: skipReason || '',
+      fileName: '',
+      lineNumber: 0,
+      stack: '',
+      time: Date.now()
+    };
+
+    if (error) {
+      // @note An XPCOM exception or a non-error value can be thrown.
+      if (error instanceof Object) {
+        record.message = (error.name ? error.name + ': ' : '') +
+          (error.message || error + '');
+        record.fileName = error.fileName || error.filename || '';
+        record.lineNumber = error.lineNumber || 0;
+        record.stack = (error.stack || '') + '';
+      }
+      else {
+        record.message = error + '';
+      }
+
+      // Strip the cache-busting query of the script URL.
+      record.fileName = record.fileName.replace(/\?\d*$/, '');
+    }
+
+    return record;
+  }
+
+  function runOverlays(aDocument) {
+    const log = Log.counter('Run XUL');
+    const {loadOverlay} = Util;
+
+    const XUL = '<?xul-overlay href="%URL%"?>';
+    const DATA = [
+      'data:application/vnd.mozilla.xul+xml;charset=utf-8,',
+      '<?xml version="1.0"?>',
+      '%XULS%',
+      '<overlay id="%ID%"',
+      ' xmlns="http://www.mozilla.org/keymaster/gatekeeper/there.is.only.xul"',
+      ' xmlns:html="http://www.w3.org/1999/xhtml">',
+      '</overlay>'
+    ].join('').replace('%ID%', kSystem.overlayContainerID);
+
+    let URL = aDocument.location.href;
+    let xuls = '';
+
+    mOverlays.forEach((script) => {
+      if (!script.isDisabled() && script.testTarget(URL)) {
+        log(script.getURL('IN_CHROME'));
+
+        xuls += XUL.replace('%URL%', script.getURL('RUN'));
+      }
+    });
+
+    if (xuls) {
+      loadOverlay(DATA.replace('%XULS%', xuls), aDocument);
+    }
+  }
+
+  /**
+   * Exports
+   */
+  return {
+    init,
+    uninit,
+    get: getData,
+    run: runData,
+    getScriptContext,
+    importModule,
+    updateScript
+  };
+}
+
+/**
+ * ScriptContext constructor.
+ *
+ * Holds the cleanup of a jscript that runs in a document.
+ *
+ * @return {hash}
+ *   @key addUninitHook {function}
+ *   @key addNode {function}
+ *   @key uninit {function}
+ *
+ * @note A running script gets its context by
+ * |window[kSystem.loaderName].getScriptContext()|. Without the caller, the
+ * context is available only while the script runs synchronously, so keep the
+ * reference for later use.
+ * @see |ScriptList::getScriptContext|
+ */
+function ScriptContext() {
+  let mUninitHooks = [];
+  let mNodes = [];
+
+  /**
+   * Registers a function that is called when the script is uninitialized for
+   * reloading.
+   *
+   * @param aHook {function}
+   */
+  function addUninitHook(aHook) {
+    if (mUninitHooks) {
+      mUninitHooks.push(aHook);
+    }
+  }
+
+  /**
+   * Registers a node that is removed when the script is uninitialized for
+   * reloading.
+   *
+   * @param aNode {Node}
+   * @return {Node} The node itself.
+   */
+  function addNode(aNode) {
+    if (mNodes) {
+      mNodes.push(aNode);
+    }
+
+    return aNode;
+  }
+
+  function uninit() {
+    if (!mUninitHooks) {
+      return;
+    }
+
+    // Clean up in reverse order of the registration.
+    mUninitHooks.reverse().forEach((hook) => {
+      try {
+        hook();
+      }
+      catch (ex) {
+        window.Components.utils.reportError(ex);
+      }
+    });
+
+    mNodes.reverse().forEach((node) => {
+      if (node.parentNode) {
+        node.parentNode.removeChild(node);
+      }
+    });
+
+    mUninitHooks = null;
+    mNodes = null;
+  }
+
+  return {
+    addUninitHook,
+    addNode,
+    uninit
+  };
+}
+
+/**
+ * UserScript constructor.
+ *
+ * @return {hash}
+ *   @key uninit {function}
+ *   @key block {function}
+ *   @key getBlockReason {function}
+ *   @key setDisabled {function}
+ *   @key isDisabled {function}
+ *   @key getMetaData {function}
+ *   @key formatMetaData {function}
+ *   @key getName {function}
+ *   @key getRequires {function}
+ *   @key testTarget {function}
+ *   @key getURL {function}
+ *   @key getModifiedTime {function}
+ *   @key isReloadable {function}
+ *
+ * @note This creates multiple instances so some functions are cached outside
+ * for performance.
+ * TODO: I prefer this module pattern to the prototype one. But the prototypal
+ * may be better for a constructor.
+ */
+function UserScript(aFile) {
+  let mFile = aFile;
+  let mMetaData = UserScript_scanMetaData(aFile);
+  let mBlockReason = '';
+  let mDisabled = false;
+
+  function uninit() {
+    if (mFile) {
+      mFile = null;
+    }
+
+    if (mMetaData) {
+      mMetaData = null;
+    }
+  }
+
+  /**
+   * Blocks this script to run.
+   *
+   * @param aReason {string}
+   *
+   * @note Only the first reason is kept.
+   */
+  function block(aReason) {
+    if (!mBlockReason) {
+      mBlockReason = aReason;
+    }
+  }
+
+  function getBlockReason() {
+    return mBlockReason;
+  }
+
+  function setDisabled(aDisabled) {
+    mDisabled = !!aDisabled;
+  }
+
+  function isDisabled() {
+    return mDisabled;
+  }
+
+  return {
+    uninit,
+    block,
+    getBlockReason,
+    setDisabled,
+    isDisabled,
+    getMetaData: UserScript_getMetaData.bind(null, mMetaData),
+    formatMetaData: UserScript_formatMetaData.bind(null, mMetaData),
+    getName: UserScript_getName.bind(null, mMetaData, mFile),
+    getRequires: UserScript_getRequires.bind(null, mMetaData),
+    testTarget: UserScript_testTarget.bind(null, mMetaData),
+    getURL: UserScript_getURL.bind(null, mFile),
+    getFile: () => mFile,
+    getModifiedTime: UserScript_getModifiedTime.bind(null, mFile),
+    isReloadable: UserScript_isReloadable.bind(null, mMetaData, mFile)
+  };
+}
+
+function UserScript_scanMetaData(aFile) {
+  const {readFile} = Util;
+
+  // The meta data block.
+  const kMetaDataBlockRE =
+    /^\s*\/\/\s*==UserScript==\s*\n(?:.*\n)*?\s*\/\/\s*==\/UserScript==\s*\n/m;
+
+  // Each meta data.
+  // @note Must specify the global flag 'g'.
+  // @note The value is optional for a flag key.
+  const kMetaDataRe =
+    /^[ \t]*\/\/[ \t]*@([\w-]+)(?:[ \t]+(.+?))?[ \t]*$/gm;
+
+  /**
+   * Supported mata data;
+   * {string}: Only the first line is retrieved.
+   * {array}: All lines are retrieved.
+   * {boolean}: A flag that is set true if the key exists.
+   */
+  let data = {
+    'name': '',
+    'description': '',
+    'version': '',
+    'author': '',
+    'homepageURL': '',
+    'include': [],
+    'exclude': [],
+    'run-at': '',
+    'noframes': false,
+    'sandbox': false
+  };
+
+  let text = readFile(aFile);
+  let meta = (text.match(kMetaDataBlockRE) || [''])[0];
+  let matches, key, value;
+
+  while ((matches = kMetaDataRe.exec(meta))) {
+    [, key, value] = matches;
+
+    if (key in data) {
+      if (typeof data[key] === 'boolean') {
+        data[key] = true;
+      }
+      else if (value === undefined) {
+        continue;
+      }
+      else if (data[key] === '') {
+        data[key] = value;
+      }
+      else if (Array.isArray(data[key])) {
+        data[key].push(value);
+      }
+    }
+  }
+
+  data['require'] = UserScript_scanRequires(text, meta);
+
+  return data;
+}
+
+/**
+ * Scans the requirements of a script.
+ *
+ * @param aText {string} The whole text of a script.
+ * @param aMetaBlock {string} The meta data block in |aText|.
+ * @return {string[]}
+ *   The normalized requirements;
+ *   'Util.uc.js' for a hard requirement.
+ *   '[optional] TabEx.uc.js' for an optional requirement.
+ *
+ * @note '@require' is retrieved from the meta data block and the comment lines
+ * that follow it;
+ *   // @require Util.uc.js, UI.uc.js
+ *   // @require [optional for commands] NaviLink.uc.js,
+ *   // TabEx.uc.js
+ *   A line that ends with a comma continues to the next comment line.
+ * @note Only the words that end with the script extension are treated as the
+ * script names, and the other words are ignored.
+ */
+function UserScript_scanRequires(aText, aMetaBlock) {
+  // The comment lines or blank lines.
+  const kCommentLinesRE = /^(?:[ \t]*(?:\/\/.*)?\n)*/;
+
+  const kRequireRE = /^\s*\/\/\s*@require\s+(?:\[([^\]]*)\]\s*)?(.*?)\s*$/;
+  const kContinuedRE = /^\s*\/\/\s*([^@\s].*?)\s*$/;
+
+  let exts = kPref.jscriptExts.concat(kPref.overlayExts);
+
+  let isScriptName = (aName) =>
+    !/\s/.test(aName) && exts.some((ext) => aName.endsWith(ext));
+
+  let start = aMetaBlock ? aText.indexOf(aMetaBlock) + aMetaBlock.length : 0;
+  let header = aMetaBlock + kCommentLinesRE.exec(aText.slice(start))[0];
+
+  let requires = [];
+  let optional = false, continued = false;
+
+  header.split('\n').forEach((line) => {
+    let match = kRequireRE.exec(line), names;
+
+    if (match) {
+      optional = /\boptional\b/i.test(match[1] || '');
+      names = match[2];
+    }
+    else if (continued && (match = kContinuedRE.exec(line))) {
+      names = match[1];
+    }
+    else {
+      continued = false;
+
+      return;
+    }
+
+    names.split(',').forEach((name) => {
+      name = name.trim();
+
+      if (isScriptName(name)) {
+        requires.push((optional ? '[optional] ' : '') + name);
+      }
+    });
+
+    continued = /,$/.test(names);
+  });
+
+  return requires;
+}
+
+function UserScript_getMetaData(aMetaData, aKey) {
+  return aKey ? aMetaData[aKey] : aMetaData;
+}
+
+function UserScript_getName(aMetaData, aFile) {
+  return aMetaData.name || aFile.leafName;
+}
+
+/**
+ * Gets the requirements of a script.
+ *
+ * @return {hash[]}
+ *   @key name {string}
+ *   @key optional {boolean}
+ *
+ * @note A hard requirement takes precedence over the optional one of the same
+ * name.
+ */
+function UserScript_getRequires(aMetaData) {
+  let requires = new Map();
+
+  aMetaData.require.forEach((value) => {
+    let [, optional, name] = /^(\[optional\] )?(.+)$/.exec(value);
+
+    if (!requires.has(name) || !optional) {
+      requires.set(name, !!optional);
+    }
+  });
+
+  return [...requires].map(([name, optional]) => ({name, optional}));
+}
+
+function UserScript_formatMetaData(aMetaData) {
+  const kForm = '@%key%: %value%';
+  const kNoMetaData = '[No meta data]';
+
+  const kFlagForm = '@%key%';
+
+  let list = [];
+
+  for (let [key, value] in Iterator(aMetaData)) {
+    // Skip the unset value.
+    if (value === '' || value === false) {
+      continue;
+    }
+
+    if (value === true) {
+      list.push(kFlagForm.replace('%key%', key));
+
+      continue;
+    }
+
+    if (!Array.isArray(value)) {
+      value = [value];
+    }
+
+    list = list.concat(value.map((value) =>
+      kForm.replace('%key%', key).replace('%value%', value)
+    ));
+  }
+
+  return list.length ? list.join('\n') : kNoMetaData;
+};
+
+function UserScript_testTarget(aMetaData, aURL) {
+  const {testURL} = Util;
+
+  let test = (str) => testURL(str, aURL);
+
+  let exclude = aMetaData.exclude;
 
   if (exclude.length && exclude.some(test)) {
     return false;
@@ -566,7 +1958,7 @@ function UserScript_testTarget(aMetaData, aURL) {
   let include = aMetaData.include;
 
   if (!include.length) {
-    include[0] = browserURL;
+    include[0] = 'main';
   }
 
   return include.some(test);
@@ -597,14 +1989,49 @@ function UserScript_getURL(aFile, aType) {
     // script cache.
     case 'RUN':
       return path() + '?' +
-        (kSystem.checkCacheAtRun ? getLastModifiedTime(aFile) :
-         aFile.lastModifiedTime);
+        ((kSystem.checkCacheAtRun || kSystem.watchInterval > 0) ?
+         getLastModifiedTime(aFile) : aFile.lastModifiedTime);
   }
 
   // A full path.
   return D(path());
 }
 
+function UserScript_getModifiedTime(aFile) {
+  const {getLastModifiedTime} = Util;
+
+  return getLastModifiedTime(aFile);
+}
+
+/**
+ * Tests whether a script can be reloaded into the same window.
+ *
+ * @note A global declaration throws on the redeclaration.
+ * @note The usual script consists of a single statement of the wrapper
+ * function (e.g. '(function(window) {...})(this);' or
+ * 'const ucjsUtil = (function(window) {...})(this);'), so we simply test the
+ * first statement after the leading comments.
+ * @note A sandboxed script is always reloadable in a new sandbox.
+ */
+function UserScript_isReloadable(aMetaData, aFile) {
+  const {readFile} = Util;
+
+  if (aMetaData.sandbox) {
+    return true;
+  }
+
+  const kLeadingCommentsRE = /^(?:\s+|\/\/.*|\/\*[\s\S]*?\*\/)*/;
+
+  try {
+    let code = readFile(aFile).replace(kLeadingCommentsRE, '');
+
+    return !/^(?:const|let|class)\s/.test(code);
+  }
+  catch (ex) {}
+
+  return false;
+}
+
 /**
  * Common utility function.
  *
@@ -617,6 +2044,9 @@ function UtilManager() {
   let $I = (aCID, aIID) => Cc[aCID].createInstance(Ci[aIID]);
   let QI = (aNode, aIID) => aNode.QueryInterface(Ci[aIID]);
 
+  // Compiled patterns of |testURL|.
+  let mURLPatterns = new Map();
+
   function getLastModifiedTime(aFile) {
     let localFile = $I('@mozilla.org/file/local;1', 'nsIFile');
 
@@ -666,6 +2096,71 @@ function UtilManager() {
     return aList.hasMoreElements() && QI(aList.getNext(), 'nsIFile');
   }
 
+  function getWindows() {
+    let list = $S('@mozilla.org/appshell/window-mediator;1',
+      'nsIWindowMediator').getEnumerator(null);
+
+    let windows = [];
+
+    while (list.hasMoreElements()) {
+      windows.push(list.getNext());
+    }
+
+    return windows;
+  }
+
+  function getCharPref(aName, aDefault) {
+    let prefs = $S('@mozilla.org/preferences-service;1', 'nsIPrefBranch');
+
+    try {
+      return prefs.getCharPref(aName);
+    }
+    catch (ex) {}
+
+    return aDefault;
+  }
+
+  function setCharPref(aName, aValue) {
+    $S('@mozilla.org/preferences-service;1', 'nsIPrefBranch').
+      setCharPref(aName, aValue);
+  }
+
+  function addWindowListener(aListener) {
+    $S('@mozilla.org/appshell/window-mediator;1', 'nsIWindowMediator').
+      addListener(aListener);
+  }
+
+  function removeWindowListener(aListener) {
+    $S('@mozilla.org/appshell/window-mediator;1', 'nsIWindowMediator').
+      removeListener(aListener);
+  }
+
+  function addObserver(aObserver, aTopic) {
+    $S('@mozilla.org/observer-service;1', 'nsIObserverService').
+      addObserver(aObserver, aTopic, false);
+  }
+
+  function removeObserver(aObserver, aTopic) {
+    $S('@mozilla.org/observer-service;1', 'nsIObserverService').
+      removeObserver(aObserver, aTopic);
+  }
+
+  function getDOMWindow(aXULWindow) {
+    return QI(aXULWindow, 'nsIInterfaceRequestor').
+      getInterface(Ci['nsIDOMWindow']);
+  }
+
+  /**
+   * Gets the top level chrome window that contains a window.
+   */
+  function getRootWindow(aWindow) {
+    let docShell = QI(QI(aWindow, 'nsIInterfaceRequestor').
+      getInterface(Ci['nsIWebNavigation']), 'nsIDocShellTreeItem');
+
+    return QI(docShell.rootTreeItem, 'nsIInterfaceRequestor').
+      getInterface(Ci['nsIDOMWindow']);
+  }
+
   function getTopBrowserWindow() {
     return $S('@mozilla.org/browser/browserglue;1', 'nsIBrowserGlue').
       getMostRecentBrowserWindow();
@@ -678,9 +2173,14 @@ function UtilManager() {
       getURLSpecFromFile(aFile);
   }
 
-  function loadJscript(aPath, aDocument) {
+  /**
+   * @param aPath {string}
+   * @param aTarget {Window|Sandbox}
+   *   The global object where a script runs.
+   */
+  function loadJscript(aPath, aTarget) {
     $S('@mozilla.org/moz/jssubscript-loader;1', 'mozIJSSubScriptLoader').
-      loadSubScript(aPath, aDocument.defaultView, 'UTF-8');
+      loadSubScript(aPath, aTarget, 'UTF-8');
   }
 
   function loadOverlay(aData, aDocument) {
@@ -691,17 +2191,197 @@ function UtilManager() {
     return 'chrome://browser/content/browser.xul';
   }
 
+  /**
+   * Tests whether a URL matches a pattern.
+   *
+   * @param aSource {string}
+   *   The pattern is one of the following;
+   *   1.Alias name: 'main' for the browser window, or the name in
+   *   |kPref.urlAliases|. Case-insensitive.
+   *   2.Regular expression: Enclosed by slashes, and the flag 'i' can follow.
+   *   e.g. '/^chrome://browser/content/.+\.xul$/i'
+   *   3.Glob: The other string matches the whole URL;
+   *   '*': Any string.
+   *   '?': Any single character.
+   *   '[abc]', '[a-z]', '[!abc]': A character in / not in the set.
+   *   '{foo,bar}': One of the comma-separated alternatives.
+   *   '\': Escapes the following character.
+   * @param aURL {string}
+   * @return {boolean}
+   *
+   * @note An invalid pattern is logged and matches nothing.
+   */
   function testURL(aSource, aURL) {
-    // 1.Escape the special character so that it is treated literally.
-    // 2.Convert the wildcard character '*' to '.*' that matches any string.
-    let pattern =
-      '^' +
-      aSource.trim().
-      replace(/[{}()\[\]\\^$.?+|]/g, '\\$&').
-      replace(/\*+/g, '.*') +
-      '$';
+    let source = aSource.trim();
+
+    if (source.toLowerCase() === 'main') {
+      return aURL === getBrowserURL();
+    }
+
+    let alias = getURLAlias(source);
+
+    if (alias) {
+      // @note An alias cannot refer to another alias so that the test always
+      // ends.
+      return alias.some((pattern) => testPattern(pattern, aURL));
+    }
+
+    return testPattern(source, aURL);
+  }
+
+  function getURLAlias(aName) {
+    let name = aName.toLowerCase();
+
+    for (let key in kPref.urlAliases) {
+      if (key.toLowerCase() === name) {
+        let value = kPref.urlAliases[key];
+
+        return Array.isArray(value) ? value : [value];
+      }
+    }
+
+    return null;
+  }
+
+  function testPattern(aSource, aURL) {
+    let source = aSource.trim();
+    let cache = mURLPatterns;
+
+    if (!cache.has(source)) {
+      let pattern = null;
+
+      try {
+        pattern = createURLPattern(source);
+      }
+      catch (ex) {
+        log(['Invalid URL pattern: ' + source, ex.message]);
+      }
+
+      cache.set(source, pattern);
+    }
+
+    let pattern = cache.get(source);
+
+    return !!pattern && pattern.test(aURL);
+  }
+
+  function createURLPattern(aSource) {
+    let [, regexp, flags] = /^\/(.+)\/(i?)$/.exec(aSource) || [];
+
+    if (regexp) {
+      return RegExp(regexp, flags);
+    }
+
+    return RegExp('^' + convertGlob(aSource) + '$');
+  }
+
+  /**
+   * Converts a glob into the source of a regular expression.
+   *
+   * @param aGlob {string}
+   * @return {string}
+   * @throws {SyntaxError} Unclosed bracket or brace.
+   */
+  function convertGlob(aGlob) {
+    const kSpecialChars = /[{}()\[\]\\^$.?*+|]/;
+
+    let escape = (char) => kSpecialChars.test(char) ? '\\' + char : char;
+
+    let pattern = '';
+    let braceDepth = 0;
+
+    for (let i = 0, l = aGlob.length; i < l; i++) {
+      let char = aGlob[i];
+
+      switch (char) {
+        case '\\': {
+          i++;
+
+          if (i < l) {
+            pattern += escape(aGlob[i]);
+          }
+
+          break;
+        }
+
+        case '*': {
+          // Collapse the repeated wildcards.
+          while (aGlob[i + 1] === '*') {
+            i++;
+          }
+
+          pattern += '.*';
+
+          break;
+        }
+
+        case '?': {
+          pattern += '.';
+
+          break;
+        }
+
+        case '[': {
+          let end = aGlob.indexOf(']', i + 2);
+
+          if (end < 0) {
+            throw new SyntaxError('Unclosed bracket');
+          }
+
+          let set = aGlob.slice(i + 1, end);
+          let negate = set[0] === '!';
+
+          if (negate) {
+            set = set.slice(1);
+          }
+
+          // Keep the range hyphen and escape the others.
+          set = set.replace(/[\[\]\\^]/g, '\\$&');
+
+          pattern += '[' + (negate ? '^' : '') + set + ']';
+          i = end;
+
+          break;
+        }
+
+        case '{': {
+          braceDepth++;
+          pattern += '(?:';
+
+          break;
+        }
+
+        case '}': {
+          if (braceDepth) {
+            braceDepth--;
+            pattern += ')';
+          }
+          else {
+            pattern += escape(char);
+          }
+
+          break;
+        }
+
+        case ',': {
+          pattern += braceDepth ? '|' : escape(char);
+
+          break;
+        }
+
+        default: {
+          pattern += escape(char);
+
+          break;
+        }
+      }
+    }
+
+    if (braceDepth) {
+      throw new SyntaxError('Unclosed brace');
+    }
 
-    return RegExp(pattern).test(aURL);
+    return pattern;
   }
 
   function log(aMessage, aCaller) {
@@ -753,6 +2433,15 @@ function UtilManager() {
     getChromeDirectory,
     getEntryList,
     getNextEntry,
+    getWindows,
+    addWindowListener,
+    removeWindowListener,
+    addObserver,
+    removeObserver,
+    getDOMWindow,
+    getRootWindow,
+    getCharPref,
+    setCharPref,
     getTopBrowserWindow,
     getURLSpecFromFile,
     loadJscript,